@@ -139,10 +139,12 @@ app.use(Login.middleware.verifyJwt());
 import routesIndex   from './routes/index-routes.js';
 import routesLogin   from './routes/login-routes.js';
 import routesPasswd  from './routes/password-routes.js';
+import routesInvite  from './routes/invitation-routes.js';
 
 app.use(routesIndex);
 app.use(routesLogin);
 app.use(routesPasswd);
+app.use(routesInvite);
 
 
 // verify user is signed in...
@@ -160,12 +162,24 @@ app.use(async function isSignedIn(ctx, next) {
 
 // ... as subsequent modules require authentication
 
-import routesMembers from './routes/members-routes.js';
-import routesTeams   from './routes/teams-routes.js';
-import routesAjax    from './routes/ajax-routes.js';
-import routesDev     from './routes/dev-routes.js';
+import routesMembers   from './routes/members-routes.js';
+import routesTeams     from './routes/teams-routes.js';
+import routesApiKeys   from './routes/api-keys-routes.js';
+import routesTwoFactor from './routes/two-factor-routes.js';
+import routesUsers     from './routes/users-routes.js';
+import routesHistory   from './routes/history-routes.js';
+import routesTrash     from './routes/trash-routes.js';
+import routesSearch    from './routes/search-routes.js';
+import routesAjax      from './routes/ajax-routes.js';
+import routesDev       from './routes/dev-routes.js';
 app.use(routesMembers);
 app.use(routesTeams);
+app.use(routesApiKeys);
+app.use(routesTwoFactor);
+app.use(routesUsers);
+app.use(routesHistory);
+app.use(routesTrash);
+app.use(routesSearch);
 app.use(routesAjax);
 app.use(routesDev);
 
@@ -37,6 +37,7 @@ class AjaxHandlers {
             'Accept':        ctx.request.header.accept || '*/*',
             'Authorization': 'Bearer ' + ctx.state.auth.jwt,
         };
+        if (ctx.request.header['if-match']) hdrs['If-Match'] = ctx.request.header['if-match']; // optimistic concurrency
 
         try {
             const response = await fetch(url, {
@@ -46,6 +47,7 @@ class AjaxHandlers {
             });
             const json = response.headers.get('content-type').match(/application\/json/);
             ctx.response.status = response.status;
+            if (response.headers.get('etag')) ctx.response.set('ETag', response.headers.get('etag'));
             ctx.response.body = json ? await response.json() : await response.text();
         } catch (e) { // eg offline, DNS fail, etc
             ctx.response.status = 500;
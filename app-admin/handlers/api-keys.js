@@ -0,0 +1,89 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* API keys handlers (invoked by router to render templates)                                      */
+/*                                                                                                */
+/* Users manage their own personal API keys; the full key is only shown once, when it is created. */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import ApiKey      from '../../models/api-key.js';
+import Permissions from '../../lib/permissions.js';
+
+
+class ApiKeysHandlers {
+
+    /**
+     * GET /api-keys - render list-api-keys page (keys belonging to the logged-in user).
+     */
+    static async list(ctx) {
+        const apiKeys = await ApiKey.getBy('UserId', ctx.state.auth.user.id);
+
+        const context = {
+            apiKeys,
+            isAdmin: await Permissions.can(ctx.state.auth.user, 'api-keys:admin'), // can create admin-scope keys
+            Label:   ctx.flash.formdata ? ctx.flash.formdata.Label : '', // failed validation? fill in previous value
+        };
+        await ctx.render('api-keys-list', context);
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /api-keys/add - process add-api-key.
+     *
+     * The new key is rendered directly (rather than via a redirect) as it is not recorded anywhere,
+     * and should not be passed through the flash cookie.
+     */
+    static async processAdd(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            const scope = body.Scope || 'read';
+            if (scope == 'admin' && !await Permissions.can(ctx.state.auth.user, 'api-keys:admin')) {
+                throw new Error('Admin-scope API keys require admin privileges');
+            }
+
+            const values = { UserId: ctx.state.auth.user.id, Label: body.Label || null, Scope: scope };
+            const { id, key } = await ApiKey.insert(values);
+            ctx.response.set('X-Insert-Id', id); // for integration tests
+
+            await ctx.render('api-keys-created', { Label: values.Label, Scope: scope, key });
+
+        } catch (e) {
+            // return to list page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect('/api-keys');
+        }
+    }
+
+
+    /**
+     * POST /api-keys/:id/delete - process revoke-api-key (users can only revoke their own keys).
+     */
+    static async processDelete(ctx) {
+        try {
+
+            const apiKey = await ApiKey.get(ctx.params.id);
+            if (!apiKey || apiKey.UserId != ctx.state.auth.user.id) throw new Error('API key not found');
+
+            await ApiKey.delete(ctx.params.id);
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to list of api keys (to report any error)
+        ctx.response.redirect('/api-keys');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ApiKeysHandlers;
@@ -5,9 +5,10 @@
 import nodeinfo   from 'nodejs-info'; // node info
 import dateFormat from 'dateformat';  // Steven Levithan's dateFormat()
 
-import MongoDb from '../../lib/mongodb.js';
-import MySqlDb from '../../lib/mysqldb.js';
-import Ip      from '../../lib/ip.js';
+import MongoDb    from '../../lib/mongodb.js';
+import MySqlDb    from '../../lib/mysqldb.js';
+import Ip         from '../../lib/ip.js';
+import QueryStats from '../../lib/query-stats.js';
 
 
 class DevHandlers {
@@ -148,6 +149,58 @@ class DevHandlers {
     }
 
 
+    /**
+     * GET /dev/queries - Show database query statistics (since app startup) and slow-query log.
+     */
+    static async queries(ctx) {
+        // statistics ordered by total time, or by count / p95 / max
+        const sort = [ 'count', 'p95', 'max' ].includes(ctx.request.query.sort) ? ctx.request.query.sort : 'total';
+        const stats = QueryStats.summary()
+            .sort((a, b) => b[sort] - a[sort])
+            .map(q => Object.assign({}, q, {
+                p50:   q.p50.toFixed(0),
+                p95:   q.p95.toFixed(0),
+                max:   q.max.toFixed(0),
+                total: q.total.toFixed(0),
+                rows:  Number(q.rows.toFixed(1)),
+                speed: q.p95>500 ? 'slow' : q.p95>100 ? 'medium' : '',
+            }));
+
+        // slow-query logging uses capped collection log-query (size: 1000×4e3, max: 1000)
+        const log = await MongoDb.collection('log-query');
+
+        const entriesAll = (await log.find({}).sort({ $natural: -1 }).toArray());
+
+        // filter results according to query string
+        const entries = entriesAll
+            .filter(e => ctx.request.query.time ? e.ms > ctx.request.query.time : true)
+            .map(e => Object.assign({}, e, {
+                time:  dateFormat(e._id.getTimestamp(), 'UTC:yyyy-mm-dd HH:MM:ss'),
+                speed: e.ms>2000 ? 'slow' : 'medium',
+            }));
+
+        // for display, time defaults to 0
+        ctx.request.query.time = ctx.request.query.time || '0';
+
+        const context = {
+            stats:   stats,
+            entries: entries,
+            filter:  Object.assign({}, ctx.request.query, { sort }),
+        };
+
+        await ctx.render('dev-queries', context);
+    }
+
+
+    /**
+     * GET /dev/db-pool - MySQL connection pool statistics (primary & read replica).
+     */
+    static async dbPool(ctx) {
+        await MySqlDb.query('Select 1'); // ensure pool is set up
+        ctx.response.body = MySqlDb.poolStats();
+    }
+
+
     /**
      * GET /dev/ajax/ip-domain/:ip - return domain for specified IP address.
      */
@@ -0,0 +1,66 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* History handlers - browse audit trail of changes to individual records                         */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import AuditLog from '../../models/audit-log.js';
+
+
+class HistoryHandlers {
+
+    /**
+     * GET /members/:id/history - render member history page.
+     */
+    static async members(ctx) {
+        await renderHistory(ctx, 'Member', 'members', r => `${r.Firstname} ${r.Lastname}`);
+    }
+
+
+    /**
+     * GET /teams/:id/history - render team history page.
+     */
+    static async teams(ctx) {
+        await renderHistory(ctx, 'Team', 'teams', r => r.Name);
+    }
+
+}
+
+
+/**
+ * Render history page for given table & (ctx.params) id, showing the fields changed in each entry.
+ *
+ * @param {Object}   ctx - Koa context.
+ * @param {string}   table - Table name.
+ * @param {string}   path - Path of list page for table (e.g. ‘members’).
+ * @param {Function} name - Function returning display name of row.
+ */
+async function renderHistory(ctx, table, path, name) {
+    const entries = await AuditLog.history(table, ctx.params.id);
+
+    for (const entry of entries) {
+        entry.User = entry.UserId ? `${entry.Firstname} ${entry.Lastname}` : '–';
+        const before = entry.Before || {};
+        const after = entry.After || {};
+        const fields = Object.keys({ ...before, ...after });
+        entry.changes = fields
+            .filter(f => JSON.stringify(before[f]) != JSON.stringify(after[f]))
+            .map(f => ({ field: f, before: before[f], after: after[f] }));
+    }
+
+    const latest = entries.length > 0 ? entries[0].After || entries[0].Before : null;
+
+    const context = {
+        table,
+        path,
+        id:   ctx.params.id,
+        name: latest ? name(latest) : `${table} ${ctx.params.id}`,
+        entries,
+    };
+    await ctx.render('history', context);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default HistoryHandlers;
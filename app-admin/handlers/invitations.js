@@ -0,0 +1,201 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Invitations handlers (invoked by router to render templates)                                   */
+/*                                                                                                */
+/* Admins (with users:manage permission) invite people by e-mail to create their own account,     */
+/* rather than creating a user with a password someone else knows; the invitee follows the link   */
+/* in the e-mail and sets their name & password. As when adding users, the invitee’s role cannot  */
+/* be above the inviter’s own.                                                                    */
+/*                                                                                                */
+/* GET functions render template pages; POST functions process post requests then redirect.       */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Scrypt from 'scrypt-kdf'; // scrypt key derivation function
+
+import Invitation       from '../../models/invitation.js';
+import User             from '../../models/user.js';
+import Db               from '../../lib/mysqldb.js';
+import Mail             from '../../lib/mail.js';
+import Pwned            from '../../lib/pwned.js';
+import validationErrors from '../../lib/validation-errors.js';
+
+/*
+ * Invitation sequence is:
+ * - GET  /users/invite (admin)
+ * - POST /users/invite with email & role; 302 ->
+ * - GET  /users
+ * - e-mail is sent to 'email' with invitation link '/invitation/{token}'
+ * - GET  /invitation/{token}
+ * - POST /invitation/{token} with firstname, lastname, password & passwordConfirm; 302 ->
+ * - GET  /invitation/accepted
+ */
+
+
+class InvitationsHandlers {
+
+    /**
+     * GET /users/invite - render invite-user page.
+     */
+    static async invite(ctx) {
+        const context = ctx.flash.formdata || {}; // failed validation? fill in previous values
+        const inviter = await User.get(ctx.state.auth.user.id);
+        context.roles = User.roles.filter(role => !User.outranks(role, inviter.Role));
+        await ctx.render('users-invite', context);
+    }
+
+
+    /**
+     * POST /users/invite - process invite-user: record invitation and e-mail invitation link.
+     */
+    static async processInvite(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'required type=email',
+                Role:  'required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+            if (!User.roles.includes(body.Role)) throw new Error(`Unrecognised role ${body.Role}`);
+            const inviter = await User.get(ctx.state.auth.user.id);
+            if (User.outranks(body.Role, inviter.Role)) throw new Error(`You cannot assign role ${body.Role}`);
+
+            const [ existing ] = await User.getBy('Email', body.Email);
+            if (existing) throw new Error(`There is already a user with e-mail ${body.Email}`);
+
+            const invitation = await Invitation.insert({ Email: body.Email, Role: body.Role, InvitedBy: ctx.state.auth.user.id });
+            ctx.response.set('X-Insert-Id', invitation.id);           // for integration tests
+            ctx.response.set('X-Invitation-Token', invitation.token); // for integration tests
+
+            // send e-mail with invitation link
+            const context = { inviter: ctx.state.auth.user.name, role: body.Role, host: ctx.request.host, token: invitation.token };
+            await Mail.send(body.Email, 'invitation.email', context, ctx);
+
+            // return to list of users (showing pending invitations)
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /users/invitations/:id/delete - process revoke invitation (an invitation for a role above
+     * the user’s own cannot be revoked, any more than it could be issued).
+     */
+    static async processDelete(ctx) {
+        const inviter = await User.get(ctx.state.auth.user.id);
+        if (!inviter) ctx.throw(403, 'Forbidden');
+
+        try {
+
+            const invitation = await Invitation.get(ctx.params.id);
+            if (!invitation) throw new Error('Invitation not found');
+            if (User.outranks(invitation.Role, inviter.Role)) throw new Error(`You cannot revoke invitations for role ${invitation.Role}`);
+
+            await Invitation.delete(ctx.params.id);
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to list of users
+        ctx.response.redirect('/users');
+    }
+
+
+    /**
+     * GET /invitation/:token - render accept-invitation page.
+     */
+    static async accept(ctx) {
+        const invitation = await Invitation.getByToken(ctx.params.token);
+        if (!invitation) {
+            await ctx.render('invitation', { badToken: true });
+            return;
+        }
+
+        await ctx.render('invitation', Object.assign({}, ctx.flash.formdata, { Email: invitation.Email, valid: true }));
+    }
+
+
+    /**
+     * POST /invitation/:token - process accept-invitation: create user with supplied password.
+     */
+    static async processAccept(ctx) {
+        const token = ctx.params.token;
+        const body = ctx.request.body;
+
+        // check token is good
+        const invitation = await Invitation.getByToken(token);
+        if (!invitation) {
+            ctx.response.redirect('/invitation/'+token); // use existing notification mechanism!
+            return;
+        }
+
+        // passwords match?
+        if (body.password != body.passwordConfirm) {
+            ctx.flash = { formdata: { Firstname: body.Firstname, Lastname: body.Lastname }, _error: 'Passwords don’t match' };
+            ctx.response.redirect('/invitation/'+token);
+            return;
+        }
+
+        // check if password has been pwned
+        if (body.pwnedNotified != 'yes') {
+            try {
+                const breached = await Pwned.breachCount(body.password);
+                if (breached > 0) {
+                    const pwnedCount = `${Intl.NumberFormat().format(breached)} time${breached>1 ? 's' : ''}`;
+                    ctx.flash = { formdata: body, pwnedCount: pwnedCount, pwnedNotified: 'yes' };
+                    ctx.response.redirect('/invitation/'+token);
+                    return;
+                }
+            } catch (e) {
+                console.error(e);
+            }
+        }
+
+        try {
+
+            // create the user, and record the invitation as used
+            const password = await Scrypt.kdf(body.password, { logN: 15 });
+            await Db.transaction(async function() {
+                const values = {
+                    Firstname: body.Firstname,
+                    Lastname:  body.Lastname,
+                    Email:     invitation.Email,
+                    Password:  password.toString('base64'),
+                    Role:      invitation.Role,
+                };
+                const userId = await User.insert(values);
+                if (!await Invitation.accept(invitation.InvitationId, userId)) throw new Error('Invitation has already been accepted');
+            });
+
+            ctx.response.redirect('/invitation/accepted');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: { Firstname: body.Firstname, Lastname: body.Lastname }, _error: e.status==409 ? `There is already a user with e-mail ${invitation.Email}` : e.message };
+            ctx.response.redirect('/invitation/'+token);
+        }
+    }
+
+
+    /**
+     * GET /invitation/accepted - render invitation accepted confirmation page.
+     */
+    static async accepted(ctx) {
+        await ctx.render('invitation-accepted');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default InvitationsHandlers;
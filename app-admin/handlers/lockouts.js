@@ -0,0 +1,66 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Lockouts handlers (invoked by router to render templates)                                      */
+/*                                                                                                */
+/* Admins (with users:manage permission) can see recent failed logins, by account and by IP       */
+/* address, with any resulting lockouts (see lib/login-throttle.js), and can clear them.          */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import LoginFailure  from '../../models/login-failure.js';
+import Db            from '../../lib/mysqldb.js';
+import LoginThrottle from '../../lib/login-throttle.js';
+
+
+class LockoutsHandlers {
+
+    /**
+     * GET /users/lockouts - render list of current lockouts & recent failed logins.
+     */
+    static async list(ctx) {
+        const sql = `Select Scope, Identifier, Failures, LastFailedOn, LockedUntil,
+                       Coalesce(LockedUntil > utc_timestamp(), false) As Locked
+                     From LoginFailure
+                     Where LastFailedOn > utc_timestamp() - Interval :minutes Minute
+                        Or LockedUntil > utc_timestamp()
+                     Order By Locked Desc, LastFailedOn Desc`;
+        const [ failures ] = await Db.execute(sql, { minutes: LoginThrottle.lockoutMinutes });
+
+        const context = {
+            accounts:  failures.filter(f => f.Scope == 'account'),
+            ips:       failures.filter(f => f.Scope == 'ip'),
+            threshold: LoginThrottle.accountThreshold,
+            minutes:   LoginThrottle.lockoutMinutes,
+        };
+        await ctx.render('users-lockouts', context);
+    }
+
+
+    /**
+     * POST /users/lockouts/clear - process clear lockout (and failed login count) for account or IP
+     * address.
+     */
+    static async processClear(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            if (![ 'account', 'ip' ].includes(body.Scope)) throw new Error(`Unrecognised scope ${body.Scope}`);
+
+            const cleared = await LoginFailure.delete(body.Scope, body.Identifier);
+            if (!cleared) throw new Error(`No failed logins recorded for ${body.Identifier}`);
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to list of lockouts (to report any error)
+        ctx.response.redirect('/users/lockouts');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default LockoutsHandlers;
@@ -7,7 +7,8 @@
 import Scrypt from 'scrypt-kdf';   // scrypt key derivation function
 import jwt    from 'jsonwebtoken'; // JSON Web Token implementation
 
-import User from '../../models/user.js';
+import User          from '../../models/user.js';
+import LoginThrottle from '../../lib/login-throttle.js';
 
 
 class LoginHandlers {
@@ -43,17 +44,28 @@ class LoginHandlers {
      * If user authenticates, create JSON Web Token & record it in a signed cookie for subsequent
      * requests, and record the payload in ctx.state.auth.user.
      *
-     * The JWT payload includes the user id, the user’s role so that authorisation checks can be
-     * done without a database query (just initial letter so that the role in the token is not too
-     * obvious), and whether the token can be renewed for a ‘remember-me’ function.
+     * If the user has enabled two-factor authentication, they are first redirected to /two-factor
+     * to supply a code from their authenticator app (or a recovery code); the JWT cookie is only
+     * set once that verifies.
+     *
+     * Attempts are throttled (lib/login-throttle.js): after repeated failures for an account or from
+     * an IP address, attempts are refused for a while without checking the password.
      */
     static async postLogin(ctx) {
         const body = ctx.request.body;
 
+        // too many recent failed attempts for this account or from this IP address?
+        const throttle = await LoginThrottle.attempt(body.username, ctx.request.ip);
+        if (throttle.wait > 0) {
+            ctx.flash = { formdata: body, loginfailmsg: LoginThrottle.message(throttle) };
+            return ctx.response.redirect(ctx.request.url);
+        }
+
         let [ user ] = await User.getBy('Email', body.username); // lookup user
 
         // always invoke verify() (whether email found or not) to mitigate against timing attacks on login function
-        const passwordHash = user ? user.Password : '0123456789abcdef'.repeat(8);
+        // (users whose password has been reset by user management have no password until they set a new one)
+        const passwordHash = user && user.Password ? user.Password : '0123456789abcdef'.repeat(8);
         let passwordMatch = null;
         try {
             passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), body.password);
@@ -63,31 +75,80 @@ class LoginHandlers {
         }
 
         if (!user || !passwordMatch) {
-            // login failed: redisplay login page with login fail message
+            // login failed: check for lockout (for throttling), & redisplay login page with login fail message
+            await LoginThrottle.failure(body.username, ctx.request.ip, ctx);
             const loginfailmsg = 'E-mail / password not recognised';
             ctx.flash = { formdata: body, loginfailmsg: loginfailmsg };
             return ctx.response.redirect(ctx.request.url);
         }
 
+        // if we were provided with a redirect URL after the /login, redirect there, otherwise /
+        const href = ctx.request.url=='/login' ? '/' : ctx.request.url.replace('/login', '');
+        const remember = body['remember-me'] ? true : false;
+
+        if (user.TotpSecret) {
+            // two-factor authentication enabled: record password verification in a short-lived
+            // signed cookie (not a JWT, which could be presented to the API), and get the second
+            // factor before logging in (which is a further attempt for throttling)
+            await LoginThrottle.release(user.Email, ctx.request.ip);
+            const pending = { id: user.UserId, remember, href, expires: Date.now() + 1000*60*5 };
+            const value = Buffer.from(JSON.stringify(pending)).toString('base64');
+            ctx.cookies.set('sample-app:2fa', value, { signed: true, expires: new Date(pending.expires) });
+            return ctx.response.redirect('/two-factor');
+        }
+
         // submitted credentials validate: create JWT & record it in a cookie to 'log in' user
+        await LoginThrottle.success(user.Email, ctx.request.ip);
+        setLoginCookie(ctx, user, remember);
 
-        const payload = {
-            id:       user.UserId,                          // to get user details
-            name:     `${user.Firstname} ${user.Lastname}`, // make name available without db query
-            role:     user.Role.slice(0, 1).toLowerCase(),  // make role available without db query
-            remember: body['remember-me'] ? true : false,   // whether token can be renewed
-        };
-        const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
+        ctx.response.redirect(href);
+    }
 
-        // record token in signed cookie; if 'remember-me', set cookie for 1 week, otherwise set session only
-        const options = { signed: true };
-        if (body['remember-me']) options.expires = new Date(Date.now() + 1000*60*60*24*7);
 
-        ctx.cookies.set('sample-app:jwt', token, options);
+    /**
+     * GET /two-factor - render two-factor authentication code page (2nd step of login for users who
+     * have enabled two-factor authentication).
+     */
+    static async getTwoFactor(ctx) {
+        if (!pendingLogin(ctx)) return ctx.response.redirect('/login'); // password not (recently) verified
 
-        // if we were provided with a redirect URL after the /login, redirect there, otherwise /
-        const href = ctx.request.url=='/login' ? '/' : ctx.request.url.replace('/login', '');
-        ctx.response.redirect(href);
+        await ctx.render('login-two-factor');
+    }
+
+
+    /**
+     * POST /two-factor - process two-factor authentication code: if it verifies, log user in as
+     * per postLogin.
+     */
+    static async postTwoFactor(ctx) {
+        const pending = pendingLogin(ctx);
+        if (!pending) {
+            ctx.flash = { loginfailmsg: 'Session expired: please sign in again' };
+            return ctx.response.redirect('/login');
+        }
+
+        const user = await User.get(pending.id);
+        if (!user || !user.TotpSecret) return ctx.response.redirect('/login');
+
+        // codes are throttled as for passwords
+        const throttle = await LoginThrottle.attempt(user.Email, ctx.request.ip);
+        if (throttle.wait > 0) {
+            ctx.flash = { loginfailmsg: LoginThrottle.message(throttle) };
+            return ctx.response.redirect('/two-factor');
+        }
+
+        if (!await User.verifySecondFactor(user, ctx.request.body.code)) {
+            await LoginThrottle.failure(user.Email, ctx.request.ip, ctx);
+            // redisplay code page with fail message
+            ctx.flash = { loginfailmsg: 'Code not recognised' };
+            return ctx.response.redirect('/two-factor');
+        }
+
+        ctx.cookies.set('sample-app:2fa', null, { signed: true });
+        await LoginThrottle.success(user.Email, ctx.request.ip);
+        setLoginCookie(ctx, user, pending.remember);
+
+        ctx.response.redirect(pending.href);
     }
 
 
@@ -107,9 +168,12 @@ class LoginHandlers {
      * logged with using the 'remember-me' option, then issue a replacement 24-hour token, and renew
      * the cookie for a further 7 days. The 'remember-me' function will lapse after 7 days inactivity.
      *
+     * If the token has been revoked (e.g. the user’s role has been changed, or the user deleted), the
+     * cookie is deleted, and the user is no longer logged in.
+     *
      * Throws 401 if an invalid token is supplied.
      */
-    static verifyJwt(ctx) {
+    static async verifyJwt(ctx) {
         const secretKey = process.env.JWT_SECRET_KEY;
         if (!secretKey) throw new Error('No JWT secret key available');
 
@@ -153,6 +217,13 @@ class LoginHandlers {
             }
         }
 
+        // token revoked since it was issued?
+        if (await User.tokenRevoked(ctx.state.auth.user)) {
+            ctx.cookies.set('sample-app:jwt', null, options);
+            ctx.state.auth = null;
+            return false;
+        }
+
         return true; // payload is now recorded in ctx.state.auth
     }
 
@@ -168,7 +239,7 @@ LoginHandlers.middleware = {
      */
     verifyJwt: function() {
         return async function(ctx, next) {
-            LoginHandlers.verifyJwt(ctx);
+            await LoginHandlers.verifyJwt(ctx);
             // if we had a valid token, the user is now set up as a logged-in user with details in ctx.state.auth
             await next();
         };
@@ -207,11 +278,53 @@ LoginHandlers.middleware = {
 };
 
 
+/**
+ * Create JSON Web Token for user & record it in a signed cookie to ‘log in’ user.
+ *
+ * The JWT payload includes the user id, the user’s role so that authorisation checks can be done
+ * without a database query (just initial letter so that the role in the token is not too obvious),
+ * and whether the token can be renewed for a ‘remember-me’ function.
+ */
+function setLoginCookie(ctx, user, remember) {
+    const payload = {
+        id:       user.UserId,                          // to get user details
+        name:     `${user.Firstname} ${user.Lastname}`, // make name available without db query
+        role:     user.Role.slice(0, 1).toLowerCase(),  // make role available without db query
+        gen:      user.TokenGeneration,                 // so that token can be revoked
+        remember: remember,                             // whether token can be renewed
+    };
+    const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
+
+    // record token in signed cookie; if 'remember-me', set cookie for 1 week, otherwise set session only
+    const options = { signed: true };
+    if (remember) options.expires = new Date(Date.now() + 1000*60*60*24*7);
+
+    ctx.cookies.set('sample-app:jwt', token, options);
+}
+
+
+/**
+ * Payload of pending (password-verified) login awaiting two-factor authentication code, or null if
+ * there is none (or it has expired).
+ */
+function pendingLogin(ctx) {
+    const value = ctx.cookies.get('sample-app:2fa', { signed: true });
+    if (!value) return null;
+
+    try {
+        const pending = JSON.parse(Buffer.from(value, 'base64').toString());
+        return pending.expires > Date.now() ? pending : null;
+    } catch (e) {
+        return null; // malformed
+    }
+}
+
+
 /**
  * Copy payload, expand the cryptic abbreviated roles in the JWT token to full versions.
  */
 function authDetails(jwtPayload) {
-    const roles = { g: 'guest', a: 'admin', s: 'su' };
+    const roles = { g: 'guest', l: 'lead', a: 'admin', s: 'su' };
 
     const details = { ...jwtPayload };     // for user id  to look up user details (use copy of payload to not zap original)
     details.Role = roles[jwtPayload.role]; // expand abbreviated roles for authorisation checks
@@ -0,0 +1,249 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Members import handlers - import members from an uploaded CSV file                             */
+/*                                                                                                */
+/* Import is in three steps: upload the CSV file; map CSV columns to member fields, with preview  */
+/* of the rows to be imported flagging any invalid or duplicate e-mails; and import, reporting    */
+/* the outcome for each row. The CSV text is carried between steps in a (hidden) form field, as   */
+/* the session is cookie-based and cannot hold it.                                                */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import fs from 'fs'; // nodejs.org/api/fs.html
+
+import Member           from '../../models/member.js';
+import Team             from '../../models/team.js';
+import TeamMember       from '../../models/team-member.js';
+import Csv              from '../../lib/csv.js';
+import Db               from '../../lib/mysqldb.js';
+import Permissions      from '../../lib/permissions.js';
+import validationErrors from '../../lib/validation-errors.js';
+
+const fields = [ 'Firstname', 'Lastname', 'Email', 'Active' ]; // member fields CSV columns can be mapped to
+const maxRows = 1000; // upper bound on rows imported from a single file
+
+
+class MembersImportHandlers {
+
+    /**
+     * GET /members/import - render import-members (upload CSV file) page.
+     */
+    static async upload(ctx) {
+        await ctx.render('members-import', {});
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /members/import - process uploaded CSV file (or changed column mapping): render preview
+     * of members to be imported.
+     *
+     * On first upload, columns are mapped to member fields by their headings (where recognised).
+     */
+    static async processPreview(ctx) {
+        try {
+
+            const sheet = await readSheet(ctx);
+            const teams = await teamsFor(ctx.state.auth.user);
+
+            const context = {
+                ...sheet,
+                teams,
+                TeamId: ctx.request.body.TeamId,
+                valid:  sheet.rows.filter(row => row.errors.length == 0).length,
+            };
+            await ctx.render('members-import-preview', context);
+
+        } catch (e) {
+            // return to upload page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect('/members/import');
+        }
+    }
+
+
+    /**
+     * POST /members/import/confirm - import valid members from previewed CSV within a transaction,
+     * optionally adding them to a team, and render report of outcome for each row.
+     *
+     * Each row is imported within a nested transaction, so a failed row leaves no partial changes
+     * (e.g. a member not added to the team); with the ‘all-or-nothing’ option, nothing is imported
+     * if any row is invalid or fails.
+     */
+    static async processImport(ctx) {
+        const body = ctx.request.body;
+
+        const teamId = body.TeamId || null;
+
+        let sheet = null;
+        try {
+
+            sheet = await readSheet(ctx);
+
+            if (teamId && !await Permissions.can(ctx.state.auth.user, 'team-members:write', teamId)) {
+                throw new Error('Permission team-members:write required');
+            }
+
+        } catch (e) {
+            // return to upload page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect('/members/import');
+            return;
+        }
+
+        const atomic = body.atomic ? true : false; // field supplied in post only when checked
+        const joinedOn = new Date().toISOString().replace('T', ' ').split('.')[0];
+
+        const report = await Db.transaction(async function(tx) {
+            const outcomes = [];
+            for (const row of sheet.rows) {
+                const result = { line: row.line, ...row.member };
+                if (row.errors.length > 0) {
+                    outcomes.push({ ...result, outcome: 'skipped', message: row.errors.join('; ') });
+                    continue;
+                }
+                try {
+                    result.MemberId = await Db.transaction(async function() {
+                        const id = await Member.insert(row.member);
+                        if (teamId) await TeamMember.insert({ TeamId: teamId, MemberId: id, JoinedOn: joinedOn });
+                        return id;
+                    });
+                    outcomes.push({ ...result, outcome: 'imported' });
+                } catch (e) {
+                    outcomes.push({ ...result, outcome: 'failed', message: e.message });
+                }
+            }
+
+            const failed = outcomes.some(result => result.outcome != 'imported');
+
+            if (atomic && failed) {
+                await tx.rollback();
+                for (const result of outcomes) {
+                    if (result.outcome != 'imported') continue;
+                    result.outcome = 'not imported';
+                    result.message = 'Not imported as other rows failed';
+                    result.MemberId = null;
+                }
+            }
+
+            return outcomes;
+        });
+
+        const context = {
+            report,
+            imported: report.filter(result => result.outcome == 'imported').length,
+            team:     teamId ? await Team.get(teamId) : null,
+        };
+        await ctx.render('members-import-report', context);
+    }
+
+}
+
+
+/**
+ * Read CSV from request (uploaded file, or text from preview form), and map its columns to member
+ * fields, returning columns with their mappings, and rows with the member details they map to and
+ * any validation errors (including duplicate e-mails, within the file or of existing members).
+ */
+async function readSheet(ctx) {
+    const body = ctx.request.body;
+    const file = ctx.request.files ? ctx.request.files.File : null;
+
+    const uploaded = file && file.size > 0;
+    let csv = body.csv;
+    if (file) {
+        try {
+            if (uploaded) csv = await fs.promises.readFile(file.path, 'utf8');
+        } finally {
+            await fs.promises.unlink(file.path).catch(() => {}); // temporary upload file no longer needed
+        }
+    }
+    if (!csv) throw new Error('No CSV file uploaded');
+
+    const records = Csv.parse(csv);
+    const header = body.header ? true : false; // checkbox on upload (supplied only when checked), hidden field on preview
+    const headings = header ? records.shift() || [] : [];
+    if (records.length == 0) throw new Error('CSV file has no rows');
+    if (records.length > maxRows) throw new Error(`CSV import is limited to ${maxRows} rows`);
+
+    // map columns to fields: by heading on first upload, otherwise as selected in preview form
+    const width = Math.max(headings.length, ...records.map(record => record.length));
+    const columns = [];
+    for (let c=0; c<width; c++) {
+        const heading = headings[c] || `Column ${c+1}`;
+        const field = uploaded ? fieldFor(heading) : body[`column-${c}`] || '';
+        if (field && !fields.includes(field)) throw new Error(`Unrecognised Member field ${field}`);
+        if (field && columns.some(column => column.field == field)) throw new Error(`More than one column mapped to ${field}`);
+        columns.push({ index: c, heading, field });
+    }
+
+    const rows = records.map(function(record, r) {
+        const member = { Firstname: null, Lastname: null, Email: null, Active: true }; // imported members are active unless stated otherwise
+        for (const column of columns.filter(col => col.field)) {
+            const value = (record[column.index] || '').trim();
+            member[column.field] = column.field == 'Active' ? /^(true|yes|y|1|x)$/i.test(value) : value || null;
+        }
+        const errors = validationErrors(member, { Email: 'required type=email' }) || [];
+        if (member.Firstname==null && member.Lastname==null) errors.push('Firstname or Lastname must be supplied');
+        return { line: r + (header ? 2 : 1), cells: record, member, errors };
+    });
+
+    const withEmail = rows.filter(row => row.member.Email);
+
+    // duplicate e-mails within file
+    const seen = new Map(); // lowercased e-mail => line
+    for (const row of withEmail) {
+        const email = row.member.Email.toLowerCase();
+        if (seen.has(email)) row.errors.push(`Duplicate e-mail (line ${seen.get(email)})`);
+        else seen.set(email, row.line);
+    }
+
+    // duplicate e-mails of existing members (members in the trash don’t block re-use of e-mail)
+    if (seen.size > 0) {
+        const [ existing ] = await Db.query('Select MemberId, Email From Member Where Email In (?) And DeletedOn Is Null', [ [ ...seen.keys() ] ]);
+        const members = new Map(existing.map(member => [ member.Email.toLowerCase(), member.MemberId ]));
+        for (const row of withEmail) {
+            const memberId = members.get(row.member.Email.toLowerCase());
+            if (memberId) row.errors.push(`E-mail already belongs to member ${memberId}`);
+        }
+    }
+
+    return { csv, header, columns, rows };
+}
+
+
+/**
+ * Member field (if any) a CSV column heading refers to.
+ */
+function fieldFor(heading) {
+    const synonyms = {
+        Firstname: [ 'firstname', 'first', 'forename', 'givenname' ],
+        Lastname:  [ 'lastname', 'last', 'surname', 'familyname' ],
+        Email:     [ 'email', 'emailaddress' ],
+        Active:    [ 'active' ],
+    };
+    const name = heading.toLowerCase().replace(/[^a-z]/g, '');
+    return fields.find(field => synonyms[field].includes(name)) || '';
+}
+
+
+/**
+ * Teams user can add imported members to.
+ */
+async function teamsFor(user) {
+    const [ teams ] = await Db.query('Select TeamId, Name From Team Where DeletedOn Is Null Order By Name');
+    const permitted = [];
+    for (const team of teams) {
+        if (await Permissions.can(user, 'team-members:write', team.TeamId)) permitted.push(team);
+    }
+    return permitted;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default MembersImportHandlers;
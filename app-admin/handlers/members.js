@@ -6,8 +6,11 @@
 
 import Member           from '../../models/member.js';
 import TeamMember       from '../../models/team-member.js';
+import Csv              from '../../lib/csv.js';
 import Db               from '../../lib/mysqldb.js';
+import QueryFilter      from '../../lib/query-filter.js';
 import validationErrors from '../../lib/validation-errors.js';
+import Xlsx             from '../../lib/xlsx.js';
 
 
 class MembersHandlers {
@@ -15,30 +18,46 @@ class MembersHandlers {
     /**
      * GET /members - render list-members page.
      *
-     * Results can be filtered with URL query strings eg /members?firstname=alice.
+     * Results can be filtered with URL query strings eg /members?firstname=alice, or using filter
+     * operators eg /members?lastname[like]=sm%&active=true (as per the API; see lib/query-filter.js).
      */
     static async list(ctx) {
-        // build sql query including any query-string filters; eg ?field1=val1&field2=val2 becomes
-        // "Where field1 = :field1 And field2 = :field2"
-        let sql = 'Select * From Member';
-        if (ctx.request.querystring) {
-            const filter = Object.keys(ctx.request.query).map(q => `${q} = :${q}`).join(' and ');
-            sql += ' Where ' + filter;
-        }
-        sql += ' Order By Firstname, Lastname';
+        // build sql query including any query-string filters; eg ?field1=val1&field2[ne]=val2 becomes
+        // "Where field1 = :f0 And field2 != :f1"
+        // (members in the trash are excluded)
+        const filter = await QueryFilter.where('Member', ctx.request.query, [ 'DeletedOn Is Null' ]);
 
-        try {
+        const sql = `Select * From Member${filter.sql} Order By Firstname, Lastname`;
 
-            const [ members ] = await Db.query(sql, ctx.request.query);
+        const [ members ] = await Db.query(sql, filter.values);
 
-            await ctx.render('members-list', { members });
+        await ctx.render('members-list', { members, query: ctx.request.querystring }); // query for export links
+    }
 
-        } catch (e) {
-            switch (e.code) {
-                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Member field'); break;
-                default: throw e;
-            }
-        }
+
+    /**
+     * GET /members/export.csv, /members/export.xlsx - download list of members (filtered as per
+     * list-members page), with the teams each member belongs to.
+     */
+    static async export(ctx) {
+        const filter = await QueryFilter.where('Member', ctx.request.query, [ 'DeletedOn Is Null' ]);
+
+        const sql = `Select MemberId, Firstname, Lastname, Email, Active = 1 As Active,
+                            (Select Group_Concat(Name Order By Name Separator '; ')
+                             From TeamMember Inner Join Team Using (TeamId)
+                             Where TeamMember.MemberId = Member.MemberId And Team.DeletedOn Is Null) As Teams
+                     From Member${filter.sql}
+                     Order By Firstname, Lastname`;
+
+        const [ members, fields ] = await Db.query(sql, filter.values);
+        for (const member of members) if (member.Active != null) member.Active = member.Active == 1;
+
+        const rows = Csv.tabulate(members, fields.map(field => field.name));
+
+        ctx.response.attachment(`members.${ctx.params.format}`);
+        ctx.response.body = ctx.params.format == 'xlsx'
+            ? Xlsx.workbook(rows, 'Members')
+            : '\uFEFF' + Csv.stringify(rows); // byte-order mark tells Excel the CSV is UTF-8
     }
 
 
@@ -53,7 +72,7 @@ class MembersHandlers {
         // team membership
         const sql = `Select TeamMemberId, TeamId, Name
                      From Team Inner Join TeamMember Using (TeamId)
-                     Where MemberId = :id`;
+                     Where MemberId = :id And DeletedOn Is Null`;
         const [ teams ] = await Db.query(sql, { id: ctx.params.id });
 
         const context = member;
@@ -83,7 +102,7 @@ class MembersHandlers {
         // team membership
         const sqlT = `Select TeamMemberId, TeamId, Name
                       From TeamMember Inner Join Team Using (TeamId)
-                      Where MemberId = :id
+                      Where MemberId = :id And DeletedOn Is Null
                       Order By Name`;
         const [ memberOfTeams ] = await Db.query(sqlT, { id: ctx.params.id });
         member.memberOfTeams = memberOfTeams;
@@ -93,7 +112,7 @@ class MembersHandlers {
         if (teams.length == 0) teams = [ 0 ]; // dummy to satisfy sql 'in' syntax
         const sqlM = `Select TeamId, Name 
                       From Team 
-                      Where TeamId Not In (${teams.join(',')}) 
+                      Where TeamId Not In (${teams.join(',')}) And DeletedOn Is Null
                       Order By Name`;
         const [ notMemberOfTeams ] = await Db.query(sqlM, teams);
         member.notMemberOfTeams = notMemberOfTeams;
@@ -124,11 +143,6 @@ class MembersHandlers {
      * POST /members/add - process add-member.
      */
     static async processAdd(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         try {
@@ -161,11 +175,6 @@ class MembersHandlers {
      * POST /members/:id/edit - process edit-member.
      */
     static async processEdit(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         // update member details
@@ -182,14 +191,19 @@ class MembersHandlers {
 
                 body.Active = body.Active ? true : false; // field supplied in post only when checked
 
-                await Member.update(ctx.params.id, body);
+                await Member.update(ctx.params.id, body, body.Version); // fails if member changed since form was loaded
 
                 // return to list of members
                 ctx.response.redirect('/members');
 
             } catch (e) {
-                // stay on same page to report error (with current filled fields)
-                ctx.flash = { formdata: body, _error: e.message };
+                if (e.status == 412) {
+                    // someone else has updated the member: reload page showing their changes rather than overwriting them
+                    ctx.flash = { _error: 'Member has been changed by someone else since you started editing: please check and re-apply your changes' };
+                } else {
+                    // stay on same page to report error (with current filled fields)
+                    ctx.flash = { formdata: body, _error: e.message };
+                }
                 ctx.response.redirect(ctx.request.url);
             }
         }
@@ -221,7 +235,13 @@ class MembersHandlers {
         if ('del-team' in body) {
             try {
 
-                await TeamMember.delete(body['del-team']);
+                await Db.transaction(async function() {
+                    // check membership is of this member (permission to edit is checked per member)
+                    const teamMember = await TeamMember.get(body['del-team']);
+                    if (!teamMember || teamMember.MemberId != ctx.params.id) throw new Error('Team membership not found');
+
+                    await TeamMember.delete(body['del-team']);
+                });
                 // stay on same page showing new teams list
                 ctx.response.redirect(ctx.request.url);
 
@@ -238,14 +258,9 @@ class MembersHandlers {
      * POST /members/:id/delete - process delete-member.
      */
     static async processDelete(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         try {
 
-            await Member.delete(ctx.params.id);
+            await Member.delete(ctx.params.id, ctx.request.body.Version); // fails if member changed since page was loaded
 
             // return to list of members
             ctx.response.redirect('/members');
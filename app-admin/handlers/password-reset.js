@@ -4,12 +4,12 @@
 /* GET functions render template pages; POST functions process post requests then redirect.       */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import crypto from 'crypto';     // nodejs.org/api/crypto.html
 import Scrypt from 'scrypt-kdf'; // scrypt key derivation function
 
 import User  from '../../models/user.js';
 import Mail  from '../../lib/mail.js';
 import Pwned from '../../lib/pwned.js';
+import Token from '../../lib/token.js';
 
 /*
  * Password reset sequence is:
@@ -43,23 +43,13 @@ class PasswordResetHandlers {
 
         const [ user ] = await User.getBy('Email', email);
 
-        // current timestamp for token expiry in base36
-        const now = Math.floor(Date.now()/1000).toString(36);
+        // note: generate token before checking if user exists to mitigate against timing attacks
+        const token = Token.generate();
 
-        // random sha256 hash; 1st 8 chars of hash in base36 gives 42 bits of entropy
-        const hash = crypto.createHash('sha256').update(Math.random().toString());
-        const rndHash = parseInt(hash.digest('hex'), 16).toString(36).slice(0, 8);
-        const token = now+'-'+rndHash; // note use timestamp first so it is easier to identify old tokens in db
-
-        // note: do createHash() before checking if user exists to mitigate against timing attacks
         if (!user) { ctx.response.redirect('/password/reset-request-confirm'); return; }
 
-        // record reset request in db
-        await User.update(user.UserId, { PasswordResetRequest: token });
-
-        // send e-mail with generated token
-        const context = { firstname: user.Firstname, host: ctx.request.host, token: token };
-        await Mail.send(`"${user.Firstname} ${user.Lastname}" <${email}>`, 'password-reset.email', context, ctx);
+        // record reset request in db & send e-mail with generated token
+        await PasswordResetHandlers.sendResetLink(ctx, user, token);
 
         ctx.response.set('X-Reset-Token', token); // for testing
 
@@ -67,6 +57,26 @@ class PasswordResetHandlers {
     }
 
 
+    /**
+     * Record password reset request for user, and send them an e-mail with the password reset link.
+     *
+     * Also used by user management to force a password reset (POST /users/:id/reset-password).
+     *
+     * @param   {Object} ctx - Koa context (for host used in reset link).
+     * @param   {Object} user - User details.
+     * @param   {string} [token] - Reset token (generated if not supplied).
+     * @returns {string} Reset token.
+     */
+    static async sendResetLink(ctx, user, token=Token.generate()) {
+        await User.update(user.UserId, { PasswordResetRequest: token });
+
+        const context = { firstname: user.Firstname, host: ctx.request.host, token: token };
+        await Mail.send(`"${user.Firstname} ${user.Lastname}" <${user.Email}>`, 'password-reset.email', context, ctx);
+
+        return token;
+    }
+
+
     /**
      * GET /password/reset/:token - render password reset page
      */
@@ -151,14 +161,9 @@ class PasswordResetHandlers {
  * @returns {Object|boolean} User if token is valid, otherwise null.
  */
 async function userForResetToken(token) {
-    // a valid token contains a single hyphen
-    if (token.split('-').length != 2) return null;
-
-    // the token is a timestamp in base36 and a hash separated by a hyphen
-    const [ timestamp ] = token.split('-'); // (we don't need the hash here)
-
-    // check token is not expired
-    if (Date.now()/1000 - parseInt(timestamp, 36) > 60*60*24) return null;
+    // check token is well-formed and not expired
+    const age = Token.age(token);
+    if (age == null || age > 60*60*24) return null;
 
     // check token has been recorded (and not used)
     const [ user ] = await User.getBy('PasswordResetRequest', token);
@@ -0,0 +1,42 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Search handlers - full-text search across members & teams (from nav search box)                */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Permissions from '../../lib/permissions.js';
+import Search      from '../../lib/search.js';
+
+const limit = 50; // results of each type shown
+
+
+class SearchHandlers {
+
+    /**
+     * GET /search?q= - render search results page (members & teams matching search text, most
+     * relevant first); only types the user has read permission for are searched.
+     */
+    static async search(ctx) {
+        const q = ctx.request.query.q || '';
+        const user = ctx.state.auth.user;
+
+        const readMembers = await Permissions.can(user, 'members:read');
+        const readTeams = await Permissions.can(user, 'teams:read');
+        if (!readMembers && !readTeams) ctx.throw(403, 'Permission members:read or teams:read required');
+
+        const context = {
+            q,
+            readMembers,
+            readTeams,
+            members: readMembers ? await Search.members(q, limit) : [],
+            teams:   readTeams ? await Search.teams(q, limit) : [],
+        };
+        await ctx.render('search', context);
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default SearchHandlers;
@@ -6,8 +6,13 @@
 
 import Team             from '../../models/team.js';
 import TeamMember       from '../../models/team-member.js';
+import TeamManager      from '../../models/team-manager.js';
+import Csv              from '../../lib/csv.js';
 import Db               from '../../lib/mysqldb.js';
+import Permissions      from '../../lib/permissions.js';
+import QueryFilter      from '../../lib/query-filter.js';
 import validationErrors from '../../lib/validation-errors.js';
+import Xlsx             from '../../lib/xlsx.js';
 
 
 class TeamsHandlers {
@@ -15,30 +20,45 @@ class TeamsHandlers {
     /**
      * GET /teams - render list-teams page.
      *
-     * Results can be filtered with URL query strings eg /teams?name=alpha.
+     * Results can be filtered with URL query strings eg /teams?name=alpha, or using filter operators
+     * eg /teams?name[like]=a% (as per the API; see lib/query-filter.js).
      */
     static async list(ctx) {
-        // build sql query including any query-string filters; eg ?field1=val1&field2=val2 becomes
-        // "Where field1 = :field1 And field2 = :field2"
-        let sql = 'Select * From Team';
-        if (ctx.request.querystring) {
-            const filter = Object.keys(ctx.request.query).map(q => `${q} = :${q}`).join(' and ');
-            sql += ' Where '+filter;
-        }
-        sql +=  ' Order By Name';
+        // build sql query including any query-string filters; eg ?field1=val1&field2[ne]=val2 becomes
+        // "Where field1 = :f0 And field2 != :f1"
+        // (teams in the trash are excluded)
+        const filter = await QueryFilter.where('Team', ctx.request.query, [ 'DeletedOn Is Null' ]);
 
-        try {
+        const sql = `Select * From Team${filter.sql} Order By Name`;
 
-            const [ teams ] = await Db.query(sql, ctx.request.query);
+        const [ teams ] = await Db.query(sql, filter.values);
 
-            await ctx.render('teams-list', { teams });
+        await ctx.render('teams-list', { teams, query: ctx.request.querystring }); // query for export links
+    }
 
-        } catch (e) {
-            switch (e.code) {
-                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Team field'); break;
-                default: throw e;
-            }
-        }
+
+    /**
+     * GET /teams/export.csv, /teams/export.xlsx - download list of teams (filtered as per list-teams
+     * page), with the number of members of each team.
+     */
+    static async export(ctx) {
+        const filter = await QueryFilter.where('Team', ctx.request.query, [ 'DeletedOn Is Null' ]);
+
+        const sql = `Select TeamId, Name,
+                            (Select Count(*)
+                             From TeamMember Inner Join Member Using (MemberId)
+                             Where TeamMember.TeamId = Team.TeamId And Member.DeletedOn Is Null) As Members
+                     From Team${filter.sql}
+                     Order By Name`;
+
+        const [ teams, fields ] = await Db.query(sql, filter.values);
+
+        const rows = Csv.tabulate(teams, fields.map(field => field.name));
+
+        ctx.response.attachment(`teams.${ctx.params.format}`);
+        ctx.response.body = ctx.params.format == 'xlsx'
+            ? Xlsx.workbook(rows, 'Teams')
+            : '\uFEFF' + Csv.stringify(rows); // byte-order mark tells Excel the CSV is UTF-8
     }
 
 
@@ -53,7 +73,7 @@ class TeamsHandlers {
         // team members
         const sql = `Select TeamMemberId, MemberId, Firstname, Lastname
                      From Member Inner Join TeamMember Using (MemberId)
-                     Where TeamId = :id`;
+                     Where TeamId = :id And DeletedOn Is Null`;
         const [ members ] = await Db.query(sql, { id: ctx.params.id });
 
         const context = team;
@@ -83,7 +103,7 @@ class TeamsHandlers {
         // team members
         const sqlT = `Select TeamMemberId, MemberId, Firstname, Lastname
                       From TeamMember Inner Join Member Using (MemberId)
-                      Where TeamId = :id
+                      Where TeamId = :id And DeletedOn Is Null
                       Order By Firstname, Lastname`;
         const [ teamMembers ] = await Db.query(sqlT, { id: ctx.params.id });
         team.teamMembers = teamMembers;
@@ -93,11 +113,28 @@ class TeamsHandlers {
         if (members.length == 0) members = [ 0 ]; // dummy to satisfy sql 'in' syntax
         const sqlM = `Select MemberId, Firstname, Lastname
                       From Member
-                      Where MemberId Not In (`+members.join(',')+`)
+                      Where MemberId Not In (`+members.join(',')+`) And DeletedOn Is Null
                       Order By Firstname, Lastname`;
         const [ notTeamMembers ] = await Db.query(sqlM, members);
         team.notTeamMembers = notTeamMembers;
 
+        // team managers, and users with lead role who could be added as managers
+        const sqlTM = `Select TeamManagerId, UserId, Firstname, Lastname
+                       From TeamManager Inner Join User Using (UserId)
+                       Where TeamId = :id
+                       Order By Firstname, Lastname`;
+        const [ teamManagers ] = await Db.query(sqlTM, { id: ctx.params.id });
+        team.teamManagers = teamManagers;
+        const sqlL = `Select UserId, Firstname, Lastname
+                      From User
+                      Where Role = 'lead' And UserId Not In (Select UserId From TeamManager Where TeamId = :id)
+                      Order By Firstname, Lastname`;
+        const [ notTeamManagers ] = await Db.query(sqlL, { id: ctx.params.id });
+        team.notTeamManagers = notTeamManagers;
+
+        // only users with (global) teams:write permission can assign team managers
+        team.canAssignManagers = await Permissions.can(ctx.state.auth.user, 'teams:write');
+
         const context = team;
         await ctx.render('teams-edit', context);
     }
@@ -124,11 +161,6 @@ class TeamsHandlers {
      * POST /teams/add - process add-team.
      */
     static async processAdd(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         try {
@@ -159,11 +191,6 @@ class TeamsHandlers {
      * POST /teams/:id/edit - process edit-team.
      */
     static async processEdit(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         // update team details
@@ -178,14 +205,19 @@ class TeamsHandlers {
                     throw new Error(validationErrors(body, validation));
                 }
 
-                await Team.update(ctx.params.id, body);
+                await Team.update(ctx.params.id, body, body.Version); // fails if team changed since form was loaded
 
                 // return to list of members
                 ctx.response.redirect('/teams');
 
             } catch (e) {
-                // stay on same page to report error (with current filled fields)
-                ctx.flash = { formdata: body, _error: e.message };
+                if (e.status == 412) {
+                    // someone else has updated the team: reload page showing their changes rather than overwriting them
+                    ctx.flash = { _error: 'Team has been changed by someone else since you started editing: please check and re-apply your changes' };
+                } else {
+                    // stay on same page to report error (with current filled fields)
+                    ctx.flash = { formdata: body, _error: e.message };
+                }
                 ctx.response.redirect(ctx.request.url);
             }
         }
@@ -217,7 +249,13 @@ class TeamsHandlers {
         if ('del-member' in body) {
             try {
 
-                await TeamMember.delete(body['del-member']);
+                await Db.transaction(async function() {
+                    // check membership is of this team (permission to edit is checked per team)
+                    const teamMember = await TeamMember.get(body['del-member']);
+                    if (!teamMember || teamMember.TeamId != ctx.params.id) throw new Error('Team member not found');
+
+                    await TeamMember.delete(body['del-member']);
+                });
                 // stay on same page showing new members list
                 ctx.response.redirect(ctx.request.url);
 
@@ -227,6 +265,34 @@ class TeamsHandlers {
                 ctx.response.redirect(ctx.request.url);
             }
         }
+
+        // add/remove team manager (only users with global teams:write permission, not team managers themselves)
+        if ('add-manager' in body || 'del-manager' in body) {
+            try {
+
+                if (!await Permissions.can(ctx.state.auth.user, 'teams:write')) {
+                    throw new Error('Assigning team managers requires teams:write permission');
+                }
+
+                if ('add-manager' in body) {
+                    await TeamManager.insert({ TeamId: ctx.params.id, UserId: body['add-manager'] });
+                }
+
+                if ('del-manager' in body) {
+                    const teamManager = await TeamManager.get(body['del-manager']);
+                    if (!teamManager || teamManager.TeamId != ctx.params.id) throw new Error('Team manager not found');
+                    await TeamManager.delete(body['del-manager']);
+                }
+
+                // stay on same page showing new managers list
+                ctx.response.redirect(ctx.request.url);
+
+            } catch (e) {
+                // stay on same page to report error
+                ctx.flash = { _error: e.message };
+                ctx.response.redirect(ctx.request.url);
+            }
+        }
     }
 
 
@@ -234,14 +300,9 @@ class TeamsHandlers {
      * POST /teams/:id/delete - process delete-team.
      */
     static async processDelete(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         try {
 
-            await Team.delete(ctx.params.id);
+            await Team.delete(ctx.params.id, ctx.request.body.Version); // fails if team changed since page was loaded
 
             // return to list of teams
             ctx.response.redirect('/teams');
@@ -0,0 +1,81 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Trash handlers - list & restore deleted members and teams                                      */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Member from '../../models/member.js';
+import Team   from '../../models/team.js';
+import Db     from '../../lib/mysqldb.js';
+import Trash  from '../../lib/trash.js';
+
+
+class TrashHandlers {
+
+    /**
+     * GET /trash - render trash page (deleted members & teams, most recently deleted first).
+     */
+    static async list(ctx) {
+        const sqlM = `Select MemberId, Firstname, Lastname, Email, DeletedOn
+                      From Member
+                      Where DeletedOn Is Not Null
+                      Order By DeletedOn Desc`;
+        const [ members ] = await Db.query(sqlM);
+
+        const sqlT = `Select TeamId, Name, DeletedOn
+                      From Team
+                      Where DeletedOn Is Not Null
+                      Order By DeletedOn Desc`;
+        const [ teams ] = await Db.query(sqlT);
+
+        const context = { members, teams, retentionDays: Trash.retentionDays };
+        await ctx.render('trash', context);
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /trash/members/:id/restore - process restore-member.
+     */
+    static async processRestoreMember(ctx) {
+        try {
+
+            const restored = await Member.restore(ctx.params.id);
+            if (!restored) throw new Error('Deleted member not found');
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to trash (to report any error)
+        ctx.response.redirect('/trash');
+    }
+
+
+    /**
+     * POST /trash/teams/:id/restore - process restore-team.
+     */
+    static async processRestoreTeam(ctx) {
+        try {
+
+            const restored = await Team.restore(ctx.params.id);
+            if (!restored) throw new Error('Deleted team not found');
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to trash (to report any error)
+        ctx.response.redirect('/trash');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default TrashHandlers;
@@ -0,0 +1,142 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Two-factor authentication handlers (invoked by router to render templates)                     */
+/*                                                                                                */
+/* Users optionally enable two-factor authentication for their own login: they add a TOTP secret  */
+/* to their authenticator app (by scanning a QR code), and confirm it with a code from the app.   */
+/* They are then issued a set of single-use recovery codes, which are only shown once.            */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import QRCode from 'qrcode'; // QR code generator
+
+import User         from '../../models/user.js';
+import RecoveryCode from '../../models/recovery-code.js';
+import Db           from '../../lib/mysqldb.js';
+import Totp         from '../../lib/totp.js';
+
+
+class TwoFactorHandlers {
+
+    /**
+     * GET /two-factor/setup - render two-factor authentication page: either a new secret (with QR
+     * code) to be confirmed, or (if already enabled) options to regenerate recovery codes or disable.
+     */
+    static async setup(ctx) {
+        const user = await User.get(ctx.state.auth.user.id);
+
+        if (user.TotpSecret) {
+            const remaining = await RecoveryCode.remaining(user.UserId);
+            await ctx.render('two-factor-setup', { enabled: true, remaining });
+            return;
+        }
+
+        // new secret to be added to authenticator app (retained if confirmation fails); the QR code
+        // is inline SVG, as the content security policy doesn’t allow data: images
+        const secret = ctx.flash.secret || Totp.generateSecret();
+        const qrCode = await QRCode.toString(Totp.uri(secret, user.Email, ctx.state.domain), { type: 'svg' });
+
+        await ctx.render('two-factor-setup', { secret, qrCode });
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /two-factor/setup - process enable two-factor authentication, confirmed by code from
+     * authenticator app.
+     *
+     * The recovery codes are rendered directly (rather than via a redirect) as they are not recorded
+     * anywhere, and should not be passed through the flash cookie.
+     *
+     * Any tokens the user holds (admin login cookies, API JWTs & refresh tokens) were issued without
+     * a second factor, so are revoked: this includes the current login, so the user will need to log
+     * in again (with a code) once they have noted their recovery codes.
+     */
+    static async processSetup(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            if (!/^[A-Z2-7]{32}$/.test(body.secret)) throw new Error('Invalid secret');
+
+            const user = await User.get(ctx.state.auth.user.id);
+            if (user.TotpSecret) throw new Error('Two-factor authentication is already enabled');
+
+            const step = Totp.verify(body.secret, body.code);
+            if (step == null) throw new Error('Code not recognised (check the time on your device is correct)');
+
+            const recoveryCodes = await Db.transaction(async function() {
+                await User.update(user.UserId, { TotpSecret: body.secret, TotpLastStep: step });
+                await User.revokeTokens(user.UserId);
+                return await RecoveryCode.replace(user.UserId);
+            });
+
+            await ctx.render('two-factor-recovery-codes', { recoveryCodes });
+
+        } catch (e) {
+            // return to setup page to report error (with same secret)
+            ctx.flash = { secret: body.secret, _error: e.message };
+            ctx.response.redirect('/two-factor/setup');
+        }
+    }
+
+
+    /**
+     * POST /two-factor/recovery-codes - process regenerate recovery codes (replacing any remaining
+     * ones), confirmed by current code.
+     */
+    static async processRecoveryCodes(ctx) {
+        try {
+
+            const user = await User.get(ctx.state.auth.user.id);
+            if (!user.TotpSecret) throw new Error('Two-factor authentication is not enabled');
+
+            if (!await User.verifySecondFactor(user, ctx.request.body.code)) throw new Error('Code not recognised');
+
+            const recoveryCodes = await RecoveryCode.replace(user.UserId);
+
+            await ctx.render('two-factor-recovery-codes', { recoveryCodes });
+
+        } catch (e) {
+            // return to setup page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect('/two-factor/setup');
+        }
+    }
+
+
+    /**
+     * POST /two-factor/disable - process disable two-factor authentication, confirmed by current
+     * code.
+     */
+    static async processDisable(ctx) {
+        try {
+
+            const user = await User.get(ctx.state.auth.user.id);
+            if (!user.TotpSecret) throw new Error('Two-factor authentication is not enabled');
+
+            if (!await User.verifySecondFactor(user, ctx.request.body.code)) throw new Error('Code not recognised');
+
+            await Db.transaction(async function() {
+                await User.update(user.UserId, { TotpSecret: null, TotpLastStep: null });
+                await RecoveryCode.deleteAll(user.UserId);
+            });
+
+        } catch (e) {
+            ctx.flash = { _error: e.message };
+        }
+
+        // return to setup page (to report any error)
+        ctx.response.redirect('/two-factor/setup');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default TwoFactorHandlers;
@@ -0,0 +1,270 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Users handlers (invoked by router to render templates)                                         */
+/*                                                                                                */
+/* Management of users allowed to access the system (requires users:manage permission). Users’    */
+/* passwords are never set here: a password reset can be forced, which clears the user’s current  */
+/* password and e-mails them a link to set a new one.                                             */
+/*                                                                                                */
+/* Users cannot assign a role above their own, nor manage users who outrank them (so an admin     */
+/* cannot create an su, or act on one).                                                           */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import ApiKey                from '../../models/api-key.js';
+import Invitation            from '../../models/invitation.js';
+import User                  from '../../models/user.js';
+import Db                    from '../../lib/mysqldb.js';
+import validationErrors      from '../../lib/validation-errors.js';
+import PasswordResetHandlers from './password-reset.js';
+
+
+class UsersHandlers {
+
+    /**
+     * GET /users - render list-users page (with pending invitations).
+     */
+    static async list(ctx) {
+        const sql = `Select UserId, Firstname, Lastname, Email, Role, Password Is Null As NoPassword
+                     From User
+                     Order By Firstname, Lastname`;
+
+        const [ users ] = await Db.query(sql);
+
+        // pending (not accepted and not expired) invitations (see handlers/invitations.js)
+        const sqlI = `Select InvitationId, Email, Role, InvitedOn
+                      From Invitation
+                      Where AcceptedOn Is Null
+                        And InvitedOn > utc_timestamp() - Interval :validity Second
+                      Order By InvitedOn Desc`;
+        const [ invitations ] = await Db.query(sqlI, { validity: Invitation.validity });
+
+        await ctx.render('users-list', { users, invitations });
+    }
+
+
+    /**
+     * GET /users/add - render add-user page.
+     */
+    static async add(ctx) {
+        const context = ctx.flash.formdata || {}; // failed validation? fill in previous values
+        context.roles = assignableRoles(await actingUser(ctx));
+        await ctx.render('users-add', context);
+    }
+
+
+    /**
+     * GET /users/:id/edit - render edit-user page.
+     */
+    static async edit(ctx) {
+        const user = await User.get(ctx.params.id);
+        if (!user) ctx.throw(404, 'User not found');
+        const actor = await actingUser(ctx);
+        if (User.outranks(user.Role, actor.Role)) ctx.throw(403, 'You cannot manage users with a higher role than your own');
+        if (ctx.flash.formdata) Object.assign(user, ctx.flash.formdata); // failed validation? fill in previous values
+
+        const context = {
+            UserId:            user.UserId,
+            Firstname:         user.Firstname,
+            Lastname:          user.Lastname,
+            Email:             user.Email,
+            Role:              user.Role,
+            roles:             assignableRoles(actor),
+            passwordReset:     user.PasswordResetRequest != null,       // reset requested but not yet completed
+            isSelf:            user.UserId == ctx.state.auth.user.id,   // users cannot change their own role
+            resetConfirmation: ctx.flash.resetConfirmation,
+        };
+        await ctx.render('users-edit', context);
+    }
+
+
+    /**
+     * GET /users/:id/delete - render delete-user page.
+     */
+    static async delete(ctx) {
+        const user = await User.get(ctx.params.id);
+        if (!user) ctx.throw(404, 'User not found');
+        const actor = await actingUser(ctx);
+        if (User.outranks(user.Role, actor.Role)) ctx.throw(403, 'You cannot manage users with a higher role than your own');
+
+        const context = { UserId: user.UserId, Firstname: user.Firstname, Lastname: user.Lastname, Email: user.Email };
+        await ctx.render('users-delete', context);
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /users/add - process add-user.
+     *
+     * The new user has no password: they can set one with a (forced or requested) password reset.
+     */
+    static async processAdd(ctx) {
+        const body = ctx.request.body;
+        const actor = await actingUser(ctx);
+
+        try {
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'required type=email',
+                Role:  'required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+            if (!User.roles.includes(body.Role)) throw new Error(`Unrecognised role ${body.Role}`);
+            if (User.outranks(body.Role, actor.Role)) throw new Error(`You cannot assign role ${body.Role}`);
+
+            const values = { Firstname: body.Firstname, Lastname: body.Lastname, Email: body.Email, Role: body.Role };
+            const id = await User.insert(values);
+            ctx.response.set('X-Insert-Id', id); // for integration tests
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /users/:id/edit - process edit-user.
+     *
+     * If the user’s role is changed, tokens already issued to them (which record their role) are
+     * revoked, so that they must sign in again.
+     */
+    static async processEdit(ctx) {
+        const body = ctx.request.body;
+        const actor = await actingUser(ctx);
+
+        try {
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'required type=email',
+                Role:  'required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+            if (!User.roles.includes(body.Role)) throw new Error(`Unrecognised role ${body.Role}`);
+            if (User.outranks(body.Role, actor.Role)) throw new Error(`You cannot assign role ${body.Role}`);
+
+            await Db.transaction(async function() {
+                const user = await User.get(ctx.params.id);
+                if (!user) throw new Error('User not found');
+                if (User.outranks(user.Role, actor.Role)) throw new Error('You cannot manage users with a higher role than your own');
+                if (user.UserId == ctx.state.auth.user.id && body.Role != user.Role) throw new Error('You cannot change your own role');
+
+                const values = { Firstname: body.Firstname, Lastname: body.Lastname, Email: body.Email, Role: body.Role };
+                await User.update(ctx.params.id, values);
+                if (body.Role != user.Role) await User.revokeTokens(user.UserId);
+            });
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /users/:id/reset-password - force password reset: clear user’s password, and e-mail
+     * them a password reset link (as per /password/reset-request).
+     *
+     * A forced reset suggests the user’s credentials may be compromised, so tokens already issued
+     * to them (admin login, API tokens & refresh tokens) and their API keys are revoked along with
+     * their password.
+     */
+    static async processResetPassword(ctx) {
+        const actor = await actingUser(ctx);
+
+        try {
+
+            const user = await User.get(ctx.params.id);
+            if (!user) throw new Error('User not found');
+            if (User.outranks(user.Role, actor.Role)) throw new Error('You cannot manage users with a higher role than your own');
+
+            await Db.transaction(async function() {
+                await User.update(user.UserId, { Password: null });
+                await User.revokeTokens(user.UserId);
+                await ApiKey.deleteForUser(user.UserId);
+            });
+            const token = await PasswordResetHandlers.sendResetLink(ctx, user);
+            ctx.response.set('X-Reset-Token', token); // for testing
+
+            // stay on edit page, confirming reset
+            ctx.flash = { resetConfirmation: `Password reset e-mail sent to ${user.Email}` };
+            ctx.response.redirect(`/users/${ctx.params.id}/edit`);
+
+        } catch (e) {
+            // return to edit page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(`/users/${ctx.params.id}/edit`);
+        }
+    }
+
+
+    /**
+     * POST /users/:id/delete - process delete-user.
+     */
+    static async processDelete(ctx) {
+        const actor = await actingUser(ctx);
+
+        try {
+
+            if (ctx.params.id == ctx.state.auth.user.id) throw new Error('You cannot delete yourself');
+
+            await Db.transaction(async function() {
+                const user = await User.get(ctx.params.id);
+                if (!user) throw new Error('User not found');
+                if (User.outranks(user.Role, actor.Role)) throw new Error('You cannot manage users with a higher role than your own');
+                await User.delete(ctx.params.id);
+            });
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+}
+
+
+/**
+ * Returns details of signed-in user (the JWT records only the initial letter of their role); throws
+ * 403 if they no longer exist.
+ */
+async function actingUser(ctx) {
+    const actor = await User.get(ctx.state.auth.user.id);
+    if (!actor) ctx.throw(403, 'Forbidden');
+    return actor;
+}
+
+
+/**
+ * Returns roles given user can assign to other users (no higher than their own).
+ */
+function assignableRoles(actor) {
+    return User.roles.filter(role => !User.outranks(role, actor.Role));
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default UsersHandlers;
@@ -0,0 +1,20 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  API keys routes                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import apiKeys from '../handlers/api-keys.js';
+
+
+router.get('/api-keys',             apiKeys.list);          // render list api keys page
+
+router.post('/api-keys/add',        apiKeys.processAdd);    // process add api key (renders new key)
+router.post('/api-keys/:id/delete', apiKeys.processDelete); // process revoke api key
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
@@ -12,6 +12,8 @@ import Dev from '../handlers/dev.js';
 router.get('/dev/nodeinfo',            Dev.nodeinfo);
 router.get('/dev/log-access',          Dev.logAccess);
 router.get('/dev/log-error',           Dev.logError);
+router.get('/dev/queries',             Dev.queries);
+router.get('/dev/db-pool',             Dev.dbPool);
 router.get('/dev/ajax/ip-domain/:ip',  Dev.ajaxIpDomain);
 router.get('/dev/table/:table',        Dev.tableInspector);
 
@@ -0,0 +1,21 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  History (audit trail) routes                                                                  */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import history     from '../handlers/history.js';
+import Permissions from '../../lib/permissions.js';
+
+const audit = Permissions.requirePermission('audit:read');
+
+
+router.get('/members/:id/history', audit, history.members); // render member history page
+router.get('/teams/:id/history',   audit, history.teams);   // render team history page
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
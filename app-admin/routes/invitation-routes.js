@@ -0,0 +1,21 @@
+/* eslint space-in-parens: off */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Invitation routes (accepting an invitation does not require login)                            */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import invitations from '../handlers/invitations.js';
+
+router.get( '/invitation/accepted', invitations.accepted);      // render invitation accepted confirmation page
+router.get( '/invitation/:token',   invitations.accept);        // render accept invitation page
+router.post('/invitation/:token',   invitations.processAccept); // process accept invitation (creates user)
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
@@ -10,10 +10,12 @@ import login from '../handlers/login.js';
 
 
 // note url allowed after '/login' to redirect to after successful login
-router.get(/\/login(.*)/,  login.getLogin);    // render login page
-router.get('/logout',      login.getLogout);   // log user out
+router.get(/\/login(.*)/,  login.getLogin);      // render login page
+router.get('/two-factor',  login.getTwoFactor);  // render two-factor authentication code page
+router.get('/logout',      login.getLogout);     // log user out
 
-router.post(/\/login(.*)/, login.postLogin);   // process login
+router.post(/\/login(.*)/, login.postLogin);     // process login
+router.post('/two-factor', login.postTwoFactor); // process two-factor authentication code
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -6,18 +6,28 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import members from '../handlers/members.js';
-
-
-router.get('/members',             members.list);          // render list members page
-router.get('/members/add',         members.add);           // render add a new member page
-router.get('/members/:id',         members.view);          // render view member details page
-router.get('/members/:id/edit',    members.edit);          // render edit member details page
-router.get('/members/:id/delete',  members.delete);        // render delete a member page
-
-router.post('/members/add',        members.processAdd);    // process add member
-router.post('/members/:id/edit',   members.processEdit);   // process edit member
-router.post('/members/:id/delete', members.processDelete); // process delete member
+import members       from '../handlers/members.js';
+import membersImport from '../handlers/members-import.js';
+import Permissions   from '../../lib/permissions.js';
+
+const read     = Permissions.requirePermission('members:read');
+const write    = Permissions.requirePermission('members:write');
+const writeOwn = Permissions.requirePermission('members:write', ctx => Permissions.teamsOfMember(ctx.params.id)); // team managers can edit their members
+
+
+router.get('/members',                          read,     members.list);                 // render list members page
+router.get('/members/add',                      write,    members.add);                  // render add a new member page
+router.get('/members/export.:format(csv|xlsx)', read,     members.export);               // download list of members
+router.get('/members/import',                   write,    membersImport.upload);         // render import members (upload CSV) page
+router.get('/members/:id',                      read,     members.view);                 // render view member details page
+router.get('/members/:id/edit',                 writeOwn, members.edit);                 // render edit member details page
+router.get('/members/:id/delete',               write,    members.delete);               // render delete a member page
+
+router.post('/members/add',                     write,    members.processAdd);           // process add member
+router.post('/members/import',                  write,    membersImport.processPreview); // process CSV upload: render import preview
+router.post('/members/import/confirm',          write,    membersImport.processImport);  // process import members: render report
+router.post('/members/:id/edit',                writeOwn, members.processEdit);          // process edit member
+router.post('/members/:id/delete',              write,    members.processDelete);        // process delete member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
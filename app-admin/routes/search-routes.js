@@ -0,0 +1,17 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Search routes                                                                                 */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import search from '../handlers/search.js';
+
+
+router.get('/search', search.search); // render search results page (read permissions are checked per type)
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
@@ -6,18 +6,24 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams from '../handlers/teams.js';
+import teams       from '../handlers/teams.js';
+import Permissions from '../../lib/permissions.js';
 
+const read     = Permissions.requirePermission('teams:read');
+const write    = Permissions.requirePermission('teams:write');
+const writeOwn = Permissions.requirePermission('teams:write', ctx => ctx.params.id); // team leads can edit own team
 
-router.get('/teams',               teams.list);          // render list members page
-router.get('/teams/add',           teams.add);           // render add a new member page
-router.get('/teams/:id',           teams.view);          // render view member details page
-router.get('/teams/:id/edit',      teams.edit);          // render edit member details page
-router.get('/teams/:id/delete',    teams.delete);        // render delete a member page
 
-router.post('/teams/add',          teams.processAdd);    // process add member
-router.post('/teams/:id/edit',     teams.processEdit);   // process edit member
-router.post('/teams/:id/delete',   teams.processDelete); // process delete member
+router.get('/teams',                          read,     teams.list);          // render list members page
+router.get('/teams/add',                      write,    teams.add);           // render add a new member page
+router.get('/teams/export.:format(csv|xlsx)', read,     teams.export);        // download list of teams
+router.get('/teams/:id',                      read,     teams.view);          // render view member details page
+router.get('/teams/:id/edit',                 writeOwn, teams.edit);          // render edit member details page
+router.get('/teams/:id/delete',               write,    teams.delete);        // render delete a member page
+
+router.post('/teams/add',                     write,    teams.processAdd);    // process add member
+router.post('/teams/:id/edit',                writeOwn, teams.processEdit);   // process edit member
+router.post('/teams/:id/delete',              write,    teams.processDelete); // process delete member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
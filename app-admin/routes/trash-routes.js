@@ -0,0 +1,24 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Trash (deleted members & teams) routes                                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import trash       from '../handlers/trash.js';
+import Permissions from '../../lib/permissions.js';
+
+const members = Permissions.requirePermission('members:write');
+const teams   = Permissions.requirePermission('teams:write');
+
+
+router.get('/trash',                      members, trash.list);                 // render trash page
+
+router.post('/trash/members/:id/restore', members, trash.processRestoreMember); // process restore member
+router.post('/trash/teams/:id/restore',   teams,   trash.processRestoreTeam);   // process restore team
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
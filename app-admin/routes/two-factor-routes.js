@@ -0,0 +1,21 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Two-factor authentication routes                                                              */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import twoFactor from '../handlers/two-factor.js';
+
+
+router.get('/two-factor/setup',           twoFactor.setup);                // render two-factor setup page
+
+router.post('/two-factor/setup',          twoFactor.processSetup);         // process enable (renders recovery codes)
+router.post('/two-factor/recovery-codes', twoFactor.processRecoveryCodes); // process regenerate recovery codes
+router.post('/two-factor/disable',        twoFactor.processDisable);       // process disable
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
@@ -0,0 +1,35 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Users routes                                                                                  */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import users       from '../handlers/users.js';
+import invitations from '../handlers/invitations.js';
+import lockouts    from '../handlers/lockouts.js';
+import Permissions from '../../lib/permissions.js';
+
+const manage = Permissions.requirePermission('users:manage'); // admins only
+
+
+router.get('/users',                         manage, users.list);                 // render list users page
+router.get('/users/add',                     manage, users.add);                  // render add a new user page
+router.get('/users/invite',                  manage, invitations.invite);         // render invite a new user page
+router.get('/users/lockouts',                manage, lockouts.list);              // render login lockouts page
+router.get('/users/:id/edit',                manage, users.edit);                 // render edit user details page
+router.get('/users/:id/delete',              manage, users.delete);               // render delete a user page
+
+router.post('/users/add',                    manage, users.processAdd);           // process add user
+router.post('/users/invite',                 manage, invitations.processInvite);  // process invite user (sends e-mail)
+router.post('/users/invitations/:id/delete', manage, invitations.processDelete);  // process revoke invitation
+router.post('/users/lockouts/clear',         manage, lockouts.processClear);      // process clear lockout
+router.post('/users/:id/edit',               manage, users.processEdit);          // process edit user
+router.post('/users/:id/reset-password',     manage, users.processResetPassword); // process force password reset
+router.post('/users/:id/delete',             manage, users.processDelete);        // process delete user
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
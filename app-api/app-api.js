@@ -3,10 +3,19 @@
 /*                                                                                                */
 /* The API provides GET / POST / PATCH / DELETE methods on a variety of resources.                */
 /*                                                                                                */
-/* 2xx responses honour the request Accept type (json/xml/yaml/text) for the response body;       */
+/* 2xx responses honour the request Accept type (json/xml/yaml/text/csv/xlsx) for the response    */
+/* body (csv & xlsx give a table with a column for each field, and a row for each list entry);    */
 /* 4xx/5xx responses provide a simple text message in the body.                                   */
 /*                                                                                                */
 /* A GET on a collection which returns no results returns a 204 / No Content response.            */
+/*                                                                                                */
+/* Collections are returned in pages, with X-Total-Count and Link headers (see list-options.js).  */
+/*                                                                                                */
+/* GET responses have ETag & Last-Modified validators, and honour conditional requests (see       */
+/* caching.js).                                                                                   */
+/*                                                                                                */
+/* Requests are rate-limited per user (or per IP address for /auth), with RateLimit-* headers,    */
+/* and 429 / Too Many Requests responses once the limit is exceeded (see lib/rate-limit.js).      */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import Koa    from 'koa';          // Koa framework
@@ -16,9 +25,13 @@ import Debug  from 'debug';        // small debugging utility
 
 const debug = Debug('app:req'); // debug each request
 
-import Log   from '../lib/log.js';
-import Ssl   from '../lib/ssl-middleware.js';
-import Auth  from './auth.js';
+import Csv       from '../lib/csv.js';
+import Log       from '../lib/log.js';
+import RateLimit from '../lib/rate-limit.js';
+import Ssl       from '../lib/ssl-middleware.js';
+import Xlsx      from '../lib/xlsx.js';
+import Auth      from './auth.js';
+import Caching   from './caching.js';
 
 
 const app = new Koa(); // API app
@@ -35,14 +48,19 @@ app.use(async function logAccess(ctx, next) {
 });
 
 
-// content negotiation: api will respond with json, xml, or yaml
+// conditional GET: set validators (computed from response after content negotiation), and return
+// 304 Not Modified if client's cached copy is current
+app.use(Caching.conditionalGet());
+
+
+// content negotiation: api will respond with json, xml, yaml, csv, or xlsx
 app.use(async function contentNegotiation(ctx, next) {
     await next();
 
     if (!ctx.response.body) return; // no content to return
 
     // check Accept header for preferred response type
-    const type = ctx.request.accepts('json', 'xml', 'yaml', 'text');
+    const type = ctx.request.accepts('json', 'xml', 'yaml', 'text', 'csv', 'xlsx');
 
     switch (type) {
         case 'json':
@@ -61,6 +79,17 @@ app.use(async function contentNegotiation(ctx, next) {
             ctx.response.type = 'yaml';
             ctx.response.body = yaml.dump(ctx.response.body);
             break;
+        case 'csv':
+            delete ctx.response.body.root; // xml root element
+            ctx.response.type = type;
+            ctx.response.body = Csv.stringify(Csv.tabulate(ctx.response.body));
+            break;
+        case 'xlsx':
+            ctx.response.type = type;
+            const sheet = ctx.response.body.root; // xml root element serves as worksheet name
+            delete ctx.response.body.root;
+            ctx.response.body = Xlsx.workbook(Csv.tabulate(ctx.response.body), sheet);
+            break;
         case false:
             ctx.throw(406); // "Not acceptable" - can't furnish whatever was requested
             break;
@@ -81,11 +110,15 @@ app.use(async function handleErrors(ctx, next) {
                 break;
             case 401: // Unauthorized
                 ctx.response.set('WWW-Authenticate', 'Basic');
+                ctx.response.body = { message: err.message, root: 'error' }; // e.g. to distinguish two-factor code required
                 break;
+            case 400: // Bad Request
             case 403: // Forbidden
             case 404: // Not Found
             case 406: // Not Acceptable
             case 409: // Conflict
+            case 412: // Precondition Failed
+            case 429: // Too Many Requests
                 ctx.response.body = { message: err.message, root: 'error' };
                 break;
             default:
@@ -119,12 +152,18 @@ app.use(routesAuth);
 
 app.use(Auth.middleware.verifyJwtApi());
 
+// rate-limit authenticated requests by user (public /auth routes are rate-limited by IP address)
+
+app.use(RateLimit.byUser());
+
 import routesMembers     from './routes-members.js';
 import routesTeams       from './routes-teams.js';
 import routesTeamMembers from './routes-team-members.js';
+import routesSearch      from './routes-search.js';
 app.use(routesMembers);
 app.use(routesTeams);
 app.use(routesTeamMembers);
+app.use(routesSearch);
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
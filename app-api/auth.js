@@ -1,12 +1,27 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /* API authentication - similar to login functions for the www site, but JWT token is obtained by */
 /* a call to the /auth resource.                                                                  */
+/*                                                                                                */
+/* JWT tokens are short-lived (24 hours); /auth also issues a refresh token which can be used     */
+/* with /auth/refresh to obtain a replacement JWT (and a replacement refresh token). A JWT can be */
+/* revoked before it expires (DELETE /auth) by recording its ‘jti’ in a denylist.                 */
+/*                                                                                                */
+/* Alternatively, machine clients can use a long-lived personal API key (created in the admin     */
+/* app), supplied in an ‘ApiKey’ Authorization header.                                            */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+import crypto from 'crypto';       // nodejs.org/api/crypto.html
 import jwt    from 'jsonwebtoken'; // JSON Web Token implementation
 import Scrypt from 'scrypt-kdf';   // scrypt key derivation function
 
-import User from '../models/user.js';
+import User          from '../models/user.js';
+import ApiKey        from '../models/api-key.js';
+import RefreshToken  from '../models/refresh-token.js';
+import TokenDenylist from '../models/token-denylist.js';
+import LoginThrottle from '../lib/login-throttle.js';
+
+const apiKeyCache = new Map(); // recently verified API keys, to avoid scrypt verification on every request
+const apiKeyCacheMinutes = 5;  // how long verified API keys are cached (keys’ LastUsedOn is updated as often)
 
 
 class Auth {
@@ -19,67 +34,214 @@ class Auth {
      * @apiDescription Subsequent requests requiring authentication are made with the JSON Web Token
      *   obtained from /auth, supplied in the Bearer Authorization HTTP header.
      *
+     *   Credentials are supplied in a Basic Authorization HTTP header, or (deprecated, as passwords
+     *   in URLs are liable to be recorded in logs) in the query string; the query-string form can be
+     *   disabled by setting API_AUTH_QUERYSTRING=false. POST /auth is preferred.
+     *
      *   Note that since this does a KDF verification, it is a *slow* operation. The returned token
-     *   has a 24-hour limited lifetime.
+     *   has a 24-hour limited lifetime; the returned refresh token can be used to obtain a
+     *   replacement token from /auth/refresh.
+     *
+     *   Users who have enabled two-factor authentication must also supply a current code from their
+     *   authenticator app (or one of their recovery codes).
      *
-     * @apiParam   username                  Email of user to be authenticated.
-     * @apiParam   password                  Password of user to be authenticated.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     *   After repeated failed attempts for a user or from a client IP address, further attempts are
+     *   refused for an increasing delay, and eventually the user (or IP address) is temporarily
+     *   locked out.
+     *
+     * @apiParam   [username]                Email of user to be authenticated (if not using Basic auth).
+     * @apiParam   [password]                Password of user to be authenticated (if not using Basic auth).
+     * @apiParam   [code]                    Two-factor authentication code (required if user has enabled two-factor authentication).
+     * @apiHeader  [Authorization]           Basic Access Authentication username/password.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Single-use token to obtain replacement JWT (valid for 30 days).
+     * @apiError   401/Unauthorized          Username/password not supplied, or two-factor authentication code required or not recognised.
+     * @apiError   404/NotFound              Username/password not found.
+     * @apiError   429/TooManyRequests       Too many failed attempts for user or from client IP address, or request rate limit exceeded (see Retry-After header).
      */
     static async getAuth(ctx) {
-        const { username, password } = ctx.request.query;
-        if (!username || !password) ctx.throw(401, 'Username/password not supplied');
-        let [ user ] = await User.getBy('Email', username);
-
-        // always invoke verify() (whether email found or not) to mitigate against timing attacks on authentication function
-        const passwordHash = user ? user.Password : '0123456789abcdef'.repeat(8);
-        let passwordMatch = null;
-        try {
-            passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), password);
-        } catch (e) {
-            if (e instanceof RangeError) user = null; // "Invalid key"
-            if (!(e instanceof RangeError)) throw e;
-        }
+        const queryStringAllowed = process.env.API_AUTH_QUERYSTRING != 'false';
 
-        if (!user || !passwordMatch) ctx.throw(404, 'Username/password not found');
+        const credentials = basicAuthCredentials(ctx) || (queryStringAllowed ? ctx.request.query : {});
 
-        const payload = {
-            id:   user.UserId,                         // to get user details
-            role: user.Role.slice(0, 1).toLowerCase(), // make role available without db query
-        };
-        const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
-        ctx.response.body = { jwt: token, root: 'Auth' };
+        await authenticate(ctx, credentials, ctx.request.query.code);
+    }
+
+
+    /**
+     * @api {post} /auth Get JWT authentication token for subsequent API requests
+     * @apiName   PostAuth
+     * @apiGroup  Auth
+     *
+     * @apiDescription As per GET /auth, but with credentials supplied in the request body (JSON or
+     *   form-encoded) or in a Basic Authorization HTTP header, so that they do not appear in URLs.
+     *
+     * @apiParam   [username]                Email of user to be authenticated (if not using Basic auth).
+     * @apiParam   [password]                Password of user to be authenticated (if not using Basic auth).
+     * @apiParam   [code]                    Two-factor authentication code (required if user has enabled two-factor authentication).
+     * @apiHeader  [Authorization]           Basic Access Authentication username/password.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiHeader  [Content-Type]            application/json, application/x-www-form-urlencoded.
+     * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Single-use token to obtain replacement JWT (valid for 30 days).
+     * @apiError   401/Unauthorized          Username/password not supplied, or two-factor authentication code required or not recognised.
+     * @apiError   404/NotFound              Username/password not found.
+     * @apiError   429/TooManyRequests       Too many failed attempts for user or from client IP address, or request rate limit exceeded (see Retry-After header).
+     */
+    static async postAuth(ctx) {
+        const credentials = basicAuthCredentials(ctx) || ctx.request.body || {};
+
+        await authenticate(ctx, credentials, (ctx.request.body || {}).code);
     }
 
 
     /**
-     * Verify the JSON Web Token authentication supplied in Bearer Authorization header, for API calls.
+     * @api {post} /auth/refresh Get replacement JWT authentication token using refresh token
+     * @apiName   PostAuthRefresh
+     * @apiGroup  Auth
+     *
+     * @apiDescription Refresh tokens are single-use: a replacement refresh token is returned along
+     *   with the new JWT, and the supplied refresh token can no longer be used.
      *
-     * If the token verifies, record the payload in ctx.state.auth.
+     * @apiParam   refreshToken              Refresh token obtained from /auth or /auth/refresh.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
+     * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Single-use token to obtain replacement JWT (valid for 30 days).
+     * @apiError   401/Unauthorized          Refresh token not supplied, or invalid, expired, or already used.
+     * @apiError   429/TooManyRequests       Request rate limit exceeded (see Retry-After header).
      */
-    static verifyJwtApi(ctx) {
+    static async postAuthRefresh(ctx) {
+        const { refreshToken } = ctx.request.body;
+        if (!refreshToken) ctx.throw(401, 'Refresh token not supplied');
+
+        const token = await RefreshToken.getByToken(refreshToken);
+        if (!token) ctx.throw(401, 'Invalid refresh token');
+
+        // rotate: the supplied refresh token is used up (if it has already gone, it has been used concurrently)
+        const deleted = await RefreshToken.delete(token.RefreshTokenId);
+        if (!deleted) ctx.throw(401, 'Invalid refresh token');
+
+        const user = await User.get(token.UserId); // user details may have changed since token was issued
+        if (!user) ctx.throw(401, 'Invalid refresh token');
+
+        ctx.response.body = await issueTokens(user);
+        ctx.response.body.root = 'Auth';
+    }
+
+
+    /**
+     * @api {delete} /auth Log out: revoke JWT authentication token (and refresh token)
+     * @apiName   DeleteAuth
+     * @apiGroup  Auth
+     *
+     * @apiDescription The JWT supplied in the Bearer Authorization HTTP header is revoked, and can no
+     *   longer be used. If a refresh token is supplied, that is also revoked.
+     *
+     * @apiParam   [refreshToken]            Refresh token to be revoked along with JWT.
+     * @apiHeader  Authorization             Bearer JSON Web Token.
+     * @apiSuccess (Success 2xx) 204/NoContent Token revoked.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     */
+    static async deleteAuth(ctx) {
+        const { jti, exp } = ctx.state.auth;
+        if (jti) await TokenDenylist.insert(jti, exp);
+
+        const { refreshToken } = ctx.request.body || {};
+        if (refreshToken) {
+            const token = await RefreshToken.getByToken(refreshToken);
+            if (token && token.UserId == ctx.state.auth.id) await RefreshToken.delete(token.RefreshTokenId);
+        }
+
+        ctx.response.status = 204; // No Content
+    }
+
+
+    /**
+     * Verify the JSON Web Token authentication supplied in Bearer Authorization header (or API key
+     * supplied in ApiKey Authorization header), for API calls.
+     *
+     * If the token verifies (and has not been revoked), record the payload in ctx.state.auth.
+     */
+    static async verifyJwtApi(ctx) {
         const secretKey = process.env.JWT_SECRET_KEY;
         if (!secretKey) ctx.throw(401, 'No JWT Secret Key available');
 
         if (!ctx.request.header.authorization) ctx.throw(401, 'Authorisation required');
 
         const [ scheme, token ] = ctx.request.header.authorization.split(' ');
+        if (scheme == 'ApiKey') { await Auth.verifyApiKey(ctx, token); return; }
         if (scheme != 'Bearer') ctx.throw(401, 'Invalid authorisation');
 
         if (token) {
+            let payload = null;
             try {
-                const payload = jwt.verify(token, secretKey); // throws on invalid token
-
-                // valid token: accept it...
-                ctx.state.auth = authDetails(payload);
+                payload = jwt.verify(token, secretKey); // throws on invalid token
             } catch (err) {
                 if ([ 'invalid token', 'invalid signature', 'jwt malformed', 'jwt expired' ].includes(err.message)) {
                     ctx.throw(401, 'Invalid authentication'); // verify failed
                 }
                 ctx.throw(err.status || 500, err.message); // Internal Server Error
             }
+
+            // check token has not been revoked (individually, or with all the user’s tokens)
+            if (payload.jti && await TokenDenylist.includes(payload.jti)) ctx.throw(401, 'Invalid authentication');
+            if (await User.tokenRevoked(payload)) ctx.throw(401, 'Invalid authentication');
+
+            // valid token: accept it...
+            ctx.state.auth = authDetails(payload);
+        }
+    }
+
+
+    /**
+     * Verify API key supplied in ApiKey Authorization header.
+     *
+     * If the key verifies, record the key’s user id & role in ctx.state.auth; keys with ‘read’ scope
+     * get guest role, keys with ‘admin’ scope get the role of the user the key belongs to.
+     *
+     * The key’s LastUsedOn is only updated if it is more than a few minutes old, so that requests
+     * made with the key do not all write to the database.
+     *
+     * @param {Object} ctx - Koa context.
+     * @param {string} key - API key, as ‘{KeyId}.{secret}’.
+     */
+    static async verifyApiKey(ctx, key) {
+        if (!key || key.split('.').length != 2) ctx.throw(401, 'Invalid authentication');
+
+        const [ keyId, secret ] = key.split('.');
+        const [ apiKey ] = await ApiKey.getBy('KeyId', keyId); // revoked keys will not be found
+
+        // scrypt verification is slow, so recently verified keys are cached (keyed by hash of full key)
+        const cacheKey = crypto.createHash('sha256').update(key).digest('hex');
+        const cached = apiKeyCache.get(cacheKey);
+        let verified = apiKey && cached && cached.apiKeyId==apiKey.ApiKeyId && cached.expires>Date.now();
+        if (apiKey && !verified) {
+            try {
+                verified = await Scrypt.verify(Buffer.from(apiKey.KeyHash, 'base64'), secret);
+            } catch (e) {
+                if (!(e instanceof RangeError)) throw e; // "Invalid key"
+            }
+            if (verified) apiKeyCache.set(cacheKey, { apiKeyId: apiKey.ApiKeyId, expires: Date.now() + 1000*60*apiKeyCacheMinutes });
         }
+
+        if (!verified) ctx.throw(401, 'Invalid authentication');
+
+        const user = await User.get(apiKey.UserId);
+        if (!user) ctx.throw(401, 'Invalid authentication');
+
+        // record key use, no more often than keys are re-verified (LastUsedOn is a UTC datetime string)
+        const lastUsed = apiKey.LastUsedOn ? new Date(apiKey.LastUsedOn.replace(' ', 'T')+'Z').getTime() : 0;
+        if (Date.now() - lastUsed > 1000*60*apiKeyCacheMinutes) await ApiKey.touch(apiKey.ApiKeyId, apiKeyCacheMinutes);
+
+        const role = apiKey.Scope=='admin' ? user.Role : 'guest';
+        ctx.state.auth = {
+            id:     user.UserId,                    // to get user details
+            role:   role.slice(0, 1).toLowerCase(), // as per JWT payload
+            Role:   role,                           // for authorisation checks
+            apiKey: apiKey.ApiKeyId,                // identify key used
+        };
     }
 
 }
@@ -94,7 +256,7 @@ Auth.middleware = {
      */
     verifyJwtApi: function() {
         return async function(ctx, next) {
-            Auth.verifyJwtApi(ctx);
+            await Auth.verifyJwtApi(ctx);
             // if we had a valid token, the user is now set up as a logged-in user with details in ctx.state.auth
             await next();
 
@@ -104,12 +266,109 @@ Auth.middleware = {
 
 
 
+/**
+ * Authenticate user from supplied credentials, and return JWT & refresh token in response body.
+ *
+ * For users who have enabled two-factor authentication, the code is also verified (only once the
+ * password has been verified).
+ *
+ * @param {Object} ctx - Koa context.
+ * @param {Object} credentials - { username, password }.
+ * @param {string} [code] - Two-factor authentication code.
+ */
+async function authenticate(ctx, credentials, code) {
+    const { username, password } = credentials;
+    if (!username || !password) ctx.throw(401, 'Username/password not supplied');
+
+    // too many recent failed attempts for this account or from this IP address?
+    const throttle = await LoginThrottle.attempt(username, ctx.request.ip);
+    if (throttle.wait > 0) {
+        ctx.response.set('Retry-After', throttle.wait);
+        ctx.throw(429, LoginThrottle.message(throttle));
+    }
+
+    let [ user ] = await User.getBy('Email', username);
+
+    // always invoke verify() (whether email found or not) to mitigate against timing attacks on authentication function
+    // (users whose password has been reset by user management have no password until they set a new one)
+    const passwordHash = user && user.Password ? user.Password : '0123456789abcdef'.repeat(8);
+    let passwordMatch = null;
+    try {
+        passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), password);
+    } catch (e) {
+        if (e instanceof RangeError) user = null; // "Invalid key"
+        if (!(e instanceof RangeError)) throw e;
+    }
+
+    if (!user || !passwordMatch) {
+        await LoginThrottle.failure(username, ctx.request.ip, ctx);
+        ctx.throw(404, 'Username/password not found');
+    }
+
+    if (user.TotpSecret) {
+        if (!code) {
+            await LoginThrottle.release(username, ctx.request.ip); // password verified: not a failed attempt
+            ctx.throw(401, 'Two-factor authentication code required');
+        }
+        if (!await User.verifySecondFactor(user, code)) {
+            await LoginThrottle.failure(username, ctx.request.ip, ctx);
+            ctx.throw(401, 'Two-factor authentication code not recognised');
+        }
+    }
+
+    await LoginThrottle.success(user.Email, ctx.request.ip);
+
+    ctx.response.body = await issueTokens(user);
+    ctx.response.body.root = 'Auth';
+}
+
+
+/**
+ * Return username/password supplied in Basic Authorization header, or null if none supplied.
+ */
+function basicAuthCredentials(ctx) {
+    const [ scheme, encoded ] = (ctx.request.header.authorization || '').split(' ');
+    if (scheme != 'Basic' || !encoded) return null;
+
+    const decoded = Buffer.from(encoded, 'base64').toString();
+    if (!decoded.includes(':')) return null;
+
+    // note password may itself contain colons
+    const username = decoded.slice(0, decoded.indexOf(':'));
+    const password = decoded.slice(decoded.indexOf(':')+1);
+
+    return { username, password };
+}
+
+
+/**
+ * Issue JWT token for user (with random ‘jti’ JWT ID so it can be revoked), together with a refresh
+ * token which can be used to obtain a replacement JWT.
+ *
+ * @param   {Object} user - User details.
+ * @returns {Object} { jwt, refreshToken }.
+ */
+async function issueTokens(user) {
+    const payload = {
+        id:   user.UserId,                         // to get user details
+        role: user.Role.slice(0, 1).toLowerCase(), // make role available without db query
+        gen:  user.TokenGeneration,                // so that token can be revoked
+    };
+    const jwtid = crypto.randomBytes(16).toString('hex');
+    const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h', jwtid });
+
+    const refreshToken = await RefreshToken.insert(user.UserId);
+
+    return { jwt: token, refreshToken };
+}
+
+
 /**
  * Copy payload, expand the cryptic abbreviated roles in the JWT token to full versions, & keep a
  * copy of the jwt token.
  */
 function authDetails(jwtPayload, token) {
-    const roles = { g: 'guest', a: 'admin', s: 'su' };
+    const roles = { g: 'guest', l: 'lead', a: 'admin', s: 'su' };
 
     const details = { ...jwtPayload };     // for user id  to look up user details (use copy of payload to not zap original)
     details.Role = roles[jwtPayload.role]; // expand abbreviated roles for authorisation checks
@@ -0,0 +1,72 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Batch - run a list of create/update/delete operations on a resource in a single transaction.   */
+/*                                                                                                */
+/* A batch request (e.g. POST /members/batch) has a JSON body                                     */
+/*   { "operations": [ { "method": "POST", "values": {…} }, { "method": "DELETE", "id": 123 } ],  */
+/*     "atomic": false }                                                                          */
+/* where each operation corresponds to an individual POST / PATCH / DELETE request.               */
+/*                                                                                                */
+/* Each operation gets its own result (with the status the individual request would have had).    */
+/* Normally, operations which succeed are committed even if others fail; with ‘atomic’ set, the   */
+/* batch is all-or-nothing: if any operation fails, none are applied.                             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db from '../lib/mysqldb.js';
+
+const maxOperations = 1000; // upper bound on operations in a single batch
+
+
+class Batch {
+
+    /**
+     * Run operations given in request body within a transaction, applying each with the supplied
+     * function, and set the response body to the results.
+     *
+     * Each operation is applied within a nested transaction (a savepoint), so that a failed
+     * operation leaves no partial changes; the models join the transaction.
+     *
+     * @param   {Object}   ctx - Koa context.
+     * @param   {Function} apply - Async function (operation) applying a single operation, returning
+     *   result { status, _id, _uri }, or throwing an error with status (e.g. ctx.throw(404)).
+     * @throws  400 on invalid batch.
+     */
+    static async run(ctx, apply) {
+        const body = ctx.request.body || {};
+        const operations = body.operations;
+        const atomic = body.atomic===true || body.atomic=='true';
+
+        if (!Array.isArray(operations)) ctx.throw(400, 'Batch requires array of operations');
+        if (operations.length > maxOperations) ctx.throw(400, `Batch is limited to ${maxOperations} operations`);
+
+        const { committed, results } = await Db.transaction(async function(tx) {
+            const outcomes = [];
+            for (const operation of operations) {
+                try {
+                    outcomes.push(await Db.transaction(() => apply(operation || {})));
+                } catch (e) {
+                    outcomes.push({ status: e.status || 500, message: e.message });
+                }
+            }
+
+            const failed = outcomes.some(result => result.status >= 400);
+            if (atomic && failed) await tx.rollback();
+
+            return { committed: !(atomic && failed), results: outcomes };
+        });
+
+        if (!committed) {
+            results.forEach(function(result, i) {
+                if (result.status < 400) results[i] = { status: 424, message: 'Not applied as other operations failed' }; // Failed Dependency
+            });
+        }
+
+        ctx.response.body = { committed, results };
+        ctx.response.body.root = 'Batch';
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Batch;
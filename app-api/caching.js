@@ -0,0 +1,86 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Caching - conditional GET support & caching headers for API responses.                         */
+/*                                                                                                */
+/* Successful GET responses are given validators computed from the response as negotiated (so     */
+/* json, xml, & yaml representations have different validators):                                  */
+/*   - ETag: hash of the response content (appended to any row version ETag set by the handler)   */
+/*   - Last-Modified: when the current content of the resource was first served                   */
+/* Requests with If-None-Match / If-Modified-Since matching the current validators get a 304 Not  */
+/* Modified response with no body.                                                                */
+/*                                                                                                */
+/* Cache-Control is set per route with Caching.cacheControl(); other GET responses default to     */
+/* ‘private, no-cache’ (clients may keep responses, but must revalidate them before use).         */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import ETag from './etag.js';
+
+const defaultCacheControl = 'private, no-cache';
+const maxTracked = 10000; // max number of resource representations tracked for Last-Modified
+
+const firstServed = new Map(); // url & type => { etag, date } (Map iterates in insertion order)
+
+
+class Caching {
+
+    /**
+     * Middleware to set validators on GET responses & answer conditional GETs: this must be placed
+     * above content negotiation in the middleware stack, so that it sees the negotiated response.
+     */
+    static conditionalGet() {
+        return async function conditionalGet(ctx, next) {
+            await next();
+
+            if (ctx.request.method != 'GET' && ctx.request.method != 'HEAD') return;
+            if (ctx.response.status != 200 || ctx.response.body == null) return;
+            if (/no-store/.test(ctx.response.get('Cache-Control'))) return; // e.g. GET /auth
+
+            const etag = ETag.ofContent(ctx.response.body, ctx.response.type, ctx.response.get('ETag'));
+            ctx.response.etag = etag;
+            ctx.response.lastModified = lastModified(ctx.request.url+' '+ctx.response.type, etag);
+            ctx.response.vary('Accept');
+            if (!ctx.response.get('Cache-Control')) ctx.response.set('Cache-Control', defaultCacheControl);
+
+            if (ctx.request.fresh) ctx.response.status = 304; // Not Modified (koa strips the body)
+        };
+    }
+
+
+    /**
+     * Middleware to set Cache-Control header on successful responses on a route.
+     *
+     * @param {string} directives - Cache-Control header value.
+     *
+     * @example
+     *   router.get('/members', Caching.cacheControl('private, max-age=10'), members.getMembers);
+     */
+    static cacheControl(directives) {
+        return async function cacheControl(ctx, next) {
+            await next();
+            if (ctx.response.status < 300) ctx.response.set('Cache-Control', directives);
+        };
+    }
+
+}
+
+
+/**
+ * Date representation with given ETag was first served for given resource (key), to whole seconds
+ * (as per HTTP dates); a later date is recorded whenever the ETag changes (even within a second, so
+ * that If-Modified-Since never matches changed content).
+ */
+function lastModified(key, etag) {
+    const served = firstServed.get(key);
+    if (served && served.etag == etag) return served.date;
+
+    const now = Math.floor(Date.now()/1000)*1000;
+    const date = new Date(served ? Math.max(now, served.date.getTime()+1000) : now);
+    firstServed.delete(key);
+    firstServed.set(key, { etag, date });
+    if (firstServed.size > maxTracked) firstServed.delete(firstServed.keys().next().value); // drop oldest
+    return date;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Caching;
@@ -60,7 +60,7 @@ class CastBoolean {
         const fields = await Db.query('Describe '+table);
         fields[0].forEach(field => {
             const boolean = field.Type=='tinyint(1)' || field.Type=='bit(1)';
-            if (boolean && field.Field in values) {
+            if (boolean && typeof values[field.Field] == 'string') { // (JSON bodies may have actual booleans)
                 castValues[field.Field] = values[field.Field]=='' ? null : JSON.parse(values[field.Field].toLowerCase());
             }
         });
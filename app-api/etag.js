@@ -0,0 +1,75 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* ETags - optimistic concurrency control for API resources which have a row version.             */
+/*                                                                                                */
+/* GET /members/:id (etc) returns an ETag header derived from the row Version (which the models   */
+/* increment on every change). PATCH & DELETE requests with an If-Match header only succeed if    */
+/* the resource has not been changed since that ETag was obtained; otherwise they fail with 412   */
+/* Precondition Failed, rather than silently overwriting someone else’s changes.                  */
+/*                                                                                                */
+/* GET responses have a hash of the response content appended to the version (see caching.js), so */
+/* that the ETag also changes with related details (e.g. team memberships) & response type; only  */
+/* the version part is compared for If-Match.                                                     */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto'; // nodejs.org/api/crypto.html
+
+
+class ETag {
+
+    /**
+     * ETag (strong) for given row.
+     *
+     * @param   {Object} row - Row with Version field.
+     * @returns {string} ETag.
+     */
+    static of(row) {
+        return `"${row.Version}"`;
+    }
+
+
+    /**
+     * ETag for response content (as negotiated), qualifying version ETag set by handler if any.
+     *
+     * @param   {string|Buffer|Object} body - Response body.
+     * @param   {string}               type - Response content type.
+     * @param   {string}               [etag] - ETag already set by handler (row version).
+     * @returns {string}               ETag.
+     */
+    static ofContent(body, type, etag) {
+        const content = typeof body == 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body); // e.g. xlsx is binary
+        const hash = crypto.createHash('sha1').update(type+'\n').update(content).digest('base64')
+            .replace(/\+/g, '-').replace(/\//g, '_').slice(0, 16); // base64url (digest('base64url') requires Node 15.7)
+        return etag ? `"${etag.replace(/"/g, '')}-${hash}"` : `"${hash}"`;
+    }
+
+
+    /**
+     * Check If-Match request header against current row, returning the version to pass to the model
+     * update/delete (so that a change made between this check and the update is also detected).
+     *
+     * @param   {Object}           ctx - Koa context.
+     * @param   {Object}           row - Current row (with Version field).
+     * @returns {number|undefined} Row version, or undefined if request is not conditional.
+     * @throws  412 if If-Match does not match current ETag.
+     *
+     * @example
+     *   const version = ETag.ifMatch(ctx, member);
+     *   await Member.update(ctx.params.id, ctx.request.body, version);
+     */
+    static ifMatch(ctx, row) {
+        const ifMatch = ctx.request.get('If-Match');
+        if (ifMatch == '') return undefined; // unconditional request
+        if (ifMatch.trim() == '*') return undefined; // any current version matches
+
+        const etags = ifMatch.split(',').map(etag => etag.trim().replace(/-[^"]*"$/, '"')); // compare version part only; note weak ETags never match
+        if (!etags.includes(ETag.of(row))) ctx.throw(412, `${ifMatch} does not match current ETag ${ETag.of(row)}`);
+
+        return row.Version;
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ETag;
@@ -0,0 +1,121 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* List options - paging, sorting, and field selection for API collection resources.              */
+/*                                                                                                */
+/* Collection resources (e.g. GET /members) accept query-string options:                          */
+/*   ?limit=n&offset=n   - return a page of results, with RFC 5988 Link headers to other pages    */
+/*   ?sort=-field,field  - sort results; a ‘-’ prefix sorts in descending order                   */
+/*   ?fields=field,field - include these fields in list entries (as well as _id & _uri)           */
+/*                                                                                                */
+/* Any other query-string arguments are filters on field values (see lib/query-filter.js). The    */
+/* total number of matching entries is returned in the X-Total-Count header.                      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import QueryFilter from '../lib/query-filter.js';
+
+const defaultLimit = 100;  // entries returned if no limit is specified
+const maxLimit     = 1000; // upper bound on limit, to avoid excessively large responses
+
+
+class ListOptions {
+
+    /**
+     * Query-string arguments which are list options rather than filters.
+     */
+    static get reserved() {
+        return [ 'limit', 'offset', 'sort', 'fields' ];
+    }
+
+
+    /**
+     * Parse list options from the request query string, checking sort & fields against the table
+     * schema.
+     *
+     * @param   {Object}   ctx - Koa context.
+     * @param   {string}   table - Table list entries are drawn from.
+     * @param   {string[]} defaultSort - Sort order to use if none is specified in query string.
+     * @returns {Object}   Options { limit, offset, orderBy, fields, filter }.
+     * @throws  400 on invalid limit/offset, 403 on unrecognised field.
+     *
+     * @example
+     *   const options = await ListOptions.parse(ctx, 'Member', [ 'Firstname', 'Lastname' ]);
+     *   const sql = `Select * From Member Order By ${options.orderBy} Limit ${options.limit} Offset ${options.offset}`;
+     */
+    static async parse(ctx, table, defaultSort) {
+        const query = ctx.request.query;
+
+        const limit = query.limit===undefined ? defaultLimit : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) ctx.throw(400, 'Limit must be a positive integer');
+
+        const offset = query.offset===undefined ? 0 : Number(query.offset);
+        if (!Number.isInteger(offset) || offset < 0) ctx.throw(400, 'Offset must be a non-negative integer');
+
+        // table fields, keyed by lower-case field name to give case-insensitive matching (as MySQL)
+        const describe = await QueryFilter.schema(table);
+        const columns = new Map(describe.map(f => [ f.Field.toLowerCase(), f.Field ]));
+        const primaryKey = describe.filter(f => f.Key == 'PRI').map(f => f.Field)[0];
+
+        const column = function(field) {
+            if (!columns.has(field.toLowerCase())) ctx.throw(403, `Unrecognised ${table} field ${field}`);
+            return columns.get(field.toLowerCase());
+        };
+
+        // sort=-Lastname,Firstname becomes 'Order By Lastname Desc, Firstname'; primary key is always
+        // included last so that paging is stable when sort fields have duplicate values
+        const sort = query.sort ? list(query.sort) : defaultSort;
+        const orderBy = sort.map(s => s.slice(0, 1)=='-' ? `${column(s.slice(1))} Desc` : column(s));
+        if (!sort.map(s => s.replace(/^-/, '').toLowerCase()).includes(primaryKey.toLowerCase())) orderBy.push(primaryKey);
+
+        const fields = query.fields ? list(query.fields).map(column) : [];
+
+        // remaining query-string arguments are filters
+        const filter = {};
+        for (const key in query) if (!ListOptions.reserved.includes(key)) filter[key] = query[key];
+
+        return { limit: Math.min(limit, maxLimit), offset, orderBy: orderBy.join(', '), fields, filter };
+    }
+
+
+    /**
+     * Set X-Total-Count header, and RFC 5988 Link header with first/prev/next/last page links.
+     *
+     * @param {Object} ctx - Koa context.
+     * @param {Object} options - List options as returned by parse().
+     * @param {number} total - Total number of entries matching filter.
+     */
+    static setPagingHeaders(ctx, options, total) {
+        ctx.response.set('X-Total-Count', total);
+
+        const { limit, offset } = options;
+
+        const uri = function(pageOffset) {
+            const qs = new URLSearchParams(ctx.request.querystring);
+            qs.set('limit', limit);
+            qs.set('offset', pageOffset);
+            return `<${ctx.request.path}?${qs}>`;
+        };
+
+        const lastOffset = total==0 ? 0 : Math.floor((total-1) / limit) * limit;
+
+        const links = [ `${uri(0)}; rel="first"` ];
+        if (offset > 0) links.push(`${uri(Math.max(offset-limit, 0))}; rel="prev"`);
+        if (offset+limit < total) links.push(`${uri(offset+limit)}; rel="next"`);
+        links.push(`${uri(lastOffset)}; rel="last"`);
+
+        ctx.response.set('Link', links.join(', '));
+    }
+
+}
+
+
+/**
+ * Split comma-separated query-string argument into list; a repeated argument (e.g. ?sort=a&sort=b,
+ * which koa gives as an array) is treated as a single comma-separated list.
+ */
+function list(arg) {
+    return [].concat(arg).join(',').split(',').map(s => s.trim()).filter(s => s!='');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ListOptions;
@@ -3,8 +3,14 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import Member      from '../models/member.js';
+import AuditLog    from '../models/audit-log.js';
 import Db          from '../lib/mysqldb.js';
+import Permissions from '../lib/permissions.js';
+import QueryFilter from '../lib/query-filter.js';
 import castBoolean from './cast-boolean.js';
+import ListOptions from './list-options.js';
+import ETag        from './etag.js';
+import Batch       from './batch.js';
 
 
 class MembersHandlers {
@@ -16,33 +22,45 @@ class MembersHandlers {
      *
      * @apiDescription Summary list of members.
      *
-     * @apiParam   -filter-field-              Field to be filtered on (eg /members?firstname=fred)
+     *   Lists are returned in pages; the X-Total-Count header gives the total number of matching
+     *   members, and the Link header gives first/prev/next/last page links.
+     *
+     * @apiParam   -filter-field-              Field to be filtered on (eg /members?firstname=fred); operators eq, ne, lt, lte,
+     *                                         gt, gte, like, nlike, in, nin, null (eg /members?firstname[like]=fr%).
+     * @apiParam   [limit=100]                 Maximum number of members to return (max 1000).
+     * @apiParam   [offset=0]                  Number of members to skip.
+     * @apiParam   [sort=Firstname,Lastname]   Fields to sort on; prefix with ‘-’ for descending (eg -Lastname,Firstname).
+     * @apiParam   [fields]                    Fields to include in list entries (eg Firstname,Email).
      * @apiHeader  Authorization               Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK        List of members with id, uri attributes.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK        List of members with id, uri attributes (plus requested fields).
      * @apiSuccess (Success 2xx) 204/NoContent No matching members found.
-     * @apiError   403/Forbidden               Unrecognised Member field in query.
+     * @apiError   400/BadRequest              Invalid limit or offset.
+     * @apiError   403/Forbidden               Unrecognised Member field or filter operator in query.
      * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
      */
     static async getMembers(ctx) {
+        const options = await ListOptions.parse(ctx, 'Member', [ 'Firstname', 'Lastname' ]);
+
         try {
 
-            let sql = 'Select * From Member';
-            // query-string filters?
-            if (ctx.request.querystring) {
-                const filter = Object.keys(ctx.request.query).map(function(q) { return q+' = :'+q; }).join(' and ');
-                sql += ' Where '+filter;
-            }
-            sql +=  ' Order By Firstname, Lastname';
+            const filter = await QueryFilter.where('Member', options.filter, [ 'DeletedOn Is Null' ]);
 
-            const result = await Db.query(sql, ctx.request.query);
+            const [ [ { total } ] ] = await Db.query('Select Count(*) As total From Member'+filter.sql, filter.values);
+
+            const sql = `Select * From Member${filter.sql} Order By ${options.orderBy} Limit ${options.limit} Offset ${options.offset}`;
+            const result = await Db.query(sql, filter.values);
             const [ members ] = castBoolean.fromMysql(result);
 
+            ListOptions.setPagingHeaders(ctx, options, total);
+
             if (members.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
 
-            // just id & uri attributes in list
+            // just id & uri attributes in list, plus any requested fields
             for (let m=0; m<members.length; m++) {
-                members[m] = { _id: members[m].MemberId, _uri: '/members/'+members[m].MemberId };
+                const member = { _id: members[m].MemberId, _uri: '/members/'+members[m].MemberId };
+                for (const field of options.fields) member[field] = members[m][field];
+                members[m] = member;
             }
 
             ctx.response.body = members;
@@ -63,13 +81,13 @@ class MembersHandlers {
      * @apiGroup  Members
      *
      * @apiHeader  Authorization            Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK     Full details of specified member.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK     Full details of specified member (with ETag header).
      * @apiError   401/Unauthorized         Invalid JWT auth credentials supplied.
      * @apiError   404/NotFound             Member not found.
      */
     static async getMemberById(ctx) {
-        const result = await Db.query('Select * From Member Where MemberId = :id', { id: ctx.params.id });
+        const result = await Db.query('Select * From Member Where MemberId = :id And DeletedOn Is Null', { id: ctx.params.id });
         const [ members ] = castBoolean.fromMysql(result);
         const member = members[0];
 
@@ -79,12 +97,49 @@ class MembersHandlers {
         member._id = member.MemberId;
 
         // team membership
-        const sql = 'Select TeamId As _id, concat("/teams/",TeamId) As _uri From TeamMember Where MemberId = :id';
+        const sql = `Select TeamId As _id, concat("/teams/",TeamId) As _uri
+                     From TeamMember Inner Join Team Using (TeamId)
+                     Where MemberId = :id And DeletedOn Is Null`;
         const [ teams ] = await Db.query(sql, { id: ctx.params.id });
         member.Teams = teams;
 
         ctx.response.body = member;
         ctx.response.body.root = 'Member';
+        ctx.response.etag = ETag.of(member);
+    }
+
+
+    /**
+     * @api {get} /members/:id/history Get audit history of member
+     * @apiName   GetMembersIdHistory
+     * @apiGroup  Members
+     *
+     * @apiDescription Changes made to member, most recent first: who made each change, when, and
+     *   the member details before & after the change. History remains available after a member
+     *   has been deleted.
+     *
+     * @apiHeader  Authorization               Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK        List of changes.
+     * @apiSuccess (Success 2xx) 204/NoContent No history found.
+     * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden               Permission required.
+     */
+    static async getMemberHistory(ctx) {
+        const entries = await AuditLog.history('Member', ctx.params.id);
+
+        if (entries.length == 0) { ctx.response.status = 204; return; } // No Content
+
+        ctx.response.body = entries.map(e => ({
+            _id:       e.AuditLogId,
+            Operation: e.Operation,
+            ChangedOn: e.ChangedOn,
+            UserId:    e.UserId,
+            User:      e.UserId ? `${e.Firstname} ${e.Lastname}` : null,
+            Before:    e.Before,
+            After:     e.After,
+        }));
+        ctx.response.body.root = 'History';
     }
 
 
@@ -95,21 +150,20 @@ class MembersHandlers {
      *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiHeader  Content-Type              application/x-www-form-urlencoded.
      * @apiSuccess (Success 2xx) 201/Created Details of newly created member.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             Permission required.
      */
     static async postMembers(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
 
         const id = await Member.insert(ctx.request.body);
 
         ctx.response.body = await Member.get(id); // return created member details
         ctx.response.body.root = 'Member';
+        ctx.response.etag = ETag.of(ctx.response.body);
         ctx.response.set('Location', '/members/'+id);
         ctx.response.status = 201; // Created
     }
@@ -122,25 +176,27 @@ class MembersHandlers {
      *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiHeader  Content-Type              application/x-www-form-urlencoded.
+     * @apiHeader  [If-Match]                ETag of member as retrieved: only update if it is unchanged.
      * @apiSuccess (Success 2xx) 200/OK      Updated member details.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             Permission required.
      * @apiError   404/NotFound              Member not found.
+     * @apiError   412/PreconditionFailed    Member has been changed since ETag was retrieved.
      */
     static async patchMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
 
-        await Member.update(ctx.params.id, ctx.request.body);
+        const member = await Member.get(ctx.params.id);
+        if (!member) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
+
+        await Member.update(ctx.params.id, ctx.request.body, ETag.ifMatch(ctx, member));
 
         // return updated member details
         ctx.response.body = await Member.get(ctx.params.id);
-        if (!ctx.response.body) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
-
         ctx.response.body.root = 'Member';
+        ctx.response.etag = ETag.of(ctx.response.body);
     }
 
 
@@ -149,25 +205,106 @@ class MembersHandlers {
      * @apiName      DeleteMembers
      * @apiGroup     Members
      *
-     * @apiHeader  Authorization        Basic Access Authentication token.
-     * @apiSuccess (Success 2xx) 200/OK Full details of deleted member.
-     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
-     * @apiError   404/NotFound         Member not found.
+     * @apiDescription The member is moved to the trash, from where it can be restored (with POST
+     *   /members/:id/restore) until it is purged after the retention period.
+     *
+     * @apiHeader  Authorization          Basic Access Authentication token.
+     * @apiHeader  [If-Match]             ETag of member as retrieved: only delete if it is unchanged.
+     * @apiSuccess (Success 2xx) 200/OK   Full details of deleted member.
+     * @apiError   401/Unauthorized       Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden          Permission required.
+     * @apiError   404/NotFound           Member not found.
+     * @apiError   412/PreconditionFailed Member has been changed since ETag was retrieved.
      */
     static async deleteMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted member details
         const member = await Member.get(ctx.params.id);
 
         if (!member) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
 
-        await Member.delete(ctx.params.id);
+        await Member.delete(ctx.params.id, ETag.ifMatch(ctx, member));
 
         ctx.response.body = member; // deleted member details
         ctx.response.body.root = 'Member';
     }
+
+
+    /**
+     * @api {post} /members/:id/restore Restore deleted member
+     * @apiName    PostMembersIdRestore
+     * @apiGroup   Members
+     *
+     * @apiDescription Deleted members are kept in the trash (for TRASH_RETENTION_DAYS, default 30 days)
+     *   before being permanently purged; until then, they can be restored.
+     *
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK      Details of restored member.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             Permission required.
+     * @apiError   404/NotFound              Member not found in trash.
+     * @apiError   409/Conflict              Member with same e-mail has since been added.
+     */
+    static async restoreMemberById(ctx) {
+        const restored = await Member.restore(ctx.params.id);
+
+        if (!restored) ctx.throw(404, `No deleted member ${ctx.params.id} found`); // Not Found
+
+        ctx.response.body = await Member.get(ctx.params.id); // restored member details
+        ctx.response.body.root = 'Member';
+        ctx.response.etag = ETag.of(ctx.response.body);
+    }
+
+
+    /**
+     * @api {post} /members/batch Create, update, and delete members in a single request
+     * @apiName    PostMembersBatch
+     * @apiGroup   Members
+     *
+     * @apiDescription Operations are run in a single transaction; each gets its own result status
+     *   (as per the equivalent individual request). Normally successful operations are committed
+     *   even if others fail; with ‘atomic’ set, if any operation fails, none are applied (and the
+     *   others get status 424).
+     *
+     * @apiParam   {Object[]} operations             Operations, each { method, id, values, version }.
+     * @apiParam   {string}   operations.method      POST (values), PATCH (id, values), or DELETE (id).
+     * @apiParam   {number}   [operations.version]   For PATCH/DELETE, only apply if member is unchanged.
+     * @apiParam   {boolean}  [atomic=false]         All-or-nothing.
+     * @apiHeader  Authorization                     Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]         application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiHeader  Content-Type                      application/json.
+     * @apiSuccess (Success 2xx) 200/OK              Whether batch was committed, and result of each operation.
+     * @apiError   400/BadRequest                    No operations supplied / too many operations.
+     * @apiError   401/Unauthorized                  Invalid JWT auth credentials supplied.
+     */
+    static async postMembersBatch(ctx) {
+        await Batch.run(ctx, async function(operation) {
+            const user = ctx.state.auth;
+            const values = await castBoolean.fromStrings('Member', { ...operation.values });
+
+            switch (operation.method) {
+                case 'POST': {
+                    if (!await Permissions.can(user, 'members:write')) ctx.throw(403, 'Permission members:write required');
+                    const id = await Member.insert(values);
+                    return { status: 201, _id: id, _uri: '/members/'+id }; // Created
+                }
+                case 'PATCH': {
+                    const teams = await Permissions.teamsOfMember(operation.id);
+                    if (!await Permissions.can(user, 'members:write', teams)) ctx.throw(403, 'Permission members:write required');
+                    if (!await Member.get(operation.id)) ctx.throw(404, `No member ${operation.id} found`);
+                    await Member.update(operation.id, values, operation.version);
+                    return { status: 200, _id: operation.id, _uri: '/members/'+operation.id };
+                }
+                case 'DELETE': {
+                    if (!await Permissions.can(user, 'members:write')) ctx.throw(403, 'Permission members:write required');
+                    if (!await Member.delete(operation.id, operation.version)) ctx.throw(404, `No member ${operation.id} found`);
+                    return { status: 200, _id: operation.id };
+                }
+                default:
+                    ctx.throw(400, `Unrecognised batch method ${operation.method}`);
+            }
+        });
+    }
 }
 
 
@@ -2,14 +2,24 @@
 /*  Route to handle authentication /auth element                                                  */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+/* eslint space-in-parens: off */
+
 import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import auth from './auth.js';
+import auth      from './auth.js';
+import Caching   from './caching.js';
+import RateLimit from '../lib/rate-limit.js';
+
+const noStore = Caching.cacheControl('no-store'); // responses include credentials
+const limitIp = RateLimit.byIp();                 // unauthenticated requests are rate-limited by IP address
 
 
-router.get('/auth', auth.getAuth);
+router.get(   '/auth',         limitIp, noStore, auth.getAuth);                                      // get JWT (& refresh token)
+router.post(  '/auth',         limitIp, noStore, auth.postAuth);                                     // get JWT with credentials in body
+router.post(  '/auth/refresh', limitIp, noStore, auth.postAuthRefresh);                              // get replacement JWT
+router.delete('/auth',         auth.middleware.verifyJwtApi(), RateLimit.byUser(), auth.deleteAuth); // revoke JWT (logout)
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
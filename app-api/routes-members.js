@@ -8,14 +8,27 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import members from './members.js';
-
-
-router.get(   '/members',     members.getMembers);       // list members
-router.get(   '/members/:id', members.getMemberById);    // get member details
-router.post(  '/members',     members.postMembers);      // add new member
-router.patch( '/members/:id', members.patchMemberById);  // update member details
-router.delete('/members/:id', members.deleteMemberById); // delete member
+import members     from './members.js';
+import Caching     from './caching.js';
+import Permissions from '../lib/permissions.js';
+
+const read     = Permissions.requirePermission('members:read');
+const write    = Permissions.requirePermission('members:write');
+const writeOwn = Permissions.requirePermission('members:write', ctx => Permissions.teamsOfMember(ctx.params.id)); // team managers can update their members
+const audit    = Permissions.requirePermission('audit:read');
+
+const brief      = Caching.cacheControl('private, max-age=10'); // lists are polled: clients can reuse them briefly
+const revalidate = Caching.cacheControl('private, no-cache');    // details are edited: always check for changes
+
+
+router.get(   '/members',             read,     brief,      members.getMembers);        // list members
+router.get(   '/members/:id',         read,     revalidate, members.getMemberById);     // get member details
+router.get(   '/members/:id/history', audit,    revalidate, members.getMemberHistory);  // get member audit history
+router.post(  '/members',             write,                members.postMembers);       // add new member
+router.post(  '/members/batch',                             members.postMembersBatch);  // add/update/delete members in bulk (permissions checked per operation)
+router.patch( '/members/:id',         writeOwn,             members.patchMemberById);   // update member details
+router.delete('/members/:id',         write,                members.deleteMemberById);  // delete member
+router.post(  '/members/:id/restore', write,                members.restoreMemberById); // restore deleted member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -6,11 +6,14 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
+import Caching from './caching.js';
 
-router.get('/', function getRoot(ctx) {
+
+router.get('/', Caching.cacheControl('public, max-age=86400'), function getRoot(ctx) {
     // root element just returns uri's for principal resources (in preferred format)
-    const resources = { auth: { _uri: '/auth' }, members: { _uri: '/members' }, teams: { _uri: '/teams' } };
-    const authentication = '‘GET /auth?username=<un>&password=<pw>’ to obtain JSON Web Token; subsequent requests require JWT auth';
+    const resources = { auth: { _uri: '/auth' }, members: { _uri: '/members' }, teams: { _uri: '/teams' }, search: { _uri: '/search' } };
+    const authentication = '‘POST /auth’ with username & password (or Basic auth) to obtain JSON Web Token; subsequent requests require JWT auth; '
+        + '‘POST /auth/refresh’ with refreshToken to renew JWT; ‘DELETE /auth’ to revoke JWT';
     ctx.response.body = { resources: resources, authentication: authentication };
     ctx.response.body.root = 'api';
 });
@@ -8,12 +8,25 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams  from './team-members.js';
+import teams       from './team-members.js';
+import Caching     from './caching.js';
+import TeamMember  from '../models/team-member.js';
+import Permissions from '../lib/permissions.js';
 
+// team managers can add & remove memberships of their own team (only)
+const read  = Permissions.requirePermission('teams:read');
+const write = Permissions.requirePermission('team-members:write', async function(ctx) {
+    const teamMember = ctx.params.id ? await TeamMember.get(ctx.params.id) || {} : ctx.request.body || {};
+    return teamMember.TeamId;
+});
 
-router.get(   '/team-members/:id',   teams.getTeamMemberById);        // get team membership details
-router.post(  '/team-members',       teams.postTeamMembers);          // add new team membership
-router.delete('/team-members/:id',   teams.deleteTeamMemberById);     // delete team membership
+const revalidate = Caching.cacheControl('private, no-cache'); // always check for changes
+
+
+router.get(   '/team-members/:id',   read,  revalidate, teams.getTeamMemberById);        // get team membership details
+router.post(  '/team-members',       write,             teams.postTeamMembers);          // add new team membership
+router.post(  '/team-members/batch',                    teams.postTeamMembersBatch);     // add/remove team memberships in bulk (permissions checked per operation)
+router.delete('/team-members/:id',   write,             teams.deleteTeamMemberById);     // delete team membership
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
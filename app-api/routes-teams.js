@@ -8,14 +8,24 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams  from './teams.js';
+import teams       from './teams.js';
+import Caching     from './caching.js';
+import Permissions from '../lib/permissions.js';
 
+const read     = Permissions.requirePermission('teams:read');
+const write    = Permissions.requirePermission('teams:write');
+const writeOwn = Permissions.requirePermission('teams:write', ctx => ctx.params.id); // team leads can update own team
 
-router.get(   '/teams',       teams.getTeams);           // list teams
-router.get(   '/teams/:id',   teams.getTeamById);        // get team details
-router.post(  '/teams',       teams.postTeams);          // add new team
-router.patch( '/teams/:id',   teams.patchTeamById);      // update team details
-router.delete('/teams/:id',   teams.deleteTeamById);     // delete team
+const brief      = Caching.cacheControl('private, max-age=10'); // lists are polled: clients can reuse them briefly
+const revalidate = Caching.cacheControl('private, no-cache');    // details are edited: always check for changes
+
+
+router.get(   '/teams',               read,     brief,      teams.getTeams);        // list teams
+router.get(   '/teams/:id',           read,     revalidate, teams.getTeamById);     // get team details
+router.post(  '/teams',               write,                teams.postTeams);       // add new team
+router.patch( '/teams/:id',           writeOwn,             teams.patchTeamById);   // update team details
+router.delete('/teams/:id',           write,                teams.deleteTeamById);  // delete team
+router.post(  '/teams/:id/restore',   write,                teams.restoreTeamById); // restore deleted team
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
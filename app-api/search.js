@@ -0,0 +1,76 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  API handlers - Search                                                                         */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Permissions from '../lib/permissions.js';
+import Search      from '../lib/search.js';
+
+const defaultLimit = 20;  // results of each type returned if no limit is specified
+const maxLimit     = 100; // upper bound on limit
+
+
+class SearchHandlers {
+
+    /**
+     * @api {get} /search?q= Search members & teams
+     * @apiName   GetSearch
+     * @apiGroup  Search
+     *
+     * @apiDescription Full-text search: members are matched on names & e-mail, teams on name. Every
+     *   word of the search text must match (as a prefix). Results are grouped by type, most relevant
+     *   first, with a relevance _score; only types the user has read permission for are included.
+     *
+     * @apiParam   q                           Search text (eg /search?q=ali smi).
+     * @apiParam   [limit=20]                  Maximum number of results of each type to return (max 100).
+     * @apiHeader  Authorization               Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK        Matching Members & Teams, with id, uri attributes.
+     * @apiSuccess (Success 2xx) 204/NoContent No matching members or teams found.
+     * @apiError   400/BadRequest              No search text, or invalid limit.
+     * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden               Permission required.
+     */
+    static async getSearch(ctx) {
+        const q = ctx.request.query.q;
+        if (!q || !Search.terms(q)) ctx.throw(400, 'Search requires search text ‘q’');
+
+        const limit = ctx.request.query.limit===undefined ? defaultLimit : Number(ctx.request.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) ctx.throw(400, 'Limit must be a positive integer');
+
+        const readMembers = await Permissions.can(ctx.state.auth, 'members:read');
+        const readTeams = await Permissions.can(ctx.state.auth, 'teams:read');
+        if (!readMembers && !readTeams) ctx.throw(403, 'Permission members:read or teams:read required');
+
+        const members = readMembers ? await Search.members(q, Math.min(limit, maxLimit)) : [];
+        const teams = readTeams ? await Search.teams(q, Math.min(limit, maxLimit)) : [];
+
+        if (members.length + teams.length == 0) { ctx.response.status = 204; return; } // No Content
+
+        ctx.response.body = {};
+        if (readMembers) {
+            ctx.response.body.Members = members.map(m => ({
+                _id:       m.MemberId,
+                _uri:      '/members/'+m.MemberId,
+                Firstname: m.Firstname,
+                Lastname:  m.Lastname,
+                Email:     m.Email,
+                _score:    m.Score,
+            }));
+        }
+        if (readTeams) {
+            ctx.response.body.Teams = teams.map(t => ({
+                _id:    t.TeamId,
+                _uri:   '/teams/'+t.TeamId,
+                Name:   t.Name,
+                _score: t.Score,
+            }));
+        }
+        ctx.response.body.root = 'Search';
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default SearchHandlers;
@@ -2,7 +2,9 @@
 /*  API handlers - Teams/Members                                                                  */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import TeamMember from '../models/team-member.js';
+import TeamMember  from '../models/team-member.js';
+import Permissions from '../lib/permissions.js';
+import Batch       from './batch.js';
 
 
 class TeamsMembersHandlers {
@@ -13,7 +15,7 @@ class TeamsMembersHandlers {
      * @apiGroup  TeamMembers
      *
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiSuccess (Success 2xx) 200/OK      Full details of specified team.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
      * @apiError   404/NotFound              Team-member not found.
@@ -37,16 +39,14 @@ class TeamsMembersHandlers {
      * @apiGroup   TeamMembers
      *
      * @apiParam   ...                       [as per get].
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiHeader  Authorization             Basic Access Authentication token.
      * @apiHeader  Content-Type              application/x-www-form-urlencoded.
      * @apiSuccess (Success 2xx) 201/Created Details of newly created team-membership.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             Permission required.
      */
     static async postTeamMembers(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         const id = await TeamMember.insert(ctx.request.body);
 
         ctx.response.body = await TeamMember.get(id); // return created team-member details
@@ -64,12 +64,10 @@ class TeamsMembersHandlers {
      * @apiHeader  Authorization        Basic Access Authentication token.
      * @apiSuccess (Success 2xx) 200/OK Full details of deleted team-member.
      * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
+     * @apiError   403/Forbidden        Permission required.
      * @apiError   404/NotFound         Team-member not found.
      */
     static async deleteTeamMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted team-member details
         const teamMember = await TeamMember.get(ctx.params.id);
 
@@ -81,6 +79,51 @@ class TeamsMembersHandlers {
         ctx.response.body.root = 'TeamMember';
     }
 
+
+    /**
+     * @api {post} /team-members/batch Create and delete team-memberships in a single request
+     * @apiName    PostTeamMembersBatch
+     * @apiGroup   TeamMembers
+     *
+     * @apiDescription Operations are run in a single transaction; each gets its own result status
+     *   (as per the equivalent individual request). Normally successful operations are committed
+     *   even if others fail; with ‘atomic’ set, if any operation fails, none are applied (and the
+     *   others get status 424).
+     *
+     * @apiParam   {Object[]} operations         Operations, each { method, id, values }.
+     * @apiParam   {string}   operations.method  POST (values), or DELETE (id).
+     * @apiParam   {boolean}  [atomic=false]     All-or-nothing.
+     * @apiHeader  Authorization                 Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]     application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiHeader  Content-Type                  application/json.
+     * @apiSuccess (Success 2xx) 200/OK          Whether batch was committed, and result of each operation.
+     * @apiError   400/BadRequest                No operations supplied / too many operations.
+     * @apiError   401/Unauthorized              Invalid JWT auth credentials supplied.
+     */
+    static async postTeamMembersBatch(ctx) {
+        await Batch.run(ctx, async function(operation) {
+            const user = ctx.state.auth;
+
+            switch (operation.method) {
+                case 'POST': {
+                    const values = { ...operation.values };
+                    if (!await Permissions.can(user, 'team-members:write', values.TeamId)) ctx.throw(403, 'Permission team-members:write required');
+                    const id = await TeamMember.insert(values);
+                    return { status: 201, _id: id, _uri: '/team-members/'+id }; // Created
+                }
+                case 'DELETE': {
+                    const teamMember = await TeamMember.get(operation.id);
+                    if (!teamMember) ctx.throw(404, `No team-member ${operation.id} found`);
+                    if (!await Permissions.can(user, 'team-members:write', teamMember.TeamId)) ctx.throw(403, 'Permission team-members:write required');
+                    await TeamMember.delete(operation.id);
+                    return { status: 200, _id: operation.id };
+                }
+                default:
+                    ctx.throw(400, `Unrecognised batch method ${operation.method}`);
+            }
+        });
+    }
+
 }
 
 
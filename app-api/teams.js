@@ -2,8 +2,11 @@
 /*  API handlers - Teams                                                                          */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Team from '../models/team.js';
-import Db   from '../lib/mysqldb.js';
+import Team        from '../models/team.js';
+import Db          from '../lib/mysqldb.js';
+import QueryFilter from '../lib/query-filter.js';
+import ListOptions from './list-options.js';
+import ETag        from './etag.js';
 
 
 class TeamsHandlers {
@@ -15,32 +18,44 @@ class TeamsHandlers {
      *
      * @apiDescription Summary list of teams.
      *
-     * @apiParam   -filter-field-              Field to be filtered on (eg /teams?name=brainiacs)
+     *   Lists are returned in pages; the X-Total-Count header gives the total number of matching
+     *   teams, and the Link header gives first/prev/next/last page links.
+     *
+     * @apiParam   -filter-field-              Field to be filtered on (eg /teams?name=brainiacs); operators eq, ne, lt, lte,
+     *                                         gt, gte, like, nlike, in, nin, null (eg /teams?name[like]=brain%).
+     * @apiParam   [limit=100]                 Maximum number of teams to return (max 1000).
+     * @apiParam   [offset=0]                  Number of teams to skip.
+     * @apiParam   [sort=Name]                 Fields to sort on; prefix with ‘-’ for descending (eg -Name).
+     * @apiParam   [fields]                    Fields to include in list entries (eg Name).
      * @apiHeader  Authorization               Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK        List of teams with id, uri attributes.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK        List of teams with id, uri attributes (plus requested fields).
      * @apiSuccess (Success 2xx) 204/NoContent No matching teams found.
-     * @apiError   403/Forbidden               Unrecognised Team field in query.
+     * @apiError   400/BadRequest              Invalid limit or offset.
+     * @apiError   403/Forbidden               Unrecognised Team field or filter operator in query.
      * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
      */
     static async getTeams(ctx) {
+        const options = await ListOptions.parse(ctx, 'Team', [ 'Name' ]);
+
         try {
 
-            let sql = 'Select * From Team';
-            // query-string filters?
-            if (ctx.request.querystring) {
-                const filter = Object.keys(ctx.request.query).map(function(q) { return q+' = :'+q; }).join(' and ');
-                sql += ' Where '+filter;
-            }
-            sql +=  ' Order By Name';
+            const filter = await QueryFilter.where('Team', options.filter, [ 'DeletedOn Is Null' ]);
 
-            const [ teams ] = await Db.query(sql, ctx.request.query);
+            const [ [ { total } ] ] = await Db.query('Select Count(*) As total From Team'+filter.sql, filter.values);
+
+            const sql = `Select * From Team${filter.sql} Order By ${options.orderBy} Limit ${options.limit} Offset ${options.offset}`;
+            const [ teams ] = await Db.query(sql, filter.values);
+
+            ListOptions.setPagingHeaders(ctx, options, total);
 
             if (teams.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
 
-            // just id & uri attributes in list
-            for (let m=0; m<teams.length; m++) {
-                teams[m] = { _id: teams[m].TeamId, _uri: '/teams/'+teams[m].TeamId };
+            // just id & uri attributes in list, plus any requested fields
+            for (let t=0; t<teams.length; t++) {
+                const team = { _id: teams[t].TeamId, _uri: '/teams/'+teams[t].TeamId };
+                for (const field of options.fields) team[field] = teams[t][field];
+                teams[t] = team;
             }
 
             ctx.response.body = teams;
@@ -61,8 +76,8 @@ class TeamsHandlers {
      * @apiGroup  Teams
      *
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team (with ETag header).
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
      * @apiError   404/NotFound              Team not found.
      */
@@ -75,12 +90,15 @@ class TeamsHandlers {
         team._id = team.TeamId;
 
         // team membership
-        const sql = 'Select MemberId As _id, concat("/members/",MemberId) As _uri From TeamMember Where TeamId = :id';
+        const sql = `Select MemberId As _id, concat("/members/",MemberId) As _uri
+                     From TeamMember Inner Join Member Using (MemberId)
+                     Where TeamId = :id And DeletedOn Is Null`;
         const [ members ] = await Db.query(sql,  { id: ctx.params.id });
         team.Members = members;
 
         ctx.response.body = team;
         ctx.response.body.root = 'Team';
+        ctx.response.etag = ETag.of(team);
     }
 
 
@@ -90,20 +108,19 @@ class TeamsHandlers {
      * @apiGroup   Teams
      *
      * @apiParam   ...                       [as per get].
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiHeader  Authorization             Basic Access Authentication token.
      * @apiHeader  Content-Type              application/x-www-form-urlencoded.
      * @apiSuccess (Success 2xx) 201/Created Details of newly created team.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             Permission required.
      */
     static async postTeams(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         const id = await Team.insert(ctx.request.body);
 
         ctx.response.body = await Team.get(id); // return created team details
         ctx.response.body.root = 'Team';
+        ctx.response.etag = ETag.of(ctx.response.body);
         ctx.response.set('Location', '/teams/'+id);
         ctx.response.status = 201; // Created
     }
@@ -116,23 +133,25 @@ class TeamsHandlers {
      *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
      * @apiHeader  Content-Type              application/x-www-form-urlencoded.
+     * @apiHeader  [If-Match]                ETag of team as retrieved: only update if it is unchanged.
      * @apiSuccess (Success 2xx) 200/OK      Updated team details.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             Permission required.
      * @apiError   404/NotFound              Team not found.
+     * @apiError   412/PreconditionFailed    Team has been changed since ETag was retrieved.
      */
     static async patchTeamById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
+        const team = await Team.get(ctx.params.id);
+        if (!team) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
 
-        await Team.update(ctx.params.id, ctx.request.body);
+        await Team.update(ctx.params.id, ctx.request.body, ETag.ifMatch(ctx, team));
 
         // return updated team details
         ctx.response.body = await Team.get(ctx.params.id);
-        if (!ctx.response.body) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
-
         ctx.response.body.root = 'Team';
+        ctx.response.etag = ETag.of(ctx.response.body);
     }
 
 
@@ -141,27 +160,56 @@ class TeamsHandlers {
      * @apiName      DeleteTeams
      * @apiGroup     Teams
      *
-     * @apiHeader  Authorization        Basic Access Authentication token.
-     * @apiSuccess (Success 2xx) 200/OK Full details of deleted team.
-     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
-     * @apiError   404/NotFound         Team not found.
+     * @apiDescription The team is moved to the trash, from where it can be restored (with POST
+     *   /teams/:id/restore) until it is purged after the retention period.
+     *
+     * @apiHeader  Authorization          Basic Access Authentication token.
+     * @apiHeader  [If-Match]             ETag of team as retrieved: only delete if it is unchanged.
+     * @apiSuccess (Success 2xx) 200/OK   Full details of deleted team.
+     * @apiError   401/Unauthorized       Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden          Permission required.
+     * @apiError   404/NotFound           Team not found.
+     * @apiError   412/PreconditionFailed Team has been changed since ETag was retrieved.
      */
     static async deleteTeamById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted team details
         const team = await Team.get(ctx.params.id);
 
         if (!team) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
 
-        await Team.delete(ctx.params.id);
+        await Team.delete(ctx.params.id, ETag.ifMatch(ctx, team));
 
         ctx.response.body = team; // deleted team details
         ctx.response.body.root = 'Team';
     }
 
 
+    /**
+     * @api {post} /teams/:id/restore Restore deleted team
+     * @apiName    PostTeamsIdRestore
+     * @apiGroup   Teams
+     *
+     * @apiDescription Deleted teams are kept in the trash (for TRASH_RETENTION_DAYS, default 30 days)
+     *   before being permanently purged; until then, they can be restored.
+     *
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv.
+     * @apiSuccess (Success 2xx) 200/OK      Details of restored team.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             Permission required.
+     * @apiError   404/NotFound              Team not found in trash.
+     */
+    static async restoreTeamById(ctx) {
+        const restored = await Team.restore(ctx.params.id);
+
+        if (!restored) ctx.throw(404, `No deleted team ${ctx.params.id} found`); // Not Found
+
+        ctx.response.body = await Team.get(ctx.params.id); // restored team details
+        ctx.response.body.root = 'Team';
+        ctx.response.etag = ETag.of(ctx.response.body);
+    }
+
+
 }
 
 
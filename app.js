@@ -15,9 +15,28 @@ import compose         from 'koa-compose';    // middleware composer
 import compress        from 'koa-compress';   // HTTP compression
 import session         from 'koa-session';    // session for flash messages
 
+import Migrate        from './lib/migrate.js';
+import RequestContext from './lib/request-context.js';
+import Trash          from './lib/trash.js';
+
 const app = new Koa();
 
 
+// trust X-Forwarded-For/-Host/-Proto headers only as far as they were set by the PROXY_HOPS reverse
+// proxies in front of the app (e.g. 1 for the Heroku router): each proxy appends the address it
+// received the request from, so only the last PROXY_HOPS entries of X-Forwarded-For are used, and
+// ctx.request.ip cannot be forged by the client (it is used for login throttling & rate limiting);
+// these are getters, as app.js may be loaded before .env settings are
+Object.defineProperties(app, {
+    proxy:       { get: () => proxyHops() > 0 },
+    maxIpsCount: { get: () => proxyHops() },
+});
+
+function proxyHops() {
+    return Number(process.env.PROXY_HOPS || 0);
+}
+
+
 /* set up middleware which will be applied to each request - - - - - - - - - - - - - - - - - - -  */
 
 
@@ -43,7 +62,8 @@ app.use(async function robots(ctx, next) {
 
 // parse request body into ctx.request.body
 // - multipart allows parsing of enctype=multipart/form-data
-app.use(body({ multipart: true }));
+// - DELETE bodies are parsed as well as POST/PUT/PATCH (for refresh token on API DELETE /auth)
+app.use(body({ multipart: true, parsedMethods: [ 'POST', 'PUT', 'PATCH', 'DELETE' ] }));
 
 
 // set signed cookie keys for JWT cookie & session cookie
@@ -53,6 +73,10 @@ app.keys = [ 'koa-sample-app' ];
 app.use(session(app));
 
 
+// make request state (in particular signed-in user) available to models, for audit trail
+app.use(RequestContext.middleware());
+
+
 // select sub-app (admin/api) according to host subdomain (could also be by analysing request.url);
 // separate sub-apps can be used for modularisation of a large system, for different login/access
 // rights for public/protected elements, and also for different functionality between api & web
@@ -85,8 +109,28 @@ app.use(async function composeSubapp(ctx) { // note no 'next' after composed sub
 /* create server - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 
-app.listen(process.env.PORT||3000);
-console.info(`${process.version} listening on port ${process.env.PORT||3000} (${app.env})`);
+// in development, optionally apply pending database migrations at startup (DB_MIGRATE_ON_START);
+// the server only starts listening once they are complete, so requests never see a half-migrated
+// schema
+async function migrateOnStart() {
+    if (app.env != 'development' || process.env.DB_MIGRATE_ON_START != 'true') return;
+    try {
+        const applied = await Migrate.up();
+        if (applied.length > 0) console.info('migrations applied:', applied.join(', '));
+    } catch (err) {
+        console.error('migrations failed:', err.message);
+        process.exit(1);
+    }
+}
+
+migrateOnStart().then(function() {
+    app.listen(process.env.PORT||3000);
+    console.info(`${process.version} listening on port ${process.env.PORT||3000} (${app.env})`);
+
+    // purge deleted members & teams once they have been in the trash for the retention period
+    // (now, and daily thereafter)
+    Trash.schedule();
+});
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
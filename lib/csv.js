@@ -0,0 +1,147 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* CSV - parsing & generation of comma-separated values (RFC 4180, as used by spreadsheets).      */
+/*                                                                                                */
+/* Fields may be quoted with double quotes, in which case they may contain delimiters, line       */
+/* breaks, and (doubled) double quotes. Lines may end with CRLF, LF, or CR.                       */
+/*                                                                                                */
+/* Generated CSV is protected against formula (‘CSV’) injection: text fields which a spreadsheet  */
+/* would treat as a formula (starting with =, +, -, @, tab, or CR) are prefixed with a ‘'’.       */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+class Csv {
+
+    /**
+     * Parse CSV text into array of rows, each an array of (string) field values.
+     *
+     * Blank lines are ignored; rows are not required to have the same number of fields.
+     *
+     * @param   {string}     text - CSV text (any byte-order mark is ignored).
+     * @param   {string}     [delimiter=,] - Field delimiter (e.g. ‘;’ or tab).
+     * @returns {string[][]} Rows of fields.
+     * @throws  Error on unterminated quoted field.
+     *
+     * @example
+     *   Csv.parse('Firstname,Lastname\r\nAdèle,"Smith, Jr"\r\n'); // [ ['Firstname','Lastname'], ['Adèle','Smith, Jr'] ]
+     */
+    static parse(text, delimiter=',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false; // within quoted field
+        let line = 1;       // current line, for error reporting
+        let quotedLine = 1; // line quoted field started on
+
+        const src = text.replace(/^\uFEFF/, '');
+
+        const endRow = function() {
+            row.push(field);
+            if (row.length > 1 || row[0] != '') rows.push(row); // ignore blank lines
+            row = [];
+            field = '';
+        };
+
+        for (let i=0; i<src.length; i++) {
+            const ch = src[i];
+            if (quoted) {
+                if (ch == '"' && src[i+1] == '"') { field += '"'; i++; continue; } // escaped quote
+                if (ch == '"') { quoted = false; continue; }
+                if (ch == '\n') line++;
+                field += ch;
+                continue;
+            }
+            switch (ch) {
+                case '"':
+                    if (field == '') { // opening quote
+                        quoted = true;
+                        quotedLine = line;
+                    } else {
+                        field += ch; // quote within unquoted field taken literally
+                    }
+                    break;
+                case delimiter:
+                    row.push(field);
+                    field = '';
+                    break;
+                case '\r':
+                    if (src[i+1] == '\n') i++;
+                    // falls through
+                case '\n':
+                    endRow();
+                    line++;
+                    break;
+                default:
+                    field += ch;
+            }
+        }
+
+        if (quoted) throw new Error(`Unterminated quoted field starting at line ${quotedLine}`);
+
+        endRow(); // final row (without line ending)
+
+        return rows;
+    }
+
+
+    /**
+     * Convert rows of fields into CSV text; fields are quoted only where necessary, and lines end
+     * with CRLF.
+     *
+     * Strings which spreadsheets would interpret as formulas (e.g. ‘=HYPERLINK(…)’ as a member’s
+     * name) are prefixed with ‘'’, so that they are shown as text; numbers are output as they are.
+     *
+     * @param   {Array[]} rows - Rows of field values (null/undefined are output as empty fields).
+     * @returns {string}  CSV text.
+     *
+     * @example
+     *   Csv.stringify([ [ '=1+1', -2 ] ]); // "'=1+1,-2\r\n"
+     */
+    static stringify(rows) {
+        const quote = function(value) {
+            let field = value==null ? '' : String(value);
+            if (typeof value == 'string' && /^[=+\-@\t\r]/.test(field)) field = "'" + field; // formula injection
+            return /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+        };
+        return rows.map(row => row.map(quote).join(',') + '\r\n').join('');
+    }
+
+
+    /**
+     * Convert object(s) (e.g. API response or query results) into rows of fields, with a heading
+     * row of property names (from all objects, in order of first appearance).
+     *
+     * Arrays are joined with ‘; ’ (using the _id of any objects within them, e.g. a member’s teams),
+     * and other nested objects are given as JSON.
+     *
+     * @param   {Object|Object[]} objects - Object or array of objects to be tabulated.
+     * @param   {string[]}        [headings] - Initial headings (e.g. query result field names), so
+     *   that an empty list still gives a heading row.
+     * @returns {Array[]}         Heading row followed by a row for each object.
+     *
+     * @example
+     *   Csv.tabulate([ { Name: 'Alpha' }, { Name: 'Beta', Active: true } ]); // [ ['Name','Active'], ['Alpha',null], ['Beta',true] ]
+     */
+    static tabulate(objects, headings=[]) {
+        const list = Array.isArray(objects) ? objects : [ objects ];
+
+        const columns = [ ...headings ];
+        for (const object of list) {
+            for (const key of Object.keys(object)) if (!columns.includes(key)) columns.push(key);
+        }
+
+        const cell = function(value) {
+            if (value == null) return null;
+            if (Array.isArray(value)) return value.map(v => typeof v == 'object' && v ? v._id : v).join('; ');
+            if (typeof value == 'object') return JSON.stringify(value);
+            return value;
+        };
+
+        return [ columns, ...list.map(object => columns.map(column => cell(object[column]))) ];
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Csv;
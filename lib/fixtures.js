@@ -0,0 +1,123 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Fixtures - seed data for development & integration tests.                                      */
+/*                                                                                                */
+/* Fixtures are YAML (or JSON) files in the fixtures folder, mapping table names to lists of      */
+/* rows; tables are loaded in the order listed. Loading resets the database to a known state: all */
+/* tables are emptied before the fixture rows are inserted, all within a single transaction. This */
+/* is refused in production. Tables maintained by migrations (Migration, and the RolePermission   */
+/* reference data) are left alone.                                                                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import fs   from 'fs';      // nodejs.org/api/fs.html
+import yaml from 'js-yaml'; // YAML parser
+
+import Db from './mysqldb.js';
+
+const fixturesDir = 'fixtures'; // relative to app root
+
+const migrationTables = [ 'Migration', 'RolePermission' ]; // tables maintained by migrations, not fixtures
+
+
+class Fixtures {
+
+    /**
+     * Read fixture file.
+     *
+     * Dates are left as strings (yyyy-mm-dd), rather than being converted to JavaScript Dates,
+     * so that they are not subject to timezone conversion.
+     *
+     * @param   {string} name - Fixture name (file name without .yaml/.yml/.json extension).
+     * @returns {Object} Lists of rows by table name.
+     * @throws  Error if fixture file is not found, or is not a valid fixture.
+     *
+     * @example
+     *   const { Member } = await Fixtures.read('sandbox'); // [ { MemberId: 100001, Firstname: 'Juan Manuel', … }, … ]
+     */
+    static async read(name) {
+        const file = [ 'yaml', 'yml', 'json' ].map(ext => `${fixturesDir}/${name}.${ext}`).find(f => fs.existsSync(f));
+        if (!file) throw new Error(`Fixture ${name} not found`);
+
+        const text = await fs.promises.readFile(file, 'utf8');
+        const fixture = file.endsWith('.json') ? JSON.parse(text) : yaml.safeLoad(text, { schema: yaml.CORE_SCHEMA });
+
+        Fixtures.validate(fixture, name);
+
+        return fixture;
+    }
+
+
+    /**
+     * Check fixture has list of row objects for each table (other than tables maintained by
+     * migrations).
+     *
+     * @param   {Object} fixture - Lists of rows by table name.
+     * @param   {string} name - Fixture name (for error messages).
+     * @throws  Error if fixture is not valid.
+     */
+    static validate(fixture, name) {
+        if (typeof fixture != 'object' || fixture == null || Array.isArray(fixture)) {
+            throw new Error(`Fixture ${name} must map table names to lists of rows`);
+        }
+        for (const [ table, rows ] of Object.entries(fixture)) {
+            if (!/^[A-Za-z]\w*$/.test(table)) throw new Error(`Fixture ${name}: invalid table name ${table}`);
+            if (migrationTables.includes(table)) throw new Error(`Fixture ${name}: ${table} is maintained by migrations`);
+            if (!Array.isArray(rows)) throw new Error(`Fixture ${name}: ${table} must be a list of rows`);
+            const invalid = rows.findIndex(row => typeof row != 'object' || row == null || Array.isArray(row));
+            if (invalid >= 0) throw new Error(`Fixture ${name}: ${table} row ${invalid+1} must be an object`);
+        }
+    }
+
+
+    /**
+     * Reset database to fixture: empty all tables (other than those maintained by migrations) and
+     * insert fixture rows.
+     *
+     * The schema must already be up to date (Migrate.up()).
+     *
+     * @param   {string} [name=sandbox] - Fixture name.
+     * @returns {Object} Number of rows inserted by table name.
+     * @throws  Error if run in production, or fixture is invalid or fails to load.
+     *
+     * @example
+     *   before(async function() {
+     *       await Fixtures.load('sandbox'); // reset to known state before test suite
+     *   });
+     */
+    static async load(name='sandbox') {
+        if (process.env.NODE_ENV == 'production') throw new Error('Fixtures cannot be loaded in production');
+
+        const fixture = await Fixtures.read(name);
+
+        return await Db.transaction(async function(tx) {
+            await tx.query('Set foreign_key_checks = 0'); // so tables can be emptied in any order
+            try {
+
+                const [ tables ] = await tx.query(`Select Table_Name As TableName
+                                                   From Information_Schema.Tables
+                                                   Where Table_Schema = Database() And Table_Type = 'BASE TABLE'
+                                                     And Table_Name Not In (?)`, [ migrationTables ]);
+                for (const { TableName } of tables) {
+                    await tx.query('Delete From ??', [ TableName ]);
+                }
+
+                const counts = {};
+                for (const [ table, rows ] of Object.entries(fixture)) {
+                    for (const row of rows) {
+                        await tx.query('Insert Into ?? Set ?', [ table, row ]);
+                    }
+                    counts[table] = rows.length;
+                }
+                return counts;
+
+            } finally {
+                await tx.query('Set foreign_key_checks = 1');
+            }
+        });
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Fixtures;
@@ -23,12 +23,11 @@ class Log {
     static async access(ctx, time) {
         // don't log development environment [to test logging, check referer=mocha]
         if (ctx.app.env == 'development') return;
-        ctx.app.proxy = true; // support x-forwarded-host / x-forwarded-for for e.g. Heroku
 
         const request = {
             method:   ctx.request.method,
             host:     ctx.request.host,
-            url:      ctx.request.url,
+            url:      redact(ctx.request.url),
             ip:       ctx.request.ip,
             referrer: ctx.request.headers.referer,
             status:   ctx.response.status,
@@ -61,7 +60,7 @@ class Log {
         const request = {
             method: ctx.request.method,
             host:   ctx.request.host,
-            url:    ctx.request.url,
+            url:    redact(ctx.request.url),
             ip:     ctx.request.ip,
             status: ctx.response.status,
         };
@@ -87,6 +86,28 @@ class Log {
     }
 
 
+    /**
+     * Log a slow database query to the log-query capped collection.
+     *
+     * @param {Object} query - Query details { sql, shape, ms, rows }.
+     */
+    static async query(query) {
+        // don't log development environment (slow queries can be seen in /dev/queries statistics)
+        if ((process.env.NODE_ENV || 'development') == 'development') return;
+
+        const entry = {
+            sql:   query.sql.length > 4000 ? query.sql.slice(0, 4000)+'…' : query.sql,
+            shape: query.shape,
+            ms:    query.ms,
+            rows:  query.rows,
+        };
+
+        // logging uses capped collection log-query (size: 1000×4e3, max: 1000)
+        const logCollection = await Db.collection('log-query');
+        await logCollection.insertOne(entry);
+    }
+
+
     /**
      * Log or notify unhandled exception e.g. from within models.
      *
@@ -100,6 +121,15 @@ class Log {
 }
 
 
+/**
+ * Redact any password supplied in url query string (e.g. GET /auth?username=…&password=…), so that
+ * it is not recorded in logs.
+ */
+function redact(url) {
+    return url.replace(/([?&]password=)[^&]*/gi, '$1…');
+}
+
+
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default Log;
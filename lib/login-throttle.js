@@ -0,0 +1,194 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Login throttle - limits on password guessing, for both admin login and API /auth.              */
+/*                                                                                                */
+/* Failed attempts are counted per account (e-mail) and per client IP address. After a few        */
+/* failures for an account, further attempts are refused until an exponentially increasing delay  */
+/* has passed; after LOGIN_LOCKOUT_THRESHOLD failures (default 10) an account is locked for       */
+/* LOGIN_LOCKOUT_MINUTES (default 15), and its user is notified by e-mail. An IP address is       */
+/* locked likewise after LOGIN_LOCKOUT_IP_THRESHOLD failures (default 50), across all accounts.   */
+/* Failures are forgotten after LOGIN_LOCKOUT_MINUTES without one, or on a successful login.      */
+/*                                                                                                */
+/* Each attempt is counted as a failure before the credentials are verified, and uncounted if     */
+/* they verify, so concurrent attempts cannot all go ahead before any failures are recorded.      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import LoginFailure from '../models/login-failure.js';
+import User         from '../models/user.js';
+import Log          from './log.js';
+import Mail         from './mail.js';
+
+const freeAttempts = 2; // failures allowed before delays are imposed
+const maxDelay = 60;    // seconds
+
+
+class LoginThrottle {
+
+    /**
+     * Failures allowed before an account is locked.
+     */
+    static get accountThreshold() {
+        return Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10);
+    }
+
+
+    /**
+     * Failures allowed before an IP address is locked.
+     */
+    static get ipThreshold() {
+        return Number(process.env.LOGIN_LOCKOUT_IP_THRESHOLD || 50);
+    }
+
+
+    /**
+     * Length of lockout (and period after which failures are forgotten), in minutes.
+     */
+    static get lockoutMinutes() {
+        return Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+    }
+
+
+    /**
+     * Delay required after given number of consecutive failures before another attempt is allowed:
+     * none for the first couple, then 1, 2, 4, 8… seconds, up to a maximum of 1 minute.
+     *
+     * @param   {number} failures - Number of consecutive failures.
+     * @returns {number} Delay in seconds.
+     */
+    static delay(failures) {
+        if (failures <= freeAttempts) return 0;
+        return Math.min(2 ** (failures - freeAttempts - 1), maxDelay);
+    }
+
+
+    /**
+     * Check whether a login attempt for given account from given IP address can go ahead, and if
+     * so reserve it: this should be done before the password is verified. The attempt is counted as
+     * a failure until success() or release() is called, so that concurrent attempts cannot all go
+     * ahead before any failure is recorded.
+     *
+     * @param   {string} email - E-mail login is being attempted for.
+     * @param   {string} ip - Client IP address.
+     * @returns {Object} { wait, locked }: seconds to wait before another attempt is allowed (0 if
+     *   attempt can go ahead), and whether this is a lockout (rather than a backoff delay).
+     */
+    static async attempt(email, ip) {
+        const minutes = LoginThrottle.lockoutMinutes;
+
+        const account = await LoginFailure.get('account', normalise(email));
+        const address = await LoginFailure.get('ip', ip);
+
+        let wait = 0;
+        let locked = false;
+
+        for (const [ scope, failure ] of [ [ 'account', account ], [ 'ip', address ] ]) {
+            if (!failure) continue;
+            if (failure.LockedFor > 0) {
+                wait = Math.max(wait, failure.LockedFor);
+                locked = true;
+            } else if (scope == 'account') { // (IP addresses may be shared, so are only locked out)
+                wait = Math.max(wait, LoginThrottle.delay(failure.Failures) - failure.SecondsSince);
+            }
+        }
+
+        if (wait > 0) return { wait, locked };
+
+        // reserve attempt for account; if a concurrent attempt got there first, this one must wait
+        const reserved = await LoginFailure.reserve('account', normalise(email), account ? account.Failures : null, minutes);
+        if (!reserved) return { wait: 1, locked: false };
+
+        // count attempt for IP address (concurrent attempts can’t take it past the threshold)
+        const recorded = await LoginFailure.record('ip', ip, minutes);
+        if (recorded.Failures > LoginThrottle.ipThreshold) {
+            await LoginFailure.lock('ip', ip, minutes);
+            await LoginFailure.release('account', normalise(email));
+            return { wait: minutes*60, locked: true };
+        }
+
+        return { wait: 0, locked: false };
+    }
+
+
+    /**
+     * Failed login attempt (bad password or bad two-factor code), already counted by attempt(): if
+     * this reaches the lockout threshold, lock the account and/or the IP address. The user is
+     * notified of an account lockout by e-mail, which is sent without holding up the response.
+     *
+     * @param {string} email - E-mail login was attempted for.
+     * @param {string} ip - Client IP address.
+     * @param {Object} ctx - Koa context (for notification e-mail).
+     */
+    static async failure(email, ip, ctx) {
+        const minutes = LoginThrottle.lockoutMinutes;
+
+        const account = await LoginFailure.get('account', normalise(email));
+        if (account && account.Failures >= LoginThrottle.accountThreshold && account.LockedFor == 0) {
+            const newlyLocked = await LoginFailure.lock('account', account.Identifier, minutes);
+            const [ user ] = await User.getBy('Email', email); // only notify actual users!
+            if (newlyLocked && user) {
+                const context = { name: user.Firstname, failures: account.Failures, minutes, ip, host: ctx.request.host };
+                Mail.send(user.Email, 'login-lockout.email', context, ctx).catch(e => Log.exception('LoginThrottle.failure', e));
+            }
+        }
+
+        const address = await LoginFailure.get('ip', ip);
+        if (address && address.Failures >= LoginThrottle.ipThreshold && address.LockedFor == 0) {
+            await LoginFailure.lock('ip', ip, minutes);
+        }
+    }
+
+
+    /**
+     * Successful login: failures for the account are forgotten, and the attempt is no longer counted
+     * for the IP address (whose other failures are not forgotten, so that guesses at other accounts
+     * cannot be hidden by logging in to a known one).
+     *
+     * @param {string} email - E-mail of user logged in.
+     * @param {string} ip - Client IP address.
+     */
+    static async success(email, ip) {
+        await LoginFailure.delete('account', normalise(email));
+        await LoginFailure.release('ip', ip);
+    }
+
+
+    /**
+     * Release attempt reserved by attempt(), without it counting as either success or failure (the
+     * password has verified, but a second factor is still to be supplied, in a further attempt).
+     *
+     * @param {string} email - E-mail login was attempted for.
+     * @param {string} ip - Client IP address.
+     */
+    static async release(email, ip) {
+        await LoginFailure.release('account', normalise(email));
+        await LoginFailure.release('ip', ip);
+    }
+
+
+    /**
+     * Message for refused login attempt.
+     *
+     * @param   {Object} throttle - Result of attempt().
+     * @returns {string} Explanation of why attempt was refused.
+     */
+    static message(throttle) {
+        if (throttle.locked) {
+            const minutes = Math.ceil(throttle.wait / 60);
+            return `Too many failed login attempts: login is locked for ${minutes} minute${minutes==1 ? '' : 's'}`;
+        }
+        return `Too many failed login attempts: please wait ${throttle.wait} second${throttle.wait==1 ? '' : 's'} before trying again`;
+    }
+
+}
+
+
+/**
+ * Normalise e-mail to identify account (e-mails are matched case-insensitively).
+ */
+function normalise(email) {
+    return String(email || '').trim().toLowerCase().slice(0, 255);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default LoginThrottle;
@@ -0,0 +1,192 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Migrate - versioned database schema migrations.                                                */
+/*                                                                                                */
+/* Migrations are pairs of SQL files in the migrations folder, named with a zero-padded sequence  */
+/* number & a description (e.g. ‘002-add-member-phone.up.sql’ & ‘002-add-member-phone.down.sql’), */
+/* and are applied in name order. Statements within a file are terminated by ‘;’ at end of line.  */
+/*                                                                                                */
+/* Applied migrations are recorded in the Migration table (which is created if need be). Note     */
+/* MySQL DDL statements commit implicitly, so a migration cannot be rolled back if it fails part  */
+/* way through: migrations should be small, and written to be safe to re-run.                     */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import fs from 'fs'; // nodejs.org/api/fs.html
+
+import Db from './mysqldb.js';
+
+const migrationsDir = 'migrations'; // relative to app root
+
+const lockTimeout = 60; // seconds to wait for a concurrent migration run to complete
+
+
+class Migrate {
+
+    /**
+     * Names of available migrations (file names without ‘.up.sql’), in order.
+     *
+     * @returns {string[]} Migration names.
+     * @throws  Error if any file in the migrations folder is not validly named.
+     */
+    static async available() {
+        const files = await fs.promises.readdir(migrationsDir);
+
+        const invalid = files.filter(file => !/^\d{3,}-[a-z0-9-]+\.(up|down)\.sql$/.test(file));
+        if (invalid.length > 0) throw new Error(`Invalid migration file name(s) ${invalid.join(', ')}`);
+
+        return files.filter(file => file.endsWith('.up.sql')).map(file => file.replace(/\.up\.sql$/, '')).sort();
+    }
+
+
+    /**
+     * Split SQL script into individual statements (terminated by ‘;’ at the end of a line, optionally
+     * followed by a comment); comment-only lines are dropped.
+     *
+     * @param   {string}   sql - SQL script.
+     * @returns {string[]} SQL statements.
+     *
+     * @example
+     *   Migrate.statements('-- tables\ndrop table A;\ndrop table B;\n'); // [ 'drop table A', 'drop table B' ]
+     */
+    static statements(sql) {
+        return sql
+            .split(/;[ \t]*(?:--.*)?\r?$/m)
+            .map(statement => statement.replace(/^\s*--.*$/mg, '').trim())
+            .filter(statement => statement != '');
+    }
+
+
+    /**
+     * Status of all migrations, available or applied.
+     *
+     * @returns {Object[]} Migrations { Name, AppliedOn }, where AppliedOn is null for pending
+     *   migrations, and Missing is set for applied migrations which are no longer available.
+     */
+    static async status() {
+        return await withLock(async function(db) {
+            const available = await Migrate.available();
+            const applied = await appliedMigrations(db);
+
+            const names = [ ...new Set([ ...available, ...applied.keys() ]) ].sort();
+
+            return names.map(name => ({
+                Name:      name,
+                AppliedOn: applied.get(name) || null,
+                ...(available.includes(name) ? {} : { Missing: true }),
+            }));
+        });
+    }
+
+
+    /**
+     * Apply pending migrations, in order.
+     *
+     * @param   {string}   [target] - Last migration to apply (name, or sequence number); if not
+     *   given, all pending migrations are applied.
+     * @returns {string[]} Names of migrations applied.
+     * @throws  Error if target is not an available migration.
+     */
+    static async up(target) {
+        return await withLock(async function(db) {
+            const available = await Migrate.available();
+            const applied = await appliedMigrations(db);
+
+            const last = target ? available.find(name => matches(name, target)) : available[available.length-1];
+            if (target && !last) throw new Error(`Migration ${target} not found`);
+
+            const pending = available.filter(name => !applied.has(name) && name <= last);
+
+            for (const name of pending) {
+                for (const sql of await load(name, 'up')) await db.query(sql);
+                await db.execute('Insert Into Migration (Name, AppliedOn) Values (:name, Now())', { name });
+            }
+
+            return pending;
+        });
+    }
+
+
+    /**
+     * Revert most recently applied migrations, in reverse order.
+     *
+     * @param   {number}   [steps=1] - Number of migrations to revert.
+     * @returns {string[]} Names of migrations reverted.
+     * @throws  Error if an applied migration to be reverted is no longer available.
+     */
+    static async down(steps=1) {
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('Steps must be a positive integer');
+
+        return await withLock(async function(db) {
+            const applied = await appliedMigrations(db);
+
+            const reverting = [ ...applied.keys() ].sort().reverse().slice(0, steps);
+
+            for (const name of reverting) {
+                for (const sql of await load(name, 'down')) await db.query(sql);
+                await db.execute('Delete From Migration Where Name = :name', { name });
+            }
+
+            return reverting;
+        });
+    }
+
+}
+
+
+/**
+ * Run fn on a dedicated connection, holding a named lock so that concurrent migration runs (e.g.
+ * several app instances starting together) are serialised.
+ */
+async function withLock(fn) {
+    const db = await Db.connect();
+    try {
+        const [ [ lock ] ] = await db.query('Select Get_Lock(:name, :timeout) As Locked', { name: 'migrate', timeout: lockTimeout });
+        if (!lock.Locked) throw new Error('Timed out waiting for concurrent migration to complete');
+        try {
+            await db.query(`Create Table If Not Exists Migration (
+                              Name      varchar(128) not null,
+                              AppliedOn datetime not null,
+                              primary key (Name)
+                            ) engine=InnoDB charset=utf8`);
+            return await fn(db);
+        } finally {
+            await db.query('Select Release_Lock(:name)', { name: 'migrate' });
+        }
+    } finally {
+        db.release();
+    }
+}
+
+
+/**
+ * Applied migrations, as Map of AppliedOn by name.
+ */
+async function appliedMigrations(db) {
+    const [ migrations ] = await db.query('Select Name, AppliedOn From Migration Order By Name');
+    return new Map(migrations.map(m => [ m.Name, m.AppliedOn ]));
+}
+
+
+/**
+ * Whether migration name matches target given as full name or as sequence number (e.g. ‘2’ or
+ * ‘002’ for ‘002-add-member-phone’).
+ */
+function matches(name, target) {
+    if (name == String(target)) return true;
+    return /^\d+$/.test(target) && Number(name.split('-')[0]) == Number(target);
+}
+
+
+/**
+ * Load statements of up or down script of migration.
+ */
+async function load(name, direction) {
+    const file = `${migrationsDir}/${name}.${direction}.sql`;
+    if (!fs.existsSync(file)) throw new Error(`Migration ${name}.${direction}.sql not available`);
+
+    return Migrate.statements(await fs.promises.readFile(file, 'utf8'));
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Migrate;
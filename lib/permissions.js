@@ -0,0 +1,132 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Permissions - central registry of permissions, and middleware to check them.                   */
+/*                                                                                                */
+/* Permissions are granted to roles (guest, lead, admin, su) in the RolePermission table. A       */
+/* grant with an ‘:own’ suffix (e.g. ‘teams:write:own’) applies only to teams the user manages    */
+/* (as recorded in the TeamManager table): this is how team leads can manage their own team       */
+/* without being global admins. For members, ‘own’ means members of a team the user manages; for  */
+/* team memberships, memberships of a team the user manages.                                      */
+/*                                                                                                */
+/* This is used both by the API and by the admin app; both record the user’s id & role in         */
+/* ctx.state.auth (for the admin app, in ctx.state.auth.user).                                    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db from './mysqldb.js';
+
+const registry = {
+    'members:read':       'View members',
+    'members:write':      'Add, edit, and delete members',
+    'teams:read':         'View teams',
+    'teams:write':        'Add, edit, and delete teams',
+    'team-members:write': 'Add and remove team members',
+    'audit:read':         'View audit history of changes',
+    'users:manage':       'Add, edit, and delete users, and assign roles',
+    'api-keys:admin':     'Create admin-scope API keys',
+};
+
+const cacheTtl = 1000*60; // role permissions are cached for 1 minute
+const roleCache = new Map(); // { permissions: Set, expires } by role
+
+
+class Permissions {
+
+    /**
+     * Registered permissions, with descriptions.
+     */
+    static get registry() {
+        return { ...registry };
+    }
+
+
+    /**
+     * Return (cached) permissions granted to role.
+     *
+     * @param   {string}      role - Role (guest, lead, admin, su).
+     * @returns {Set<string>} Permissions granted to role, including any ‘:own’ grants.
+     */
+    static async forRole(role) {
+        const cached = roleCache.get(role);
+        if (cached && cached.expires > Date.now()) return cached.permissions;
+
+        const [ grants ] = await Db.execute('Select Permission From RolePermission Where Role = :role', { role });
+        const permissions = new Set(grants.map(g => g.Permission));
+        roleCache.set(role, { permissions, expires: Date.now() + cacheTtl });
+
+        return permissions;
+    }
+
+
+    /**
+     * Whether user has given permission; if the permission is granted to the user’s role only for
+     * their own teams, whether the user manages (any of) the given team(s).
+     *
+     * @param   {Object}          user - User details { id, Role } (as recorded in ctx.state.auth).
+     * @param   {string}          permission - Permission to check, e.g. ‘members:write’.
+     * @param   {number|number[]} [teamIds] - Team(s) the operation applies to.
+     * @returns {boolean}         Whether user has permission.
+     * @throws  Error on unregistered permission.
+     */
+    static async can(user, permission, teamIds) {
+        if (!(permission in registry)) throw new Error(`Unregistered permission ${permission}`);
+
+        if (!user || !user.Role) return false;
+
+        const permissions = await Permissions.forRole(user.Role);
+
+        if (permissions.has(permission)) return true;
+
+        if (!permissions.has(`${permission}:own`)) return false;
+
+        const teams = [].concat(teamIds).filter(id => id!==undefined && id!==null).map(Number);
+        if (teams.length == 0) return false;
+
+        const [ managed ] = await Db.execute('Select TeamId From TeamManager Where UserId = :id', { id: user.id });
+
+        return managed.some(m => teams.includes(m.TeamId));
+    }
+
+
+    /**
+     * Return ids of teams member belongs to (for checking ‘:own’ grants on members).
+     *
+     * @param   {number}   memberId - Member id.
+     * @returns {number[]} Team ids.
+     */
+    static async teamsOfMember(memberId) {
+        const [ teams ] = await Db.execute('Select TeamId From TeamMember Where MemberId = :memberId', { memberId });
+        return teams.map(t => t.TeamId);
+    }
+
+
+    /**
+     * Middleware to require permission for a route; throws 403 Forbidden if the signed-in user
+     * does not have it.
+     *
+     * @param {string}   permission - Permission required, e.g. ‘members:write’.
+     * @param {Function} [teams] - Function (ctx) returning (or resolving to) team id(s) the request
+     *   applies to, for permissions which may be granted for the user’s own teams only.
+     *
+     * @example
+     *   router.patch('/teams/:id', Permissions.requirePermission('teams:write', ctx => ctx.params.id), teams.patchTeamById);
+     */
+    static requirePermission(permission, teams) {
+        if (!(permission in registry)) throw new Error(`Unregistered permission ${permission}`);
+
+        return async function permissionMiddleware(ctx, next) {
+            const auth = ctx.state.auth || {};
+            const user = auth.user || auth; // admin app records user details in ctx.state.auth.user
+
+            const teamIds = teams ? await teams(ctx) : undefined;
+
+            if (!await Permissions.can(user, permission, teamIds)) ctx.throw(403, `Permission ${permission} required`);
+
+            await next();
+        };
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Permissions;
@@ -0,0 +1,152 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Query-string filters - build SQL ‘Where’ clauses from URL query strings.                       */
+/*                                                                                                */
+/* Filters are checked against the table schema, so only genuine fields can be filtered on, and   */
+/* values are always supplied through placeholders. Filters are of the form                       */
+/*   field=value           field = value                                                          */
+/*   field[op]=value       where op is one of                                                     */
+/*     eq, ne              equal / not equal                                                      */
+/*     lt, lte, gt, gte    less than / less than or equal / greater than / greater than or equal  */
+/*     like, nlike         SQL Like / Not Like pattern (e.g. Lastname[like]=Sm%)                  */
+/*     in, nin             (not) one of comma-separated values (e.g. MemberId[in]=1,2,3)          */
+/*     null                Is Null (value true) / Is Not Null (value false)                       */
+/*                                                                                                */
+/* Multiple filters are and’ed together. Boolean (BIT(1) / TINYINT(1)) fields accept true/false.  */
+/*                                                                                                */
+/* This is used both by the API list resources and by the admin list pages, so the same filters   */
+/* are available in both.                                                                         */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db         from './mysqldb.js';
+import ModelError from '../models/modelerror.js';
+
+const schemaCache = new Map(); // table fields (from Describe), by table name
+
+const operators = {
+    eq:    '=',
+    ne:    '!=',
+    lt:    '<',
+    lte:   '<=',
+    gt:    '>',
+    gte:   '>=',
+    like:  'Like',
+    nlike: 'Not Like',
+    in:    'In',
+    nin:   'Not In',
+    null:  'Is Null',
+};
+
+
+class QueryFilter {
+
+    /**
+     * Build SQL Where clause for table from query-string filters.
+     *
+     * @param   {string}   table - Table being filtered.
+     * @param   {Object}   query - Filters as parsed query string (e.g. ctx.request.query).
+     * @param   {string[]} [conditions] - Fixed SQL conditions to be and’ed with filters.
+     * @returns {Object}   { sql, values }: Where clause (empty string if no filters) & placeholder values.
+     * @throws  ModelError 403 on unrecognised field or operator, or invalid value.
+     *
+     * @example
+     *   const filter = await QueryFilter.where('Member', ctx.request.query, [ 'DeletedOn Is Null' ]);
+     *   const [ members ] = await Db.query('Select * From Member'+filter.sql, filter.values);
+     */
+    static async where(table, query, conditions=[]) {
+        const fields = await QueryFilter.schema(table);
+        return QueryFilter.parse(table, fields, query, conditions);
+    }
+
+
+    /**
+     * Build SQL Where clause from query-string filters, given table fields.
+     *
+     * @param   {string}   table - Table being filtered (for error messages).
+     * @param   {Object[]} fields - Table fields as returned by ‘Describe table’.
+     * @param   {Object}   query - Filters as parsed query string.
+     * @param   {string[]} [fixed] - Fixed SQL conditions to be and’ed with filters.
+     * @returns {Object}   { sql, values }: Where clause (empty string if no conditions) & placeholder values.
+     * @throws  ModelError 403 on unrecognised field or operator, or invalid value.
+     */
+    static parse(table, fields, query, fixed=[]) {
+        // table fields, keyed by lower-case field name to give case-insensitive matching (as MySQL)
+        const columns = new Map(fields.map(f => [ f.Field.toLowerCase(), f ]));
+
+        const conditions = [];
+        const values = {};
+
+        for (const key in query) {
+            // split e.g. 'Lastname[like]' into field 'Lastname' and operator 'like'
+            const [ , name, op ] = key.match(/^([^[\]]+)(?:\[([a-z]+)\])?$/) || [];
+            if (!name) throw new ModelError(403, `Unrecognised ${table} filter ${key}`);
+
+            const field = columns.get(name.toLowerCase());
+            if (!field) throw new ModelError(403, `Unrecognised ${table} field ${name}`);
+
+            const operator = operators[op || 'eq'];
+            if (!operator) throw new ModelError(403, `Unrecognised filter operator ${op}`);
+
+            const boolean = field.Type=='tinyint(1)' || field.Type=='bit(1)';
+
+            // repeated query-string arguments give multiple conditions on same field
+            for (const value of [].concat(query[key])) {
+                const placeholder = `f${conditions.length}`;
+                switch (operator) {
+                    case 'Is Null':
+                        if (![ 'true', 'false' ].includes(value.toLowerCase())) {
+                            throw new ModelError(403, `Filter ${key} must be true or false`);
+                        }
+                        conditions.push(`${field.Field} ${value.toLowerCase()=='true' ? 'Is Null' : 'Is Not Null'}`);
+                        break;
+                    case 'In':
+                    case 'Not In':
+                        const list = value.split(',').map(v => castValue(v, boolean, key));
+                        list.forEach((v, i) => values[`${placeholder}_${i}`] = v);
+                        conditions.push(`${field.Field} ${operator} (${list.map((v, i) => `:${placeholder}_${i}`).join(', ')})`);
+                        break;
+                    default:
+                        values[placeholder] = castValue(value, boolean, key);
+                        conditions.push(`${field.Field} ${operator} :${placeholder}`);
+                        break;
+                }
+            }
+        }
+
+        const all = [ ...fixed, ...conditions ];
+        const sql = all.length==0 ? '' : ' Where '+all.join(' And ');
+
+        return { sql, values };
+    }
+
+
+    /**
+     * Return (cached) table fields, as returned by ‘Describe table’.
+     *
+     * @param   {string}   table - Table to be described.
+     * @returns {Object[]} Table fields (Field, Type, Null, Key, Default, Extra).
+     */
+    static async schema(table) {
+        if (schemaCache.has(table)) return schemaCache.get(table);
+
+        const [ fields ] = await Db.query('Describe '+table);
+        schemaCache.set(table, fields);
+
+        return fields;
+    }
+
+}
+
+
+/**
+ * Cast filter value to boolean for boolean fields (which take true/false), otherwise leave as is.
+ */
+function castValue(value, boolean, key) {
+    if (!boolean) return value;
+    if (Db.trueFalseToBool(value) === undefined) throw new ModelError(403, `Filter ${key} must be true or false`);
+    return Db.trueFalseToBool(value);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default QueryFilter;
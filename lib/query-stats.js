@@ -0,0 +1,117 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Query statistics - timings of database queries, collected by normalised SQL ‘shape’.           */
+/*                                                                                                */
+/* Queries differing only in literal values, placeholders, or whitespace share a shape; for each  */
+/* shape the count, p50 / p95 / max time, and rows returned are kept (in memory, since startup).  */
+/* Queries slower than DB_SLOW_QUERY_MS (default 500ms) are also recorded to the slow-query log.  */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Log from './log.js';
+
+const slowQueryMs = Number(process.env.DB_SLOW_QUERY_MS || 500); // queries taking longer than this are logged
+
+const maxShapes = 1000;  // maximum number of query shapes tracked (to bound memory)
+const maxSamples = 1000; // timings kept per shape for percentiles (most recent)
+
+const stats = new Map(); // statistics by query shape
+
+
+class QueryStats {
+
+    /**
+     * Normalise SQL statement to its ‘shape’: comments removed, whitespace collapsed, and string /
+     * numeric literals and placeholders replaced by ‘?’ (with lists such as ‘In (?, ?, ?)’ reduced
+     * to ‘In (?)’).
+     *
+     * @param   {string} sql - SQL statement.
+     * @returns {string} Normalised SQL.
+     *
+     * @example
+     *   QueryStats.shape('Select * From Member Where MemberId = 100001'); // 'Select * From Member Where MemberId = ?'
+     */
+    static shape(sql) {
+        return sql
+            .replace(/--.*$/gm, ' ')                                          // line comments
+            .replace(/\/\*[^]*?\*\//g, ' ')                                   // block comments
+            .replace(/'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"/g, '?')       // string literals
+            .replace(/(^|[^\w:])(?::\w+|\d+(?:\.\d+)?)\b/g, '$1?')            // named placeholders & numeric literals
+            .replace(/\s+/g, ' ')                                             // whitespace
+            .replace(/\(\s*\?(?:\s*,\s*\?)*\s*\)/g, '(?)')                    // lists of values
+            .trim();
+    }
+
+
+    /**
+     * Record timing of a query; log it if it was slow.
+     *
+     * @param {string} sql - SQL statement.
+     * @param {number} ms - Time taken.
+     * @param {number} rows - Rows returned (or affected).
+     */
+    static record(sql, ms, rows) {
+        const shape = QueryStats.shape(sql);
+
+        if (!stats.has(shape) && stats.size < maxShapes) {
+            stats.set(shape, { count: 0, rows: 0, total: 0, max: 0, samples: [] });
+        }
+        const s = stats.get(shape);
+        if (s) {
+            s.count++;
+            s.rows += rows;
+            s.total += ms;
+            s.max = Math.max(s.max, ms);
+            s.samples[(s.count-1) % maxSamples] = ms;
+        }
+
+        if (ms > slowQueryMs) {
+            Log.query({ sql, shape, ms: Math.ceil(ms), rows }).catch(e => console.error('log', e));
+        }
+    }
+
+
+    /**
+     * Statistics for all query shapes recorded, ordered by total time taken.
+     *
+     * @returns {Object[]} Statistics { sql, count, p50, p95, max, total, rows } (times in ms, rows
+     *   being the average number of rows returned).
+     */
+    static summary() {
+        const summary = [];
+        for (const [ sql, s ] of stats) {
+            const sorted = [ ...s.samples ].sort((a, b) => a - b);
+            summary.push({
+                sql:   sql,
+                count: s.count,
+                p50:   percentile(sorted, 50),
+                p95:   percentile(sorted, 95),
+                max:   s.max,
+                total: s.total,
+                rows:  s.rows / s.count,
+            });
+        }
+        return summary.sort((a, b) => b.total - a.total);
+    }
+
+
+    /**
+     * Discard all statistics recorded.
+     */
+    static reset() {
+        stats.clear();
+    }
+
+}
+
+
+/**
+ * Percentile p of (sorted) values, using nearest-rank method.
+ */
+function percentile(sorted, p) {
+    if (sorted.length == 0) return 0;
+    return sorted[Math.ceil(p/100 * sorted.length) - 1];
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default QueryStats;
@@ -0,0 +1,219 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Rate limit - token-bucket request quotas (for the API).                                        */
+/*                                                                                                */
+/* Each client (authenticated user, or IP address for unauthenticated routes such as /auth) has a */
+/* bucket holding up to ‘limit’ tokens, refilled continuously at ‘limit’ tokens per minute; each  */
+/* request takes a token, and requests which find the bucket empty get 429 Too Many Requests.     */
+/* Responses have RateLimit-Limit, RateLimit-Remaining & RateLimit-Reset headers (as per the IETF */
+/* ‘RateLimit header fields for HTTP’ draft), and 429 responses have a Retry-After header.        */
+/*                                                                                                */
+/* Buckets are held in memory (so limits apply per process) unless API_RATE_LIMIT_STORE=mongodb,  */
+/* in which case they are held in MongoDB, so that limits are shared by all processes / dynos.    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';             // small debugging utility
+const debug = Debug('app:rate-limit'); // debug rate-limited requests
+
+import Db  from './mongodb.js';
+import Log from './log.js';
+
+const maxBuckets = 10000; // maximum number of buckets held in memory (to bound memory)
+const pruneTo    = 9000;  // buckets kept when pruning (so that pruning is not repeated for every new key)
+
+let store = null; // bucket store - created on first usage
+
+
+class RateLimit {
+
+    /**
+     * Requests per minute allowed for each authenticated user.
+     */
+    static get userLimit() {
+        return Number(process.env.API_RATE_LIMIT || 120);
+    }
+
+
+    /**
+     * Requests per minute allowed from each IP address for unauthenticated routes.
+     */
+    static get ipLimit() {
+        return Number(process.env.API_RATE_LIMIT_ANON || 60);
+    }
+
+
+    /**
+     * Create bucket store.
+     *
+     * @param   {string} [type=memory] - 'memory' or 'mongodb'.
+     * @returns {Object} Store with take(key, limit, [now]) method (which may be async).
+     */
+    static createStore(type='memory') {
+        switch (type) {
+            case 'memory':  return new MemoryStore();
+            case 'mongodb': return new MongoStore();
+            default:        throw new Error(`Unrecognised rate limit store ${type}`);
+        }
+    }
+
+
+    /**
+     * Middleware to rate-limit requests.
+     *
+     * @param   {Object}   options
+     * @param   {string}   options.name - Name of limit (so that different limits use different buckets).
+     * @param   {number}   options.limit - Requests allowed per minute (and maximum burst).
+     * @param   {Function} options.key - Function returning client identifier from Koa ctx.
+     * @param   {Object}   [options.store] - Bucket store (default is as per API_RATE_LIMIT_STORE).
+     * @returns {Function} Koa middleware.
+     *
+     * @example
+     *   app.use(RateLimit.middleware({ name: 'user', limit: 120, key: ctx => ctx.state.auth.id }));
+     */
+    static middleware(options) {
+        return async function rateLimit(ctx, next) {
+            if (!store) store = RateLimit.createStore(process.env.API_RATE_LIMIT_STORE);
+
+            const limit = options.limit;
+            const rate = limit / 60; // tokens per second
+
+            let bucket = null;
+            try {
+                bucket = await (options.store || store).take(`${options.name}:${options.key(ctx)}`, limit);
+            } catch (e) {
+                Log.exception('RateLimit', e); // if the store is unavailable, don't limit requests
+            }
+
+            if (bucket) {
+                ctx.response.set('RateLimit-Limit', limit);
+                ctx.response.set('RateLimit-Remaining', Math.floor(bucket.tokens));
+                ctx.response.set('RateLimit-Reset', Math.ceil((limit - bucket.tokens) / rate)); // seconds until bucket is full
+
+                if (!bucket.allowed) {
+                    debug('RateLimit', options.name, options.key(ctx));
+                    const retryAfter = Math.ceil((1 - bucket.tokens) / rate);
+                    ctx.response.set('Retry-After', retryAfter);
+                    ctx.throw(429, `Rate limit exceeded: retry after ${retryAfter} second${retryAfter==1 ? '' : 's'}`);
+                }
+            }
+
+            await next();
+        };
+    }
+
+
+    /**
+     * Middleware to rate-limit requests by authenticated user (to follow authentication).
+     *
+     * (The limit is a getter, as the middleware is created before .env settings may be loaded).
+     */
+    static byUser() {
+        return RateLimit.middleware({ name: 'user', get limit() { return RateLimit.userLimit; }, key: ctx => ctx.state.auth.id });
+    }
+
+
+    /**
+     * Middleware to rate-limit requests by client IP address (for unauthenticated routes).
+     */
+    static byIp() {
+        return RateLimit.middleware({ name: 'ip', get limit() { return RateLimit.ipLimit; }, key: ctx => ctx.request.ip });
+    }
+
+}
+
+
+/**
+ * Store for buckets held in memory (limits apply per process).
+ */
+class MemoryStore {
+
+    constructor() {
+        this.buckets = new Map(); // key => { tokens, updated, limit } (Map iterates least recently used first)
+    }
+
+
+    /**
+     * Take a token from a bucket (refilling it for the time since it was last used).
+     *
+     * @param   {string} key - Bucket identifier.
+     * @param   {number} limit - Bucket capacity, and tokens added per minute.
+     * @param   {number} [now=Date.now()] - Current time in milliseconds.
+     * @returns {Object} { allowed, tokens }: whether a token was taken, and tokens left in bucket.
+     */
+    take(key, limit, now=Date.now()) {
+        const bucket = this.buckets.get(key) || { tokens: limit, updated: now, limit }; // new bucket is full
+
+        bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * limit/60e3);
+        bucket.updated = now;
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+
+        this.buckets.delete(key);
+        this.buckets.set(key, bucket);
+        if (this.buckets.size > maxBuckets) this.prune(now);
+
+        return { allowed, tokens: bucket.tokens };
+    }
+
+
+    /**
+     * Discard buckets which would have refilled (they are equivalent to new ones), and if there
+     * are still more than ‘pruneTo’, the least recently used ones: pruning a batch rather than a
+     * single bucket means the buckets are not all rescanned for every new key once the store is full.
+     */
+    prune(now) {
+        for (const [ key, bucket ] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updated) * bucket.limit/60e3 >= bucket.limit) this.buckets.delete(key);
+        }
+        for (const key of this.buckets.keys()) {
+            if (this.buckets.size <= pruneTo) break;
+            this.buckets.delete(key);
+        }
+    }
+
+}
+
+
+/**
+ * Store for buckets held in MongoDB ‘rate-limit’ collection (limits shared by all processes); each
+ * token is taken with a single atomic update, and buckets expire once they would have refilled.
+ */
+class MongoStore {
+
+    /**
+     * Take a token from a bucket, as per MemoryStore.take().
+     */
+    async take(key, limit, now=Date.now()) {
+        const buckets = await Db.collection('rate-limit');
+        if (!this.indexed) {
+            await buckets.createIndex({ expires: 1 }, { expireAfterSeconds: 0 }); // remove expired buckets
+            this.indexed = true;
+        }
+
+        const refilled = { $min: [ limit, { $add: [ '$tokens', { $multiply: [ { $subtract: [ now, '$updated' ] }, limit/60e3 ] } ] } ] };
+        const update = [ // (update pipeline, so that the new token count can be calculated from the current one)
+            { $set: { tokens: { $ifNull: [ '$tokens', limit ] }, updated: { $ifNull: [ '$updated', now ] } } }, // new bucket is full
+            { $set: { tokens: refilled, updated: now } },
+            { $set: { allowed: { $gte: [ '$tokens', 1 ] } } },
+            { $set: { tokens: { $cond: [ '$allowed', { $subtract: [ '$tokens', 1 ] }, '$tokens' ] }, expires: new Date(now + 60e3) } },
+        ];
+        const upsert = () => buckets.findOneAndUpdate({ _id: key }, update, { upsert: true, returnOriginal: false });
+
+        let result = null;
+        try {
+            result = await upsert();
+        } catch (e) {
+            // concurrent first requests for a new bucket can both attempt the insert: the one which
+            // loses gets a duplicate key error, and on retry updates the bucket the other inserted
+            if (e.code != 11000) throw e;
+            result = await upsert();
+        }
+
+        return { allowed: result.value.allowed, tokens: result.value.tokens };
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RateLimit;
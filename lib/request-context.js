@@ -0,0 +1,94 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Request context - make details of the current request available outside the middleware stack.  */
+/*                                                                                                */
+/* Models are not passed the Koa context, but need to know e.g. which user is making changes (for */
+/* the audit trail); this uses AsyncLocalStorage to make ctx.state available to any code invoked  */
+/* (however indirectly) while handling the request.                                               */
+/*                                                                                                */
+/* It also records whether the request has written to the database, so that subsequent reads go   */
+/* to the primary database rather than to a read replica which may not yet have the change.       */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { AsyncLocalStorage } from 'async_hooks'; // nodejs.org/api/async_context.html
+
+const storage = new AsyncLocalStorage();
+const unrecordedStorage = new AsyncLocalStorage(); // set within RequestContext.unrecorded()
+
+
+class RequestContext {
+
+    /**
+     * Middleware to record ctx.state (and whether the request has written to the database) for the
+     * duration of the request.
+     */
+    static middleware() {
+        return async function requestContext(ctx, next) {
+            await storage.run({ state: ctx.state, written: false }, next);
+        };
+    }
+
+
+    /**
+     * Run function within a (new) request context, e.g. for tests.
+     *
+     * @param   {Object}   state - Request state (as ctx.state).
+     * @param   {Function} fn - Function to run.
+     * @returns {*}        Result of fn.
+     */
+    static run(state, fn) {
+        return storage.run({ state, written: false }, fn);
+    }
+
+
+    /**
+     * Id of user making current request (from ctx.state.auth; admin app records user details in
+     * ctx.state.auth.user), or null if there is no signed-in user (or no current request).
+     */
+    static get userId() {
+        const context = storage.getStore();
+        if (!context || !context.state.auth) return null;
+        const user = context.state.auth.user || context.state.auth;
+        return user.id || null;
+    }
+
+
+    /**
+     * Record that the current request (if any) has written to the database (other than within
+     * RequestContext.unrecorded()).
+     */
+    static recordWrite() {
+        const context = storage.getStore();
+        if (context && unrecordedStorage.getStore() !== true) context.written = true;
+    }
+
+
+    /**
+     * Run function without recording its database writes against the current request, for
+     * bookkeeping writes which the request’s subsequent reads do not depend on (so that they can
+     * still go to a read replica).
+     *
+     * @param   {Function} fn - Async function to run.
+     * @returns {*}        Result of fn.
+     *
+     * @example
+     *   await RequestContext.unrecorded(() => Db.execute('Update ApiKey Set LastUsedOn = utc_timestamp() …'));
+     */
+    static async unrecorded(fn) {
+        return await unrecordedStorage.run(true, fn);
+    }
+
+
+    /**
+     * Whether the current request has written to the database.
+     */
+    static get hasWritten() {
+        const context = storage.getStore();
+        return context ? context.written : false;
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RequestContext;
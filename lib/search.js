@@ -0,0 +1,83 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Search - full-text search across members & teams.                                              */
+/*                                                                                                */
+/* Members are matched on names & e-mail, and teams on name, using MySQL FULLTEXT indexes         */
+/* (‘Search’ on Member & Team). Every word of the search text must match, as a prefix, so that    */
+/* ‘ali smi’ finds Alice Smith; results are ranked by MySQL’s relevance score (with an exact      */
+/* e-mail match ranked first). Members & teams in the trash are not included.                     */
+/*                                                                                                */
+/* This is used both by the API search resource and by the admin search page.                     */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db from './mysqldb.js';
+
+
+class Search {
+
+    /**
+     * Convert search text into MySQL boolean-mode full-text query: each word is required, and
+     * matches as a prefix; any boolean-mode operators in the search text are discarded.
+     *
+     * @param   {string}      text - Search text as entered by user.
+     * @returns {string|null} Boolean-mode query, or null if text has no words to search for.
+     *
+     * @example
+     *   Search.terms('alice o’brien'); // '+alice* +o* +brien*'
+     */
+    static terms(text) {
+        const words = String(text || '').split(/[^\p{L}\p{N}_]+/u).filter(word => word != '');
+        return words.length > 0 ? words.map(word => `+${word}*`).join(' ') : null;
+    }
+
+
+    /**
+     * Members matching search text, most relevant first.
+     *
+     * @param   {string}   text - Search text.
+     * @param   {number}   limit - Maximum number of members to return.
+     * @returns {Object[]} Matching members { MemberId, Firstname, Lastname, Email, Score }.
+     */
+    static async members(text, limit) {
+        const terms = Search.terms(text);
+        if (!terms) return [];
+
+        const sql = `Select MemberId, Firstname, Lastname, Email,
+                            Match(Firstname, Lastname, Email) Against(:terms In Boolean Mode) As Score
+                     From Member
+                     Where (Match(Firstname, Lastname, Email) Against(:terms In Boolean Mode) Or Email = :text)
+                       And DeletedOn Is Null
+                     Order By Email = :text Desc, Score Desc, Firstname, Lastname
+                     Limit ${Number(limit)}`;
+        const [ members ] = await Db.execute(sql, { terms, text: String(text).trim() });
+
+        return members;
+    }
+
+
+    /**
+     * Teams matching search text, most relevant first.
+     *
+     * @param   {string}   text - Search text.
+     * @param   {number}   limit - Maximum number of teams to return.
+     * @returns {Object[]} Matching teams { TeamId, Name, Score }.
+     */
+    static async teams(text, limit) {
+        const terms = Search.terms(text);
+        if (!terms) return [];
+
+        const sql = `Select TeamId, Name, Match(Name) Against(:terms In Boolean Mode) As Score
+                     From Team
+                     Where Match(Name) Against(:terms In Boolean Mode) And DeletedOn Is Null
+                     Order By Score Desc, Name
+                     Limit ${Number(limit)}`;
+        const [ teams ] = await Db.execute(sql, { terms });
+
+        return teams;
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Search;
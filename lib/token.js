@@ -0,0 +1,58 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Timestamped tokens, for links e-mailed to users (password resets, invitations).                */
+/*                                                                                                */
+/* A token is the time it was issued in base36 and 128 random bits in hex, separated by a hyphen: */
+/* the timestamp lets the token’s age be checked without a database lookup, and makes old tokens  */
+/* easy to identify in the database. Tokens are made single-use by the tables recording them.     */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto'; // nodejs.org/api/crypto.html
+
+
+class Token {
+
+    /**
+     * Generate new token.
+     *
+     * @returns {string} Token.
+     *
+     * @example
+     *   const token = Token.generate(); // 'qzu6ja-3f2a9c0e5b7d4186a0c2e9f1b3d5a7c9'
+     */
+    static generate() {
+        // current timestamp for token expiry in base36
+        const now = Math.floor(Date.now()/1000).toString(36);
+
+        // 128 bits from cryptographically secure random source (Math.random is guessable)
+        const rnd = crypto.randomBytes(16).toString('hex');
+
+        return now+'-'+rnd; // note use timestamp first so it is easier to identify old tokens in db
+    }
+
+
+    /**
+     * Age of token.
+     *
+     * @param   {string}      token - Token.
+     * @returns {number|null} Seconds since token was generated, or null if token is malformed.
+     *
+     * @example
+     *   if (Token.age(token) > 60*60*24) … // token more than 24 hours old
+     */
+    static age(token) {
+        // a valid token contains a single hyphen
+        if (typeof token != 'string' || token.split('-').length != 2) return null;
+
+        // the token is a timestamp in base36 and a hash separated by a hyphen
+        const timestamp = parseInt(token.split('-')[0], 36); // (we don't need the hash here)
+        if (isNaN(timestamp)) return null;
+
+        return Date.now()/1000 - timestamp;
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Token;
@@ -0,0 +1,142 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* TOTP - time-based one-time passwords (RFC 6238) for two-factor authentication.                 */
+/*                                                                                                */
+/* Codes are 6-digit HMAC-SHA1 codes with a 30-second time step, as used by Google Authenticator  */
+/* and similar authenticator apps; shared secrets are base32-encoded (RFC 4648).                  */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto'; // nodejs.org/api/crypto.html
+
+const period = 30; // seconds
+const digits = 6;
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+
+class Totp {
+
+    /**
+     * Generate new random shared secret (160 bits, as recommended by RFC 4226).
+     *
+     * @returns {string} Base32-encoded secret.
+     */
+    static generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+
+    /**
+     * Key URI for authenticator apps (generally presented as a QR code): see
+     * github.com/google/google-authenticator/wiki/Key-Uri-Format.
+     *
+     * @param   {string} secret - Base32-encoded secret.
+     * @param   {string} account - Account name (e.g. user’s e-mail).
+     * @param   {string} issuer - Service the account belongs to.
+     * @returns {string} otpauth URI.
+     *
+     * @example
+     *   Totp.uri('JBSWY3DPEHPK3PXP', 'admin@user.com', 'Koa Sample App'); // otpauth://totp/Koa%20Sample%20App:admin%40user.com?secret=…
+     */
+    static uri(secret, account, issuer) {
+        const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account);
+        const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${digits}&period=${period}`;
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+
+    /**
+     * Time step (number of 30-second periods since the Unix epoch) for given time.
+     *
+     * @param   {number} [time=Date.now()] - Time in milliseconds.
+     * @returns {number} Time step.
+     */
+    static step(time=Date.now()) {
+        return Math.floor(time / 1000 / period);
+    }
+
+
+    /**
+     * One-time code for given secret at given time step.
+     *
+     * @param   {string} secret - Base32-encoded secret.
+     * @param   {number} [step=Totp.step()] - Time step.
+     * @returns {string} 6-digit code (with leading zeros).
+     */
+    static code(secret, step=Totp.step()) {
+        const counter = Buffer.alloc(8);
+        counter.writeUInt32BE(Math.floor(step / 2**32), 0);
+        counter.writeUInt32BE(step % 2**32, 4);
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+        // dynamic truncation (RFC 4226 §5.3)
+        const offset = hmac[hmac.length-1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10**digits).padStart(digits, '0');
+    }
+
+
+    /**
+     * Verify supplied code against secret, allowing for clock drift of ±window time steps.
+     *
+     * The matching time step is returned so that callers can reject codes which have already been
+     * used (a code remains valid for the whole of its time window).
+     *
+     * @param   {string}      secret - Base32-encoded secret.
+     * @param   {string}      code - Code supplied by user.
+     * @param   {number}      [window=1] - Number of time steps either side of current to accept.
+     * @param   {number}      [time=Date.now()] - Time in milliseconds.
+     * @returns {number|null} Time step code matched, or null if code is not valid.
+     */
+    static verify(secret, code, window=1, time=Date.now()) {
+        code = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+        const now = Totp.step(time);
+        for (let step = now-window; step <= now+window; step++) {
+            const expected = Totp.code(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+        }
+
+        return null;
+    }
+
+}
+
+
+/**
+ * Base32-encode buffer (RFC 4648, without padding).
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) encoded += base32Alphabet[parseInt(bits.slice(i, i+5).padEnd(5, '0'), 2)];
+
+    return encoded;
+}
+
+
+/**
+ * Decode base32-encoded string (case-insensitive, ignoring spaces & padding) to buffer.
+ */
+function base32Decode(encoded) {
+    let bits = '';
+    for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = base32Alphabet.indexOf(char);
+        if (value < 0) throw new Error(`Invalid base32 character ‘${char}’`);
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i+8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i+8), 2));
+
+    return Buffer.from(bytes);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Totp;
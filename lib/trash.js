@@ -0,0 +1,71 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Trash - retention of deleted members & teams.                                                  */
+/*                                                                                                */
+/* Deleting a member or team moves it to the trash (sets DeletedOn), from where it can be         */
+/* restored; items are purged (permanently deleted) once they have been in the trash for longer   */
+/* than the retention period (TRASH_RETENTION_DAYS, default 30 days).                             */
+/*                                                                                                */
+/* The app purges the trash at startup and daily thereafter; as processes may be restarted more   */
+/* often than daily (e.g. Heroku dynos), ‘npm run purge’ can also be scheduled (e.g. by cron).    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Member from '../models/member.js';
+import Team   from '../models/team.js';
+import Log    from './log.js';
+
+const purgeInterval = 1000*60*60*24; // purge trash daily
+
+
+class Trash {
+
+    /**
+     * Number of days deleted items are kept in the trash before being purged.
+     */
+    static get retentionDays() {
+        return Number(process.env.TRASH_RETENTION_DAYS || 30);
+    }
+
+
+    /**
+     * Purge members & teams which have been in the trash for longer than the retention period.
+     *
+     * @returns {Object} Number of { members, teams } purged.
+     */
+    static async purge() {
+        const cutoff = new Date(Date.now() - Trash.retentionDays*1000*60*60*24);
+        const deletedBefore = cutoff.toISOString().replace('T', ' ').split('.')[0];
+
+        const members = await Member.purge(deletedBefore);
+        const teams = await Team.purge(deletedBefore);
+
+        return { members, teams };
+    }
+
+
+    /**
+     * Purge trash now, and daily thereafter; the timer does not keep the process alive.
+     */
+    static schedule() {
+        purgeLogged();
+        const timer = setInterval(purgeLogged, purgeInterval);
+        timer.unref();
+    }
+
+}
+
+
+/**
+ * Purge trash, logging (rather than throwing) any failure, for scheduled purges.
+ */
+async function purgeLogged() {
+    try {
+        await Trash.purge();
+    } catch (e) {
+        Log.exception('Trash.purge', e);
+    }
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Trash;
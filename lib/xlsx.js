@@ -0,0 +1,184 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* XLSX - generation of (single-sheet) Excel workbooks.                                           */
+/*                                                                                                */
+/* An XLSX workbook is a zip archive of XML parts (Office Open XML, ECMA-376); this generates     */
+/* the minimal set of parts for a single worksheet of values (no styles, formulae, etc), with     */
+/* numbers & booleans as typed cells and everything else as (inline) strings.                     */
+/*                                                                                                */
+/* The archive is built with fixed timestamps, so the same rows always give the same workbook     */
+/* (which keeps ETags stable).                                                                    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import zlib from 'zlib'; // nodejs.org/api/zlib.html
+
+const nsMain = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const nsRels = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const nsDocRels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const xmlDecl = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+
+class Xlsx {
+
+    /**
+     * Build XLSX workbook with a single worksheet holding given rows.
+     *
+     * @param   {Array[]} rows - Rows of cell values (e.g. from Csv.tabulate()).
+     * @param   {string}  [sheetName=Sheet1] - Worksheet name.
+     * @returns {Buffer}  XLSX file contents.
+     *
+     * @example
+     *   ctx.response.attachment('members.xlsx');
+     *   ctx.response.body = Xlsx.workbook(Csv.tabulate(members), 'Members');
+     */
+    static workbook(rows, sheetName='Sheet1') {
+        const name = String(sheetName).replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1'; // Excel sheet name restrictions
+
+        const parts = {
+            '[Content_Types].xml': xmlDecl
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>',
+            '_rels/.rels': xmlDecl
+                + `<Relationships xmlns="${nsRels}">`
+                + `<Relationship Id="rId1" Type="${nsDocRels}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>',
+            'xl/workbook.xml': xmlDecl
+                + `<workbook xmlns="${nsMain}" xmlns:r="${nsDocRels}">`
+                + `<sheets><sheet name="${escape(name)}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>',
+            'xl/_rels/workbook.xml.rels': xmlDecl
+                + `<Relationships xmlns="${nsRels}">`
+                + `<Relationship Id="rId1" Type="${nsDocRels}/worksheet" Target="worksheets/sheet1.xml"/>`
+                + '</Relationships>',
+            'xl/worksheets/sheet1.xml': xmlDecl
+                + `<worksheet xmlns="${nsMain}"><sheetData>`
+                + rows.map((row, r) => `<row r="${r+1}">${row.map((value, c) => cell(value, column(c)+(r+1))).join('')}</row>`).join('')
+                + '</sheetData></worksheet>',
+        };
+
+        return zip(parts);
+    }
+
+}
+
+
+/**
+ * Worksheet cell element for given value at given reference (e.g. B3); null values give no cell.
+ */
+function cell(value, ref) {
+    if (value == null || value === '') return '';
+    if (typeof value == 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value == 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escape(String(value))}</t></is></c>`;
+}
+
+
+/**
+ * Column letter(s) for (zero-based) column index: A…Z, AA…AZ, etc.
+ */
+function column(index) {
+    let letters = '';
+    for (let n=index+1; n>0; n=Math.floor((n-1)/26)) letters = String.fromCharCode(65 + (n-1)%26) + letters;
+    return letters;
+}
+
+
+/**
+ * Escape text for XML, dropping control characters which are not permitted in XML.
+ */
+function escape(text) {
+    return text
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // eslint-disable-line no-control-regex
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Build zip archive of given files (name => text content), with deflated entries.
+ *
+ * Zip format: local file header + data for each file, then central directory of file headers,
+ * then end of central directory record (pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT).
+ */
+function zip(files) {
+    const dosTime = 0;          // 00:00:00
+    const dosDate = (1<<5) | 1; // 1980-01-01 (fixed, so output is repeatable)
+    const utf8Flag = 0x0800;    // file names are UTF-8
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [ filename, content ] of Object.entries(files)) {
+        const name = Buffer.from(filename);
+        const data = Buffer.from(content);
+        const deflated = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);       // local file header signature
+        local.writeUInt16LE(20, 4);               // version needed to extract (2.0)
+        local.writeUInt16LE(utf8Flag, 6);         // general purpose bit flag
+        local.writeUInt16LE(8, 8);                // compression method (deflate)
+        local.writeUInt16LE(dosTime, 10);         // last mod file time
+        local.writeUInt16LE(dosDate, 12);         // last mod file date
+        local.writeUInt32LE(crc, 14);             // crc-32
+        local.writeUInt32LE(deflated.length, 18); // compressed size
+        local.writeUInt32LE(data.length, 22);     // uncompressed size
+        local.writeUInt16LE(name.length, 26);     // file name length
+        local.writeUInt16LE(0, 28);               // extra field length
+        locals.push(local, name, deflated);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);       // central file header signature
+        central.writeUInt16LE(20, 4);               // version made by
+        central.writeUInt16LE(20, 6);               // version needed to extract
+        central.writeUInt16LE(utf8Flag, 8);         // general purpose bit flag
+        central.writeUInt16LE(8, 10);               // compression method
+        central.writeUInt16LE(dosTime, 12);         // last mod file time
+        central.writeUInt16LE(dosDate, 14);         // last mod file date
+        central.writeUInt32LE(crc, 16);             // crc-32
+        central.writeUInt32LE(deflated.length, 20); // compressed size
+        central.writeUInt32LE(data.length, 24);     // uncompressed size
+        central.writeUInt16LE(name.length, 28);     // file name length
+        central.writeUInt32LE(offset, 42);          // relative offset of local header (other fields zero)
+        centrals.push(central, name);
+
+        offset += local.length + name.length + deflated.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const entries = Object.keys(files).length;
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);        // end of central directory signature
+    end.writeUInt16LE(entries, 8);           // entries in central directory on this disk
+    end.writeUInt16LE(entries, 10);          // total entries in central directory
+    end.writeUInt32LE(directory.length, 12); // size of central directory
+    end.writeUInt32LE(offset, 16);           // offset of start of central directory
+
+    return Buffer.concat([ ...locals, directory, end ]);
+}
+
+
+/**
+ * CRC-32 checksum (as used by zip) of given data.
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let k=0; k<8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Xlsx;
@@ -0,0 +1,52 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Database migration command                                                                     */
+/*                                                                                                */
+/* Usage (from app root, with DB_MYSQL_CONNECTION set, e.g. in .env):                             */
+/*   npm run migrate -- status        list migrations, with date applied or ‘pending’             */
+/*   npm run migrate -- up [target]   apply pending migrations (up to & including target)         */
+/*   npm run migrate -- down [steps]  revert most recently applied migration(s) (default 1)       */
+/*   npm run migrate -- seed [name]   reset database to fixture (default ‘sandbox’)               */
+/*   npm run migrate -- purge         purge trash of items older than the retention period        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Fixtures from './lib/fixtures.js';
+import Migrate  from './lib/migrate.js';
+import Trash    from './lib/trash.js';
+
+const usage = 'usage: migrate status | up [target] | down [steps] | seed [name] | purge';
+
+
+async function migrate(command, arg) {
+    switch (command) {
+        case 'status':
+            for (const m of await Migrate.status()) {
+                console.info(m.Name.padEnd(48), m.Missing ? `${m.AppliedOn} (missing)` : m.AppliedOn || 'pending');
+            }
+            break;
+        case 'up':
+            const applied = await Migrate.up(arg);
+            console.info(applied.length > 0 ? `applied ${applied.join(', ')}` : 'no pending migrations');
+            break;
+        case 'down':
+            const reverted = await Migrate.down(arg===undefined ? 1 : Number(arg));
+            console.info(reverted.length > 0 ? `reverted ${reverted.join(', ')}` : 'no applied migrations');
+            break;
+        case 'seed':
+            const counts = await Fixtures.load(arg);
+            console.info('loaded', Object.entries(counts).map(([ table, n ]) => `${table} ×${n}`).join(', '));
+            break;
+        case 'purge':
+            const purged = await Trash.purge();
+            console.info(`purged ${purged.members} member(s), ${purged.teams} team(s)`);
+            break;
+        default:
+            throw new Error(usage);
+    }
+}
+
+
+const [ command, arg ] = process.argv.slice(2);
+
+migrate(command, arg)
+    .then(() => process.exit(0)) // connection pool would otherwise keep process alive
+    .catch(err => { console.error(err.message); process.exit(1); });
@@ -0,0 +1,12 @@
+-- Revert initial schema (drops all tables, in reverse dependency order).
+
+drop table if exists TokenDenylist;
+drop table if exists AuditLog;
+drop table if exists ApiKey;
+drop table if exists RefreshToken;
+drop table if exists TeamManager;
+drop table if exists RolePermission;
+drop table if exists User;
+drop table if exists TeamMember;
+drop table if exists Team;
+drop table if exists Member;
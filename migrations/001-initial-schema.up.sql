@@ -0,0 +1,116 @@
+-- Initial schema for ‘koa-sample-web-app-api-mysql’ app (developed from the schema previously set
+-- out in the README).
+--
+-- Tables are created ‘if not exists’ only so that the migration is safe to re-run: existing tables
+-- are not altered. A database set up by hand from the old README schema lacks columns & indexes
+-- defined here (e.g. Version, DeletedOn, the full-text indexes), so cannot adopt migrations simply
+-- by running this; such a database should be recreated with migrations, and its data reloaded.
+
+create table if not exists Member (
+  MemberId  integer unsigned not null auto_increment,
+  Firstname text,
+  Lastname  text,
+  Email     text not null,
+  Active    bit(1),
+  Version   integer unsigned not null default 1,
+  DeletedOn datetime,
+  primary key       (MemberId),
+  unique  key Email ((cast(if(DeletedOn is null, left(Email,24), null) as char(24)))), -- trashed members don’t block re-use of e-mail
+  fulltext key Search (Firstname, Lastname, Email) -- for GET /search
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists Team (
+  TeamId    integer unsigned not null auto_increment,
+  Name      text not null,
+  Version   integer unsigned not null default 1,
+  DeletedOn datetime,
+  primary key (TeamId),
+  fulltext key Search (Name) -- for GET /search
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists TeamMember (
+  TeamMemberId integer unsigned not null auto_increment,
+  MemberId     integer unsigned not null,
+  TeamId       integer unsigned not null,
+  JoinedOn     date not null,
+  primary key            (TeamMemberId),
+  key         MemberId   (MemberId),
+  key         TeamId     (TeamId),
+  unique key  TeamMember (MemberId,TeamId),
+  constraint Fk_Team_TeamMember   foreign key (TeamId)   references Team   (TeamId),
+  constraint Fk_Member_TeamMember foreign key (MemberId) references Member (MemberId)
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists User (
+  UserId               integer unsigned not null auto_increment,
+  Firstname            text,
+  Lastname             text,
+  Email                text not null,
+  Password             text,
+  PasswordResetRequest text,
+  Role                 text,
+  primary key       (UserId),
+  unique  key Email (Email(24))
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists RolePermission (
+  Role       varchar(16) not null,
+  Permission varchar(32) not null,
+  primary key (Role, Permission)
+) engine=InnoDB charset=utf8;
+
+create table if not exists TeamManager (
+  TeamManagerId integer unsigned not null auto_increment,
+  UserId        integer unsigned not null,
+  TeamId        integer unsigned not null,
+  primary key             (TeamManagerId),
+  key         TeamId      (TeamId),
+  unique key  TeamManager (UserId,TeamId),
+  constraint Fk_User_TeamManager foreign key (UserId) references User (UserId) on delete cascade,
+  constraint Fk_Team_TeamManager foreign key (TeamId) references Team (TeamId) on delete cascade
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists RefreshToken (
+  RefreshTokenId integer unsigned not null auto_increment,
+  UserId         integer unsigned not null,
+  TokenHash      char(64) not null,
+  ExpiresOn      datetime not null,
+  primary key           (RefreshTokenId),
+  key         UserId    (UserId),
+  unique  key TokenHash (TokenHash),
+  constraint Fk_User_RefreshToken foreign key (UserId) references User (UserId) on delete cascade
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists ApiKey (
+  ApiKeyId   integer unsigned not null auto_increment,
+  UserId     integer unsigned not null,
+  KeyId      char(12) not null,
+  KeyHash    text not null,
+  Label      text,
+  Scope      text not null,
+  CreatedOn  datetime not null,
+  LastUsedOn datetime,
+  primary key        (ApiKeyId),
+  key         UserId (UserId),
+  unique  key KeyId  (KeyId),
+  constraint Fk_User_ApiKey foreign key (UserId) references User (UserId) on delete cascade
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists AuditLog (
+  AuditLogId integer unsigned not null auto_increment,
+  TableName  varchar(32) not null,
+  RowId      integer unsigned not null,
+  Operation  varchar(8) not null,
+  UserId     integer unsigned,
+  ChangedOn  datetime not null,
+  `Before`   json, -- ‘before’ is a reserved word
+  After      json,
+  primary key          (AuditLogId),
+  key         TableRow (TableName,RowId)
+) engine=InnoDB charset=utf8 auto_increment=100001;
+
+create table if not exists TokenDenylist (
+  Jti       char(32) not null,
+  ExpiresOn datetime not null,
+  primary key (Jti)
+) engine=InnoDB charset=utf8;
@@ -0,0 +1,3 @@
+-- Revoke users:manage permission.
+
+delete from RolePermission where Permission = 'users:manage';
@@ -0,0 +1,4 @@
+-- Grant users:manage permission (admin user management screens) to admin & su roles.
+
+insert ignore into RolePermission (Role, Permission) values ('admin', 'users:manage');
+insert ignore into RolePermission (Role, Permission) values ('su',    'users:manage');
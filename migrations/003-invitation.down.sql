@@ -0,0 +1,3 @@
+-- Revert invitations.
+
+drop table if exists Invitation;
@@ -0,0 +1,16 @@
+-- Invitations to create admin accounts: the invitee sets their own password on accepting.
+
+create table if not exists Invitation (
+  InvitationId integer unsigned not null auto_increment,
+  Email        text not null,
+  Role         text not null,
+  Token        varchar(24) not null,
+  InvitedBy    integer unsigned,
+  InvitedOn    datetime not null,
+  AcceptedOn   datetime,
+  UserId       integer unsigned,
+  primary key       (InvitationId),
+  unique  key Token (Token),
+  constraint Fk_InvitedBy_Invitation foreign key (InvitedBy) references User (UserId) on delete set null,
+  constraint Fk_User_Invitation      foreign key (UserId)    references User (UserId) on delete set null
+) engine=InnoDB charset=utf8 auto_increment=100001;
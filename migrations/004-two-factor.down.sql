@@ -0,0 +1,17 @@
+-- Revert two-factor authentication (columns are dropped only if present, as for the up script).
+
+drop table if exists RecoveryCode;
+
+set @sql = (select if(count(*) > 0, 'alter table User drop column TotpSecret', 'do 0')
+            from information_schema.columns
+            where table_schema = database() and table_name = 'User' and column_name = 'TotpSecret');
+prepare dropColumn from @sql;
+execute dropColumn;
+deallocate prepare dropColumn;
+
+set @sql = (select if(count(*) > 0, 'alter table User drop column TotpLastStep', 'do 0')
+            from information_schema.columns
+            where table_schema = database() and table_name = 'User' and column_name = 'TotpLastStep');
+prepare dropColumn from @sql;
+execute dropColumn;
+deallocate prepare dropColumn;
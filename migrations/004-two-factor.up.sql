@@ -0,0 +1,29 @@
+-- Optional TOTP two-factor authentication: per-user shared secret (with last time step used, so
+-- that codes cannot be replayed), and single-use recovery codes (stored as SHA-256 hashes).
+--
+-- MySQL has no ‘add column if not exists’, so each column is added through a prepared statement
+-- only if it is not already there, keeping the migration safe to re-run.
+
+set @sql = (select if(count(*) = 0, 'alter table User add column TotpSecret text', 'do 0')
+            from information_schema.columns
+            where table_schema = database() and table_name = 'User' and column_name = 'TotpSecret');
+prepare addColumn from @sql;
+execute addColumn;
+deallocate prepare addColumn;
+
+set @sql = (select if(count(*) = 0, 'alter table User add column TotpLastStep bigint unsigned', 'do 0')
+            from information_schema.columns
+            where table_schema = database() and table_name = 'User' and column_name = 'TotpLastStep');
+prepare addColumn from @sql;
+execute addColumn;
+deallocate prepare addColumn;
+
+create table if not exists RecoveryCode (
+  RecoveryCodeId integer unsigned not null auto_increment,
+  UserId         integer unsigned not null,
+  CodeHash       char(64) not null,
+  primary key          (RecoveryCodeId),
+  key         UserId   (UserId),
+  unique  key CodeHash (CodeHash),
+  constraint Fk_User_RecoveryCode foreign key (UserId) references User (UserId) on delete cascade
+) engine=InnoDB charset=utf8 auto_increment=100001;
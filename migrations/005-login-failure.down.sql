@@ -0,0 +1,3 @@
+-- Revert login failures.
+
+drop table if exists LoginFailure;
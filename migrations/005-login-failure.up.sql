@@ -0,0 +1,11 @@
+-- Failed login attempts, by account (e-mail) and by client IP address, for login throttling &
+-- temporary lockout.
+
+create table if not exists LoginFailure (
+  Scope        varchar(8) not null,
+  Identifier   varchar(255) not null,
+  Failures     integer unsigned not null,
+  LastFailedOn datetime not null,
+  LockedUntil  datetime,
+  primary key (Scope, Identifier)
+) engine=InnoDB charset=utf8;
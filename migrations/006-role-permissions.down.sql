@@ -0,0 +1,5 @@
+-- Revoke the role permissions granted by 006 (users:manage is left to 002).
+
+delete from RolePermission
+where Permission in ('members:read', 'members:write', 'members:write:own', 'teams:read', 'teams:write',
+                     'teams:write:own', 'team-members:write', 'team-members:write:own', 'audit:read');
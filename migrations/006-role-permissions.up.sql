@@ -0,0 +1,27 @@
+-- Grant the permissions each role needs for the app to work (users:manage is granted by 002).
+--
+-- Role permissions are reference data maintained by migrations, not by fixtures: loading a fixture
+-- leaves the RolePermission table as it is.
+
+insert ignore into RolePermission (Role, Permission) values ('guest', 'members:read');
+insert ignore into RolePermission (Role, Permission) values ('guest', 'teams:read');
+
+insert ignore into RolePermission (Role, Permission) values ('lead',  'members:read');
+insert ignore into RolePermission (Role, Permission) values ('lead',  'teams:read');
+insert ignore into RolePermission (Role, Permission) values ('lead',  'members:write:own');
+insert ignore into RolePermission (Role, Permission) values ('lead',  'teams:write:own');
+insert ignore into RolePermission (Role, Permission) values ('lead',  'team-members:write:own');
+
+insert ignore into RolePermission (Role, Permission) values ('admin', 'members:read');
+insert ignore into RolePermission (Role, Permission) values ('admin', 'members:write');
+insert ignore into RolePermission (Role, Permission) values ('admin', 'teams:read');
+insert ignore into RolePermission (Role, Permission) values ('admin', 'teams:write');
+insert ignore into RolePermission (Role, Permission) values ('admin', 'team-members:write');
+insert ignore into RolePermission (Role, Permission) values ('admin', 'audit:read');
+
+insert ignore into RolePermission (Role, Permission) values ('su',    'members:read');
+insert ignore into RolePermission (Role, Permission) values ('su',    'members:write');
+insert ignore into RolePermission (Role, Permission) values ('su',    'teams:read');
+insert ignore into RolePermission (Role, Permission) values ('su',    'teams:write');
+insert ignore into RolePermission (Role, Permission) values ('su',    'team-members:write');
+insert ignore into RolePermission (Role, Permission) values ('su',    'audit:read');
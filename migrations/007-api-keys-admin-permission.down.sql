@@ -0,0 +1,3 @@
+-- Revoke api-keys:admin permission.
+
+delete from RolePermission where Permission = 'api-keys:admin';
@@ -0,0 +1,4 @@
+-- Grant api-keys:admin permission (create admin-scope API keys) to admin & su roles.
+
+insert ignore into RolePermission (Role, Permission) values ('admin', 'api-keys:admin');
+insert ignore into RolePermission (Role, Permission) values ('su',    'api-keys:admin');
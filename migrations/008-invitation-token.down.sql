@@ -0,0 +1,4 @@
+-- Restore Invitation.Token to 24 characters: pending invitations with longer tokens are dropped.
+
+delete from Invitation where char_length(Token) > 24;
+alter table Invitation modify Token varchar(24) not null;
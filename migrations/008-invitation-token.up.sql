@@ -0,0 +1,3 @@
+-- Widen Invitation.Token to hold tokens with 128 random bits (lib/token.js).
+
+alter table Invitation modify Token varchar(48) not null;
@@ -0,0 +1,3 @@
+-- Revert per-user token generation.
+
+alter table User drop column TokenGeneration;
@@ -0,0 +1,4 @@
+-- Per-user token generation, recorded in issued JWTs: incrementing it revokes all the user’s JWTs
+-- (admin login cookies & API tokens), e.g. when their role is changed.
+
+alter table User add column TokenGeneration integer unsigned not null default 0;
@@ -0,0 +1,215 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* ApiKey model; long-lived personal API keys for machine clients                                 */
+/*                                                                                                */
+/* API keys are of the form ‘{KeyId}.{secret}’: the KeyId is recorded in clear to identify the    */
+/* key, and the secret is hashed with scrypt (as for User.Password), so the full key is only      */
+/* available when it is created.                                                                  */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';     // nodejs.org/api/crypto.html
+import Scrypt from 'scrypt-kdf'; // scrypt key derivation function
+import Debug  from 'debug';      // small debugging utility
+const debug = Debug('app:db');  // debug db updates
+
+import Db             from '../lib/mysqldb.js';
+import Log            from '../lib/log.js';
+import RequestContext from '../lib/request-context.js';
+import ModelError     from './modelerror.js';
+
+
+class ApiKey {
+
+    /**
+     * Returns ApiKey details (convenience wrapper for single ApiKey details).
+     *
+     * @param   {number} id - ApiKey id or undefined if not found.
+     * @returns {Object} ApiKey details.
+     */
+    static async get(id) {
+        const [ apiKeys ] = await Db.execute('Select * From ApiKey Where ApiKeyId = :id', { id });
+        const apiKey = apiKeys[0];
+        return apiKey;
+    }
+
+
+    /**
+     * Returns ApiKeys with given field matching given value.
+     *
+     * @param   {string}        field - Field to be matched.
+     * @param   {string!number} value - Value to match against field.
+     * @returns {Object[]}      ApiKeys details.
+     */
+    static async getBy(field, value) {
+        try {
+
+            const sql = `Select * From ApiKey Where ${field} = :${field} Order By CreatedOn`;
+
+            const [ apiKeys ] = await Db.execute(sql, { [field]: value });
+
+            return apiKeys;
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_BAD_FIELD_ERROR':
+                    throw new ModelError(403, 'Unrecognised ApiKey field '+field);
+                default:
+                    Log.exception('ApiKey.getBy', e);
+                    throw new ModelError(500, e.message);
+            }
+        }
+    }
+
+
+    /**
+     * Creates new ApiKey record.
+     *
+     * @param   {Object} values - ApiKey details (UserId, Label, Scope).
+     * @returns {Object} { id, key }: new ApiKey id, and the API key itself (which is not recorded).
+     * @throws  Error on validation or referential integrity errors.
+     */
+    static async insert(values) {
+        debug('ApiKey.insert', values.UserId, values.Label);
+
+        if (![ 'read', 'admin' ].includes(values.Scope)) throw new ModelError(403, 'Scope must be read or admin');
+
+        const keyId = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+        const keyHash = (await Scrypt.kdf(secret, { logN: 15 })).toString('base64');
+        const now = new Date().toISOString().replace('T', ' ').split('.')[0];
+
+        try {
+
+            const vals = { ...values, KeyId: keyId, KeyHash: keyHash, CreatedOn: now };
+            const [ result ] = await Db.query('Insert Into ApiKey Set ?', [ vals ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            return { id: result.insertId, key: `${keyId}.${secret}` };
+
+        } catch (e) {
+            switch (e.code) { // just use default MySQL messages for now
+                case 'ER_BAD_NULL_ERROR':
+                case 'ER_NO_REFERENCED_ROW_2':
+                case 'ER_NO_DEFAULT_FOR_FIELD':
+                    throw new ModelError(403, e.message); // Forbidden
+                case 'ER_BAD_FIELD_ERROR':
+                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                default:
+                    Log.exception('ApiKey.insert', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Update ApiKey details.
+     *
+     * @param  {number} id - ApiKey id.
+     * @param  {Object} values - ApiKey details.
+     * @throws Error on referential integrity errors.
+     */
+    static async update(id, values) {
+        debug('ApiKey.update', id);
+
+        try {
+
+            await Db.query('Update ApiKey Set ? Where ApiKeyId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+
+        } catch (e) {
+            switch (e.code) { // just use default MySQL messages for now
+                case 'ER_BAD_NULL_ERROR':
+                case 'ER_NO_REFERENCED_ROW_2':
+                    throw new ModelError(403, e.message); // Forbidden
+                case 'ER_BAD_FIELD_ERROR':
+                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                default:
+                    Log.exception('ApiKey.update', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Record use of ApiKey: LastUsedOn is only updated if it is more than ‘minutes’ old, to avoid a
+     * write on every request made with the key.
+     *
+     * The update is not recorded as a write by the current request (nothing in the request depends
+     * on it), so the request’s subsequent reads can still go to a read replica.
+     *
+     * @param  {number} id - ApiKey id.
+     * @param  {number} minutes - Interval within which LastUsedOn is not updated.
+     * @throws Error
+     */
+    static async touch(id, minutes) {
+        debug('ApiKey.touch', id);
+
+        try {
+
+            const sql = `Update ApiKey
+                         Set LastUsedOn = utc_timestamp()
+                         Where ApiKeyId = :id And (LastUsedOn Is Null Or LastUsedOn < utc_timestamp() - Interval :minutes Minute)`;
+            await RequestContext.unrecorded(() => Db.execute(sql, { id, minutes }));
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('ApiKey.touch', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete ApiKey record (revoke key).
+     *
+     * @param  {number} id - ApiKey id.
+     * @throws Error
+     */
+    static async delete(id) {
+        debug('ApiKey.delete', id);
+
+        try {
+
+            await Db.execute('Delete From ApiKey Where ApiKeyId = :id', { id });
+            return true;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('ApiKey.delete', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete all ApiKey records for given user (revoke all their keys).
+     *
+     * @param  {number} userId - Id of user whose keys are to be revoked.
+     * @throws Error
+     */
+    static async deleteForUser(userId) {
+        debug('ApiKey.deleteForUser', userId);
+
+        try {
+
+            await Db.execute('Delete From ApiKey Where UserId = :userId', { userId });
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('ApiKey.deleteForUser', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ApiKey;
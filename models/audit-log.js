@@ -0,0 +1,89 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* AuditLog model; record of every create/update/delete made through the models                   */
+/*                                                                                                */
+/* Each entry records the table & row id, the operation, the user who made the change (from the   */
+/* request context), when, and JSON copies of the row before & after the change.                  */
+/*                                                                                                */
+/* Audit entries are written by the other models, and are never updated or deleted.               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db             from '../lib/mysqldb.js';
+import Log            from '../lib/log.js';
+import RequestContext from '../lib/request-context.js';
+import ModelError     from './modelerror.js';
+
+const redacted = [ 'Password', 'PasswordResetRequest', 'TotpSecret', 'TotpLastStep' ]; // fields which are not copied into audit log
+
+
+class AuditLog {
+
+    /**
+     * Returns audit history of given row, most recent first, with name of user who made each change.
+     *
+     * @param   {string}   table - Table (Member, Team, TeamMember, User).
+     * @param   {number}   id - Row id.
+     * @returns {Object[]} Audit entries.
+     */
+    static async history(table, id) {
+        const sql = `Select AuditLogId, TableName, RowId, Operation, UserId, Firstname, Lastname, ChangedOn, \`Before\`, After
+                     From AuditLog Left Join User Using (UserId)
+                     Where TableName = :table And RowId = :id
+                     Order By AuditLogId Desc`;
+        const [ entries ] = await Db.execute(sql, { table, id });
+        return entries;
+    }
+
+
+    /**
+     * Records audit entry for change made through a model.
+     *
+     * This is called within the transaction making the change, so failure to record an audit entry
+     * throws, and the change is rolled back: no change is committed without its audit entry.
+     *
+     * @param  {string}      table - Table changed.
+     * @param  {number}      id - Id of row changed.
+     * @param  {string}      operation - ‘insert’, ‘update’, ‘delete’, ‘restore’ (from trash), or ‘purge’.
+     * @param  {Object|null} before - Row before change (null for insert).
+     * @param  {Object|null} after - Row after change (null for delete).
+     * @throws Error if audit entry cannot be recorded.
+     */
+    static async record(table, id, operation, before, after) {
+        if (![ 'insert', 'update', 'delete', 'restore', 'purge' ].includes(operation)) throw new ModelError(500, `Invalid audit operation ${operation}`);
+
+        const values = {
+            TableName: table,
+            RowId:     id,
+            Operation: operation,
+            UserId:    RequestContext.userId,
+            ChangedOn: new Date().toISOString().replace('T', ' ').split('.')[0],
+            Before:    before ? JSON.stringify(redact(before)) : null,
+            After:     after ? JSON.stringify(redact(after)) : null,
+        };
+
+        try {
+
+            await Db.query('Insert Into AuditLog Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+
+        } catch (e) {
+            Log.exception('AuditLog.record', e);
+            throw new ModelError(500, e.message); // Internal Server Error
+        }
+    }
+
+}
+
+
+/**
+ * Copy row, omitting sensitive fields, and recording BIT(1) fields (returned as buffers) as booleans.
+ */
+function redact(row) {
+    const copy = { ...row };
+    for (const field of redacted) if (field in copy) delete copy[field];
+    for (const field in copy) if (Buffer.isBuffer(copy[field]) && copy[field].length==1) copy[field] = copy[field][0]==1;
+    return copy;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default AuditLog;
@@ -0,0 +1,159 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Invitation model; invitations e-mailed by admins for people to create their own user account   */
+/*                                                                                                */
+/* Invitations are identified by a single-use timestamped token (lib/token.js); on acceptance, a  */
+/* User is created and recorded against the invitation, so the token cannot be used again.        */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import Token      from '../lib/token.js';
+import ModelError from './modelerror.js';
+
+const validity = 60*60*24*7; // invitations are valid for 7 days
+
+
+class Invitation {
+
+    /**
+     * Seconds for which invitations are valid.
+     */
+    static get validity() {
+        return validity;
+    }
+
+
+    /**
+     * Returns Invitation details (convenience wrapper for single Invitation details).
+     *
+     * @param   {number} id - Invitation id or undefined if not found.
+     * @returns {Object} Invitation details.
+     */
+    static async get(id) {
+        const [ invitations ] = await Db.execute('Select * From Invitation Where InvitationId = :id', { id });
+        return invitations[0];
+    }
+
+
+    /**
+     * Returns pending Invitation with given token, if it is valid (not expired and not already
+     * accepted).
+     *
+     * @param   {string}      token - Invitation token.
+     * @returns {Object|null} Invitation details, or null if token is invalid, expired, or used.
+     */
+    static async getByToken(token) {
+        // check token is well-formed and not expired
+        const age = Token.age(token);
+        if (age == null || age > validity) return null;
+
+        // check token has been recorded (and not used)
+        const sql = 'Select * From Invitation Where Token = :token And AcceptedOn Is Null';
+        const [ invitations ] = await Db.execute(sql, { token });
+
+        return invitations[0] || null;
+    }
+
+
+    /**
+     * Creates new Invitation record, replacing any pending invitation for the same e-mail.
+     *
+     * @param   {Object} values - Invitation details (Email, Role, InvitedBy).
+     * @returns {Object} New invitation { id, token }.
+     * @throws  Error on validation or referential integrity errors.
+     */
+    static async insert(values) {
+        debug('Invitation.insert', values.Email);
+
+        const token = Token.generate();
+        const invitedOn = new Date().toISOString().replace('T', ' ').split('.')[0];
+
+        try {
+
+            return await Db.transaction(async function() {
+                await Db.execute('Delete From Invitation Where Email = :Email And AcceptedOn Is Null', { Email: values.Email });
+                const [ result ] = await Db.query('Insert Into Invitation Set ?', [ { ...values, Token: token, InvitedOn: invitedOn } ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                return { id: result.insertId, token };
+            });
+
+        } catch (e) {
+            switch (e.code) { // just use default MySQL messages for now
+                case 'ER_BAD_NULL_ERROR':
+                case 'ER_NO_REFERENCED_ROW_2':
+                case 'ER_NO_DEFAULT_FOR_FIELD':
+                    throw new ModelError(403, e.message); // Forbidden
+                case 'ER_BAD_FIELD_ERROR':
+                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                default:
+                    Log.exception('Invitation.insert', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Record Invitation as accepted, by the user created for it.
+     *
+     * @param   {number}  id - Invitation id.
+     * @param   {number}  userId - Id of user created on acceptance.
+     * @returns {boolean} False if invitation had already been accepted.
+     * @throws  Error
+     */
+    static async accept(id, userId) {
+        debug('Invitation.accept', id, userId);
+
+        const acceptedOn = new Date().toISOString().replace('T', ' ').split('.')[0];
+
+        try {
+
+            const sql = `Update Invitation
+                         Set AcceptedOn = :acceptedOn, UserId = :userId
+                         Where InvitationId = :id And AcceptedOn Is Null`;
+            const [ result ] = await Db.execute(sql, { id, userId, acceptedOn });
+            return result.affectedRows == 1;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('Invitation.accept', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete Invitation record (revoke invitation).
+     *
+     * @param  {number} id - Invitation id.
+     * @throws Error
+     */
+    static async delete(id) {
+        debug('Invitation.delete', id);
+
+        try {
+
+            await Db.execute('Delete From Invitation Where InvitationId = :id', { id });
+            return true;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('Invitation.delete', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Invitation;
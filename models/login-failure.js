@@ -0,0 +1,215 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* LoginFailure model; recent failed login attempts, by account or by IP address                  */
+/*                                                                                                */
+/* Each record counts consecutive failures for an account (‘account’ scope, identified by e-mail) */
+/* or a client (‘ip’ scope), with any temporary lockout; lib/login-throttle.js has the policy.    */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import ModelError from './modelerror.js';
+
+
+class LoginFailure {
+
+    /**
+     * Returns LoginFailure details, with seconds since the last failure, and seconds any lockout
+     * has left to run (both calculated by the database, to avoid timezone issues).
+     *
+     * This always reads from the primary database: a read replica may not yet have the latest
+     * failures (or even the record just upserted by record()).
+     *
+     * @param   {string} scope - 'account' or 'ip'.
+     * @param   {string} identifier - E-mail or IP address.
+     * @returns {Object} LoginFailure details (including SecondsSince, LockedFor), or undefined if
+     *   there are no recorded failures.
+     */
+    static async get(scope, identifier) {
+        const sql = `Select *,
+                       Timestampdiff(Second, LastFailedOn, utc_timestamp()) As SecondsSince,
+                       Greatest(Coalesce(Timestampdiff(Second, utc_timestamp(), LockedUntil), 0), 0) As LockedFor
+                     From LoginFailure
+                     Where Scope = :scope And Identifier = :identifier`;
+        const [ failures ] = await Db.primary(() => Db.execute(sql, { scope, identifier }));
+        return failures[0];
+    }
+
+
+    /**
+     * Record failed login attempt: failures are counted from the first failure after a gap of at
+     * least ‘forgetMinutes’ since the previous one.
+     *
+     * @param   {string} scope - 'account' or 'ip'.
+     * @param   {string} identifier - E-mail or IP address.
+     * @param   {number} forgetMinutes - Failures older than this are no longer counted.
+     * @returns {Object} Updated LoginFailure details (as per get()).
+     * @throws  Error
+     */
+    static async record(scope, identifier, forgetMinutes) {
+        debug('LoginFailure.record', scope, identifier);
+
+        try {
+
+            // note Failures is assigned before LastFailedOn, so uses the previous LastFailedOn
+            const sql = `Insert Into LoginFailure (Scope, Identifier, Failures, LastFailedOn)
+                         Values (:scope, :identifier, 1, utc_timestamp())
+                         On Duplicate Key Update
+                           Failures = If(LastFailedOn <= utc_timestamp() - Interval :forgetMinutes Minute, 1, Failures + 1),
+                           LastFailedOn = utc_timestamp()`;
+            await Db.execute(sql, { scope, identifier, forgetMinutes });
+
+            // opportunistic housekeeping: failures which are no longer counted & lockouts which have expired
+            const sqlDel = `Delete From LoginFailure
+                            Where LastFailedOn < utc_timestamp() - Interval :forgetMinutes Minute
+                              And (LockedUntil Is Null Or LockedUntil < utc_timestamp())`;
+            await Db.execute(sqlDel, { forgetMinutes });
+
+            return await LoginFailure.get(scope, identifier);
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('LoginFailure.record', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Reserve login attempt, counting it as a failure before the credentials are verified (so that
+     * concurrent attempts cannot all go ahead before any failures are recorded): the failure count
+     * must still be as last read, otherwise a concurrent attempt has got there first.
+     *
+     * @param   {string}      scope - 'account' or 'ip'.
+     * @param   {string}      identifier - E-mail or IP address.
+     * @param   {number|null} failures - Failures as returned by get(), or null if there was no record.
+     * @param   {number}      forgetMinutes - Failures older than this are no longer counted.
+     * @returns {boolean}     Whether attempt was reserved.
+     * @throws  Error
+     */
+    static async reserve(scope, identifier, failures, forgetMinutes) {
+        debug('LoginFailure.reserve', scope, identifier);
+
+        try {
+
+            if (failures == null) {
+                const sql = `Insert Ignore Into LoginFailure (Scope, Identifier, Failures, LastFailedOn)
+                             Values (:scope, :identifier, 1, utc_timestamp())`;
+                const [ result ] = await Db.execute(sql, { scope, identifier });
+                return result.affectedRows == 1;
+            }
+
+            // conditional update guards against concurrent attempts (Failures is assigned before
+            // LastFailedOn, so uses the previous LastFailedOn)
+            const sql = `Update LoginFailure
+                         Set Failures = If(LastFailedOn <= utc_timestamp() - Interval :forgetMinutes Minute, 1, Failures + 1),
+                           LastFailedOn = utc_timestamp()
+                         Where Scope = :scope And Identifier = :identifier And Failures = :failures`;
+            const [ result ] = await Db.execute(sql, { scope, identifier, failures, forgetMinutes });
+            return result.affectedRows == 1;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('LoginFailure.reserve', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Release reserved (or recorded) login attempt, which is no longer to be counted as a failure.
+     *
+     * @param  {string} scope - 'account' or 'ip'.
+     * @param  {string} identifier - E-mail or IP address.
+     * @throws Error
+     */
+    static async release(scope, identifier) {
+        debug('LoginFailure.release', scope, identifier);
+
+        try {
+
+            const sql = `Update LoginFailure
+                         Set Failures = Failures - 1
+                         Where Scope = :scope And Identifier = :identifier And Failures > 0`;
+            await Db.execute(sql, { scope, identifier });
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('LoginFailure.release', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Lock out further login attempts for given period (unless already locked).
+     *
+     * @param   {string}  scope - 'account' or 'ip'.
+     * @param   {string}  identifier - E-mail or IP address.
+     * @param   {number}  minutes - Length of lockout.
+     * @returns {boolean} False if already locked (e.g. by a concurrent failure).
+     * @throws  Error
+     */
+    static async lock(scope, identifier, minutes) {
+        debug('LoginFailure.lock', scope, identifier);
+
+        try {
+
+            const sql = `Update LoginFailure
+                         Set LockedUntil = utc_timestamp() + Interval :minutes Minute
+                         Where Scope = :scope And Identifier = :identifier
+                           And (LockedUntil Is Null Or LockedUntil < utc_timestamp())`;
+            const [ result ] = await Db.execute(sql, { scope, identifier, minutes });
+            return result.affectedRows == 1;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('LoginFailure.lock', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete LoginFailure record (successful login, or lockout cleared by admin).
+     *
+     * @param   {string}  scope - 'account' or 'ip'.
+     * @param   {string}  identifier - E-mail or IP address.
+     * @returns {boolean} False if there was no record.
+     * @throws  Error
+     */
+    static async delete(scope, identifier) {
+        debug('LoginFailure.delete', scope, identifier);
+
+        try {
+
+            const [ result ] = await Db.execute('Delete From LoginFailure Where Scope = :scope And Identifier = :identifier', { scope, identifier });
+            return result.affectedRows == 1;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('LoginFailure.delete', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default LoginFailure;
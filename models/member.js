@@ -10,6 +10,8 @@ const debug = Debug('app:db'); // debug db updates
 import Db         from '../lib/mysqldb.js';
 import Log        from '../lib/log.js';
 import ModelError from './modelerror.js';
+import AuditLog   from './audit-log.js';
+import TeamMember from './team-member.js';
 
 
 class Member {
@@ -17,11 +19,15 @@ class Member {
     /**
      * Returns Member details (convenience wrapper for single Member details).
      *
-     * @param   {number} id - Member id or undefined if not found.
-     * @returns {Object} Member details.
+     * Members which have been deleted (moved to the trash) are not returned unless includeDeleted is set.
+     *
+     * @param   {number}  id - Member id or undefined if not found.
+     * @param   {boolean} [includeDeleted=false] - Whether to return deleted member.
+     * @returns {Object}  Member details.
      */
-    static async get(id) {
-        const [ members ] = await Db.execute('Select * From Member Where MemberId = :id', { id });
+    static async get(id, includeDeleted=false) {
+        const sql = 'Select * From Member Where MemberId = :id' + (includeDeleted ? '' : ' And DeletedOn Is Null');
+        const [ members ] = await Db.execute(sql, { id });
         const member = members[0];
         return member;
     }
@@ -37,7 +43,7 @@ class Member {
     static async getBy(field, value) {
         try {
 
-            const sql = `Select * From Member Where ${field} = :${field} Order By Firstname, Lastname`;
+            const sql = `Select * From Member Where ${field} = :${field} And DeletedOn Is Null Order By Firstname, Lastname`;
 
             const [ members ] = await Db.execute(sql, { [field]: value });
 
@@ -72,8 +78,11 @@ class Member {
 
         try {
 
-            const [ result ] = await Db.query('Insert Into Member Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
-            return result.insertId;
+            return await Db.transaction(async function() {
+                const [ result ] = await Db.query('Insert Into Member Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                await AuditLog.record('Member', result.insertId, 'insert', null, await Member.get(result.insertId));
+                return result.insertId;
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -96,11 +105,15 @@ class Member {
     /**
      * Update Member details.
      *
+     * The row Version is incremented on every change; if a version is supplied, the update only
+     * succeeds if the member has not been changed since that version was read.
+     *
      * @param  {number} id - Member id.
-     * @param  {Object} values - Member details.
-     * @throws Error on validation or referential integrity errors.
+     * @param  {Object} values - Member details (any Version field is ignored).
+     * @param  {number} [version] - Version of member changes were based on.
+     * @throws Error on validation or referential integrity errors, 412 if member has since been changed.
      */
-    static async update(id, values) {
+    static async update(id, values, version) {
         debug('Member.update', id);
 
         // validation - somewhat artificial example serves to illustrate principle
@@ -108,9 +121,18 @@ class Member {
             throw new ModelError(403, 'Firstname or Lastname must be supplied');
         }
 
+        let updated = false;
         try {
 
-            await Db.query('Update Member Set ? Where MemberId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            await Db.transaction(async function() {
+                const before = await Member.get(id);
+                const fields = { ...values };
+                delete fields.Version; // maintained by the model
+                const sql = 'Update Member Set ?, Version = Version + 1 Where MemberId = ? And DeletedOn Is Null' + (version===undefined ? '' : ' And Version = ?');
+                const [ result ] = await Db.query(sql, [ fields, id, version ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                updated = result.affectedRows == 1;
+                if (updated) await AuditLog.record('Member', id, 'update', before, await Member.get(id));
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -126,32 +148,120 @@ class Member {
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
             }
         }
+
+        // version was supplied but nothing updated: someone else has changed the member in the meantime
+        if (!updated && version!==undefined && await Member.get(id)) {
+            throw new ModelError(412, `Member ${id} has been changed by someone else`); // Precondition Failed
+        }
     }
 
 
     /**
-     * Delete Member record.
+     * Delete Member record: the member is moved to the trash (marked as deleted), from where it can
+     * be restored until it is purged after the retention period.
      *
-     * @param  {number} id - Member id.
-     * @throws Error on referential integrity errors.
+     * @param   {number}  id - Member id.
+     * @param   {number}  [version] - Version of member expected to be deleted.
+     * @returns {boolean} Whether member was deleted (false if not found).
+     * @throws  Error, 412 if member has been changed since given version.
      */
-    static async delete(id) {
+    static async delete(id, version) {
         debug('Member.delete', id);
 
+        let deleted = false;
         try {
 
-            await Db.execute('Delete From Member Where MemberId = :id', { id });
-            return true;
+            const found = await Db.transaction(async function() {
+                const before = await Member.get(id);
+                if (!before) return false;
+                const now = new Date().toISOString().replace('T', ' ').split('.')[0];
+                const sql = 'Update Member Set DeletedOn = :now, Version = Version + 1 Where MemberId = :id And DeletedOn Is Null'
+                    + (version===undefined ? '' : ' And Version = :version');
+                const [ result ] = await Db.execute(sql, { id, now, version });
+                deleted = result.affectedRows == 1;
+                if (deleted) await AuditLog.record('Member', id, 'delete', before, await Member.get(id, true));
+                return true;
+            });
+            if (!found) return false;
 
         } catch (e) {
             switch (e.code) {
-                case 'ER_ROW_IS_REFERENCED_2': // related record exists in TeamMember
-                    throw new ModelError(403, 'Member belongs to team(s)'); // Forbidden
                 default:
                     Log.exception('Member.delete', e);
                     throw new ModelError(500, e.message); // Internal Server Error
             }
         }
+
+        // version was supplied but nothing deleted: someone else has changed the member in the meantime
+        if (!deleted && version!==undefined) throw new ModelError(412, `Member ${id} has been changed by someone else`); // Precondition Failed
+
+        return deleted;
+    }
+
+
+    /**
+     * Restore deleted Member record from the trash.
+     *
+     * @param   {number}  id - Member id.
+     * @returns {boolean} Whether member was restored (false if not in trash).
+     * @throws  Error on duplicate e-mail (if a member with the same e-mail has since been added).
+     */
+    static async restore(id) {
+        debug('Member.restore', id);
+
+        try {
+
+            return await Db.transaction(async function() {
+                const before = await Member.get(id, true);
+                if (!before || before.DeletedOn == null) return false;
+                await Db.execute('Update Member Set DeletedOn = Null, Version = Version + 1 Where MemberId = :id', { id });
+                await AuditLog.record('Member', id, 'restore', before, await Member.get(id));
+                return true;
+            });
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_DUP_ENTRY':
+                    throw new ModelError(409, e.message); // Conflict
+                default:
+                    Log.exception('Member.restore', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Permanently delete Members which were moved to the trash before given date/time, together
+     * with their team memberships.
+     *
+     * @param   {string} deletedBefore - UTC date/time (‘yyyy-mm-dd hh:mm:ss’).
+     * @returns {number} Number of members purged.
+     * @throws  Error
+     */
+    static async purge(deletedBefore) {
+        debug('Member.purge', deletedBefore);
+
+        try {
+
+            const [ members ] = await Db.execute('Select * From Member Where DeletedOn < :deletedBefore', { deletedBefore });
+            for (const member of members) {
+                await Db.transaction(async function() {
+                    const [ teamMembers ] = await Db.execute('Select TeamMemberId From TeamMember Where MemberId = :id', { id: member.MemberId });
+                    for (const teamMember of teamMembers) await TeamMember.delete(teamMember.TeamMemberId);
+                    await Db.execute('Delete From Member Where MemberId = :id', { id: member.MemberId });
+                    await AuditLog.record('Member', member.MemberId, 'purge', member, null);
+                });
+            }
+            return members.length;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('Member.purge', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
     }
 
 }
@@ -0,0 +1,137 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* RecoveryCode model; single-use codes to log in if a user’s authenticator app is unavailable    */
+/*                                                                                                */
+/* A set of codes is issued when two-factor authentication is enabled (or codes are regenerated); */
+/* each is deleted when used. Only a SHA-256 hash of each code is stored (as for refresh tokens). */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import ModelError from './modelerror.js';
+
+const count = 10; // number of codes issued
+
+
+class RecoveryCode {
+
+    /**
+     * Returns number of unused recovery codes user has remaining.
+     *
+     * @param   {number} userId - User id.
+     * @returns {number} Number of codes remaining.
+     */
+    static async remaining(userId) {
+        const [ [ { n } ] ] = await Db.execute('Select Count(*) As n From RecoveryCode Where UserId = :userId', { userId });
+        return n;
+    }
+
+
+    /**
+     * Issue new set of recovery codes to user, replacing any existing codes.
+     *
+     * @param   {number}   userId - User id.
+     * @returns {string[]} New recovery codes (to be shown to the user; only their hashes are stored).
+     * @throws  Error on referential integrity errors.
+     */
+    static async replace(userId) {
+        debug('RecoveryCode.replace', userId);
+
+        // codes are 10 hex digits, shown as ‘xxxxx-xxxxx’ for readability
+        const codes = [ ...Array(count) ].map(() => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+
+        try {
+
+            await Db.transaction(async function() {
+                await Db.execute('Delete From RecoveryCode Where UserId = :userId', { userId });
+                for (const code of codes) {
+                    await Db.query('Insert Into RecoveryCode Set ?', [ { UserId: userId, CodeHash: hash(code) } ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                }
+            });
+
+            return codes;
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_NO_REFERENCED_ROW_2':
+                    throw new ModelError(403, e.message); // Forbidden
+                default:
+                    Log.exception('RecoveryCode.replace', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Use recovery code: if it is one of the user’s unused codes, it is deleted so it cannot be used
+     * again.
+     *
+     * @param   {number}  userId - User id.
+     * @param   {string}  code - Recovery code supplied by user (case & hyphen/spaces are ignored).
+     * @returns {boolean} Whether code was valid.
+     * @throws  Error
+     */
+    static async use(userId, code) {
+        debug('RecoveryCode.use', userId);
+
+        const normalised = String(code || '').toLowerCase().replace(/[\s-]/g, '').replace(/^(.{5})/, '$1-');
+
+        try {
+
+            const sql = 'Delete From RecoveryCode Where UserId = :userId And CodeHash = :hash';
+            const [ result ] = await Db.execute(sql, { userId, hash: hash(normalised) });
+            return result.affectedRows == 1; // false if code is not recognised, or has already been used
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('RecoveryCode.use', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete all user’s recovery codes (two-factor authentication disabled).
+     *
+     * @param  {number} userId - User id.
+     * @throws Error
+     */
+    static async deleteAll(userId) {
+        debug('RecoveryCode.deleteAll', userId);
+
+        try {
+
+            await Db.execute('Delete From RecoveryCode Where UserId = :userId', { userId });
+            return true;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('RecoveryCode.deleteAll', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/**
+ * SHA-256 hash of code (as stored in database).
+ */
+function hash(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RecoveryCode;
@@ -0,0 +1,131 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* RefreshToken model; long-lived tokens used to obtain replacement API JWT tokens                */
+/*                                                                                                */
+/* Refresh tokens are single-use: each time one is used it is deleted and a replacement issued.   */
+/* Only a SHA-256 hash of the token is stored (tokens are random, so a slow KDF is not required). */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import ModelError from './modelerror.js';
+
+const lifetime = 30; // days
+
+
+class RefreshToken {
+
+    /**
+     * Returns RefreshToken details for given (unexpired) token.
+     *
+     * @param   {string} token - Refresh token as issued to client.
+     * @returns {Object} RefreshToken details, or undefined if not found or expired.
+     */
+    static async getByToken(token) {
+        const sql = 'Select * From RefreshToken Where TokenHash = :hash And ExpiresOn > utc_timestamp()';
+        const [ refreshTokens ] = await Db.execute(sql, { hash: hash(token) });
+        return refreshTokens[0];
+    }
+
+
+    /**
+     * Creates new RefreshToken record for given user.
+     *
+     * @param   {number} userId - Id of user token is issued to.
+     * @returns {string} New refresh token (to be passed to client; only its hash is stored).
+     * @throws  Error on referential integrity errors.
+     */
+    static async insert(userId) {
+        debug('RefreshToken.insert', userId);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expires = new Date(Date.now() + 1000*60*60*24*lifetime).toISOString().replace('T', ' ').split('.')[0];
+
+        try {
+
+            const values = { UserId: userId, TokenHash: hash(token), ExpiresOn: expires };
+            await Db.query('Insert Into RefreshToken Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+
+            // opportunistic housekeeping
+            await Db.query('Delete From RefreshToken Where ExpiresOn < utc_timestamp()');
+
+            return token;
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_NO_REFERENCED_ROW_2':
+                    throw new ModelError(403, e.message); // Forbidden
+                default:
+                    Log.exception('RefreshToken.insert', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Delete RefreshToken record (token used or revoked).
+     *
+     * @param  {number} id - RefreshToken id.
+     * @throws Error
+     */
+    static async delete(id) {
+        debug('RefreshToken.delete', id);
+
+        try {
+
+            const [ result ] = await Db.execute('Delete From RefreshToken Where RefreshTokenId = :id', { id });
+            return result.affectedRows == 1; // false if token has already been used (e.g. concurrently)
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('RefreshToken.delete', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Delete all RefreshToken records for given user (revoking all their API sessions, e.g. when
+     * their credentials change).
+     *
+     * @param  {number} userId - Id of user whose tokens are to be revoked.
+     * @throws Error
+     */
+    static async deleteForUser(userId) {
+        debug('RefreshToken.deleteForUser', userId);
+
+        try {
+
+            await Db.execute('Delete From RefreshToken Where UserId = :userId', { userId });
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('RefreshToken.deleteForUser', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/**
+ * SHA-256 hash of token (as stored in database).
+ */
+function hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RefreshToken;
@@ -0,0 +1,90 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* TeamManager model; users (typically with ‘lead’ role) who manage particular teams              */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import ModelError from './modelerror.js';
+
+
+class TeamManager {
+
+    /**
+     * Returns TeamManager details (convenience wrapper for single TeamManager details).
+     *
+     * @param   {number} id - TeamManager id or undefined if not found.
+     * @returns {Object} TeamManager details.
+     */
+    static async get(id) {
+        const [ teamManagers ] = await Db.execute('Select * From TeamManager Where TeamManagerId = :id', { id });
+        return teamManagers[0];
+    }
+
+
+    /**
+     * Creates new TeamManager record (user managing team).
+     *
+     * @param   {Object} values - TeamManager details (UserId, TeamId).
+     * @returns {number} New TeamManager id.
+     * @throws  Error on validation or referential integrity errors.
+     */
+    static async insert(values) {
+        debug('TeamManager.insert', values.UserId, values.TeamId);
+
+        try {
+
+            const [ result ] = await Db.query('Insert Into TeamManager Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            return result.insertId;
+
+        } catch (e) {
+            switch (e.code) { // just use default MySQL messages for now (except dup-entry)
+                case 'ER_BAD_NULL_ERROR':
+                case 'ER_NO_REFERENCED_ROW_2':
+                case 'ER_NO_DEFAULT_FOR_FIELD':
+                    throw new ModelError(403, e.message); // Forbidden
+                case 'ER_DUP_ENTRY':
+                    throw new ModelError(409, `Team manager already exists [${values.TeamId}:${values.UserId}]`); // Conflict
+                case 'ER_BAD_FIELD_ERROR':
+                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                default:
+                    Log.exception('TeamManager.insert', e);
+                    throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
+            }
+        }
+    }
+
+
+    /**
+     * Delete TeamManager record (user no longer manages team).
+     *
+     * @param  {number} id - TeamManager id.
+     * @throws Error
+     */
+    static async delete(id) {
+        debug('TeamManager.delete', id);
+
+        try {
+
+            await Db.execute('Delete From TeamManager Where TeamManagerId = :id', { id });
+            return true;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('TeamManager.delete', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default TeamManager;
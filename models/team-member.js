@@ -10,6 +10,7 @@ const debug = Debug('app:db'); // debug db updates
 import Db         from '../lib/mysqldb.js';
 import Log        from '../lib/log.js';
 import ModelError from './modelerror.js';
+import AuditLog   from './audit-log.js';
 
 
 class TeamMember {
@@ -42,8 +43,11 @@ class TeamMember {
 
         try {
 
-            const [ result ] = await Db.query('Insert Into TeamMember Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
-            return result.insertId;
+            return await Db.transaction(async function() {
+                const [ result ] = await Db.query('Insert Into TeamMember Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                await AuditLog.record('TeamMember', result.insertId, 'insert', null, await TeamMember.get(result.insertId));
+                return result.insertId;
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now (except dup-entry)
@@ -75,7 +79,11 @@ class TeamMember {
 
         try {
 
-            await Db.query('Update TeamMember Set ? Where TeamMemberId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            await Db.transaction(async function() {
+                const before = await TeamMember.get(id);
+                await Db.query('Update TeamMember Set ? Where TeamMemberId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                if (before) await AuditLog.record('TeamMember', id, 'update', before, await TeamMember.get(id));
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -105,8 +113,12 @@ class TeamMember {
 
         try {
 
-            await Db.execute('Delete From TeamMember Where TeamMemberId = :id', { id });
-            return true;
+            return await Db.transaction(async function() {
+                const before = await TeamMember.get(id);
+                await Db.execute('Delete From TeamMember Where TeamMemberId = :id', { id });
+                if (before) await AuditLog.record('TeamMember', id, 'delete', before, null);
+                return true;
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -10,6 +10,8 @@ const debug = Debug('app:db'); // debug db updates
 import Db         from '../lib/mysqldb.js';
 import Log        from '../lib/log.js';
 import ModelError from './modelerror.js';
+import AuditLog   from './audit-log.js';
+import TeamMember from './team-member.js';
 
 
 class Team {
@@ -17,11 +19,15 @@ class Team {
     /**
      * Returns Team details (convenience wrapper for single Team details).
      *
-     * @param   {number} id - Team id or undefined if not found.
-     * @returns {Object} Team details.
+     * Teams which have been deleted (moved to the trash) are not returned unless includeDeleted is set.
+     *
+     * @param   {number}  id - Team id or undefined if not found.
+     * @param   {boolean} [includeDeleted=false] - Whether to return deleted team.
+     * @returns {Object}  Team details.
      */
-    static async get(id) {
-        const [ teams ] = await Db.execute('Select * From Team Where TeamId = :id', { id });
+    static async get(id, includeDeleted=false) {
+        const sql = 'Select * From Team Where TeamId = :id' + (includeDeleted ? '' : ' And DeletedOn Is Null');
+        const [ teams ] = await Db.execute(sql, { id });
         const team = teams[0];
         return team;
     }
@@ -37,7 +43,7 @@ class Team {
     static async getBy(field, value) {
         try {
 
-            const sql = `Select * From Team Where ${field} = :${field} Order By Name`;
+            const sql = `Select * From Team Where ${field} = :${field} And DeletedOn Is Null Order By Name`;
 
             const [ teams ] = await Db.execute(sql, { [field]: value });
 
@@ -64,8 +70,11 @@ class Team {
 
         try {
 
-            const [ result ] = await Db.query('Insert Into Team Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
-            return result.insertId;
+            return await Db.transaction(async function() {
+                const [ result ] = await Db.query('Insert Into Team Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                await AuditLog.record('Team', result.insertId, 'insert', null, await Team.get(result.insertId));
+                return result.insertId;
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -88,16 +97,29 @@ class Team {
     /**
      * Update Team details.
      *
+     * The row Version is incremented on every change; if a version is supplied, the update only
+     * succeeds if the team has not been changed since that version was read.
+     *
      * @param  {number} id - Team id.
-     * @param  {Object} values - Team details.
-     * @throws Error on referential integrity errors.
+     * @param  {Object} values - Team details (any Version field is ignored).
+     * @param  {number} [version] - Version of team changes were based on.
+     * @throws Error on referential integrity errors, 412 if team has since been changed.
      */
-    static async update(id, values) {
+    static async update(id, values, version) {
         debug('Team.update', id);
 
+        let updated = false;
         try {
 
-            await Db.query('Update Team Set ? Where TeamId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            await Db.transaction(async function() {
+                const before = await Team.get(id);
+                const fields = { ...values };
+                delete fields.Version; // maintained by the model
+                const sql = 'Update Team Set ?, Version = Version + 1 Where TeamId = ? And DeletedOn Is Null' + (version===undefined ? '' : ' And Version = ?');
+                const [ result ] = await Db.query(sql, [ fields, id, version ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                updated = result.affectedRows == 1;
+                if (updated) await AuditLog.record('Team', id, 'update', before, await Team.get(id));
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -113,32 +135,118 @@ class Team {
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
             }
         }
+
+        // version was supplied but nothing updated: someone else has changed the team in the meantime
+        if (!updated && version!==undefined && await Team.get(id)) {
+            throw new ModelError(412, `Team ${id} has been changed by someone else`); // Precondition Failed
+        }
     }
 
 
     /**
-     * Delete Team record.
+     * Delete Team record: the team is moved to the trash (marked as deleted), from where it can
+     * be restored until it is purged after the retention period.
      *
-     * @param  {number} id - Team id.
-     * @throws Error on referential integrity errors.
+     * @param   {number}  id - Team id.
+     * @param   {number}  [version] - Version of team expected to be deleted.
+     * @returns {boolean} Whether team was deleted (false if not found).
+     * @throws  Error, 412 if team has been changed since given version.
      */
-    static async delete(id) {
+    static async delete(id, version) {
         debug('Team.delete', id);
 
+        let deleted = false;
         try {
 
-            await Db.execute('Delete From Team Where TeamId =  :id', { id });
-            return true;
+            const found = await Db.transaction(async function() {
+                const before = await Team.get(id);
+                if (!before) return false;
+                const now = new Date().toISOString().replace('T', ' ').split('.')[0];
+                const sql = 'Update Team Set DeletedOn = :now, Version = Version + 1 Where TeamId = :id And DeletedOn Is Null'
+                    + (version===undefined ? '' : ' And Version = :version');
+                const [ result ] = await Db.execute(sql, { id, now, version });
+                deleted = result.affectedRows == 1;
+                if (deleted) await AuditLog.record('Team', id, 'delete', before, await Team.get(id, true));
+                return true;
+            });
+            if (!found) return false;
 
         } catch (e) {
             switch (e.code) {
-                case 'ER_ROW_IS_REFERENCED_2': // related record exists in TeamMember
-                    throw new ModelError(403, 'Cannot delete team with members'); // Forbidden
                 default:
                     Log.exception('Team.delete', e);
                     throw new ModelError(500, e.message); // Internal Server Error
             }
         }
+
+        // version was supplied but nothing deleted: someone else has changed the team in the meantime
+        if (!deleted && version!==undefined) throw new ModelError(412, `Team ${id} has been changed by someone else`); // Precondition Failed
+
+        return deleted;
+    }
+
+
+    /**
+     * Restore deleted Team record from the trash.
+     *
+     * @param   {number}  id - Team id.
+     * @returns {boolean} Whether team was restored (false if not in trash).
+     * @throws  Error
+     */
+    static async restore(id) {
+        debug('Team.restore', id);
+
+        try {
+
+            return await Db.transaction(async function() {
+                const before = await Team.get(id, true);
+                if (!before || before.DeletedOn == null) return false;
+                await Db.execute('Update Team Set DeletedOn = Null, Version = Version + 1 Where TeamId = :id', { id });
+                await AuditLog.record('Team', id, 'restore', before, await Team.get(id));
+                return true;
+            });
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('Team.restore', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Permanently delete Teams which were moved to the trash before given date/time, together
+     * with their team memberships.
+     *
+     * @param   {string} deletedBefore - UTC date/time (‘yyyy-mm-dd hh:mm:ss’).
+     * @returns {number} Number of teams purged.
+     * @throws  Error
+     */
+    static async purge(deletedBefore) {
+        debug('Team.purge', deletedBefore);
+
+        try {
+
+            const [ teams ] = await Db.execute('Select * From Team Where DeletedOn < :deletedBefore', { deletedBefore });
+            for (const team of teams) {
+                await Db.transaction(async function() {
+                    const [ teamMembers ] = await Db.execute('Select TeamMemberId From TeamMember Where TeamId = :id', { id: team.TeamId });
+                    for (const teamMember of teamMembers) await TeamMember.delete(teamMember.TeamMemberId);
+                    await Db.execute('Delete From Team Where TeamId = :id', { id: team.TeamId });
+                    await AuditLog.record('Team', team.TeamId, 'purge', team, null);
+                });
+            }
+            return teams.length;
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('Team.purge', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
     }
 
 }
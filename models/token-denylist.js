@@ -0,0 +1,65 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* TokenDenylist model; JWT tokens revoked before their expiry (e.g. on logout)                   */
+/*                                                                                                */
+/* Tokens are identified by their ‘jti’ (JWT ID) claim; entries are only needed until the token   */
+/* would have expired anyway.                                                                     */
+/*                                                                                                */
+/* All database modifications go through the model; most querying is in the handlers.             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import Log        from '../lib/log.js';
+import ModelError from './modelerror.js';
+
+
+class TokenDenylist {
+
+    /**
+     * Returns whether token with given JWT ID has been revoked.
+     *
+     * @param   {string}  jti - JWT ID.
+     * @returns {boolean} True if token has been revoked.
+     */
+    static async includes(jti) {
+        const [ tokens ] = await Db.execute('Select Jti From TokenDenylist Where Jti = :jti', { jti });
+        return tokens.length > 0;
+    }
+
+
+    /**
+     * Record revoked token.
+     *
+     * @param  {string} jti - JWT ID.
+     * @param  {number} exp - Expiry of token (JWT ‘exp’ claim: seconds since epoch).
+     * @throws Error
+     */
+    static async insert(jti, exp) {
+        debug('TokenDenylist.insert', jti);
+
+        const expires = new Date(exp*1000).toISOString().replace('T', ' ').split('.')[0];
+
+        try {
+
+            await Db.execute('Insert Ignore Into TokenDenylist (Jti, ExpiresOn) Values (:jti, :expires)', { jti, expires });
+
+            // opportunistic housekeeping: expired tokens will be rejected anyway
+            await Db.query('Delete From TokenDenylist Where ExpiresOn < utc_timestamp()');
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('TokenDenylist.insert', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default TokenDenylist;
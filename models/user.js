@@ -7,13 +7,40 @@
 import Debug from 'debug';     // small debugging utility
 const debug = Debug('app:db'); // debug db updates
 
-import Db         from '../lib/mysqldb.js';
-import Log        from '../lib/log.js';
-import ModelError from './modelerror.js';
+import Db           from '../lib/mysqldb.js';
+import Log          from '../lib/log.js';
+import Totp         from '../lib/totp.js';
+import ModelError   from './modelerror.js';
+import AuditLog     from './audit-log.js';
+import RecoveryCode from './recovery-code.js';
+import RefreshToken from './refresh-token.js';
 
 
 class User {
 
+    /**
+     * Roles users can have (permissions are granted to roles in the RolePermission table).
+     */
+    static get roles() {
+        return [ 'guest', 'lead', 'admin', 'su' ];
+    }
+
+
+    /**
+     * Whether one role ranks above another (roles are listed in ascending order of authority).
+     *
+     * Users managing other users cannot assign a role above their own, nor manage users who outrank
+     * them.
+     *
+     * @param   {string}  role - Role to be compared.
+     * @param   {string}  otherRole - Role to compare it with.
+     * @returns {boolean} True if role ranks above otherRole.
+     */
+    static outranks(role, otherRole) {
+        return User.roles.indexOf(role) > User.roles.indexOf(otherRole);
+    }
+
+
     /**
      * Returns User details (convenience wrapper for single User details).
      *
@@ -67,8 +94,11 @@ class User {
 
         try {
 
-            const [ result ] = await Db.query('Insert Into User Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
-            return result.insertId;
+            return await Db.transaction(async function() {
+                const [ result ] = await Db.query('Insert Into User Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                await AuditLog.record('User', result.insertId, 'insert', null, await User.get(result.insertId));
+                return result.insertId;
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -100,7 +130,11 @@ class User {
 
         try {
 
-            await Db.query('Update User Set ? Where UserId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+            await Db.transaction(async function() {
+                const before = await User.get(id);
+                await Db.query('Update User Set ? Where UserId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
+                if (before) await AuditLog.record('User', id, 'update', before, await User.get(id));
+            });
 
         } catch (e) {
             switch (e.code) { // just use default MySQL messages for now
@@ -130,8 +164,12 @@ class User {
 
         try {
 
-            await Db.execute('Delete From User Where UserId = :id', { id });
-            return true;
+            return await Db.transaction(async function() {
+                const before = await User.get(id);
+                await Db.execute('Delete From User Where UserId = :id', { id });
+                if (before) await AuditLog.record('User', id, 'delete', before, null);
+                return true;
+            });
 
         } catch (e) {
             switch (e.code) {
@@ -142,6 +180,89 @@ class User {
         }
     }
 
+
+    /**
+     * Revoke all tokens issued to user: JWTs (admin login cookies & API tokens) issued before now are
+     * no longer accepted (see tokenRevoked()), and refresh tokens are deleted.
+     *
+     * This is done when the user’s access changes (e.g. their role is changed, or a password reset
+     * is forced), so that tokens recording their previous access cannot continue to be used.
+     *
+     * @param  {number} id - User id.
+     * @throws Error
+     */
+    static async revokeTokens(id) {
+        debug('User.revokeTokens', id);
+
+        try {
+
+            await Db.transaction(async function() {
+                await Db.execute('Update User Set TokenGeneration = TokenGeneration + 1 Where UserId = :id', { id });
+                await RefreshToken.deleteForUser(id);
+            });
+
+        } catch (e) {
+            switch (e.code) {
+                default:
+                    Log.exception('User.revokeTokens', e);
+                    throw new ModelError(500, e.message); // Internal Server Error
+            }
+        }
+    }
+
+
+    /**
+     * Whether JWT has been revoked: either its user no longer exists, or the user’s tokens have
+     * been revoked since it was issued.
+     *
+     * @param   {Object}  payload - JWT payload { id, gen }.
+     * @returns {boolean} True if token is no longer to be accepted.
+     */
+    static async tokenRevoked(payload) {
+        const user = await User.get(payload.id);
+        return !user || user.TokenGeneration != (payload.gen || 0);
+    }
+
+
+    /**
+     * Verify second authentication factor for user who has enabled two-factor authentication: either
+     * a TOTP code from their authenticator app, or one of their (single-use) recovery codes.
+     *
+     * A TOTP code is rejected if it (or a later one) has already been used, so that an intercepted
+     * code cannot be replayed within its validity window.
+     *
+     * @param   {Object}  user - User details (including TotpSecret).
+     * @param   {string}  code - 6-digit TOTP code or recovery code.
+     * @returns {boolean} Whether code was valid.
+     * @throws  Error
+     */
+    static async verifySecondFactor(user, code) {
+        debug('User.verifySecondFactor', user.UserId);
+
+        if (!user.TotpSecret || !code) return false;
+
+        if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+            const step = Totp.verify(user.TotpSecret, code);
+            if (step == null) return false;
+            try {
+                // conditional update guards against concurrent use of the same code
+                const sql = `Update User
+                             Set TotpLastStep = :step
+                             Where UserId = :id And (TotpLastStep Is Null Or TotpLastStep < :step)`;
+                const [ result ] = await Db.execute(sql, { id: user.UserId, step });
+                return result.affectedRows == 1;
+            } catch (e) {
+                switch (e.code) {
+                    default:
+                        Log.exception('User.verifySecondFactor', e);
+                        throw new ModelError(500, e.message); // Internal Server Error
+                }
+            }
+        }
+
+        return await RecoveryCode.use(user.UserId, code);
+    }
+
 }
 
 
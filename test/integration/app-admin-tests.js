@@ -4,6 +4,8 @@
 /* These tests require admin.localhost to be set in /etc/hosts.                                   */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+import fs                 from 'fs';         // nodejs.org/api/fs.html
+import os                 from 'os';         // nodejs.org/api/os.html
 import supertest          from 'supertest';  // SuperAgent driven library for testing HTTP servers
 import { expect }         from 'chai';       // BDD/TDD assertion library
 import Scrypt             from 'scrypt-kdf'; // scrypt key derivation function
@@ -11,11 +13,27 @@ import jsdom from 'jsdom'; const JsDom = jsdom.JSDOM; // JavaScript implementati
 import dotenv             from 'dotenv';     // load environment variables from a .env file into process.env
 dotenv.config();
 
-import app  from '../../app.js';
-import User from '../../models/user.js';
+import app          from '../../app.js';
+import User         from '../../models/user.js';
+import ApiKey       from '../../models/api-key.js';
+import Invitation   from '../../models/invitation.js';
+import LoginFailure from '../../models/login-failure.js';
+import RefreshToken from '../../models/refresh-token.js';
+import Csv          from '../../lib/csv.js';
+import Db           from '../../lib/mysqldb.js';
+import Fixtures     from '../../lib/fixtures.js';
+import Migrate      from '../../lib/migrate.js';
+import Totp         from '../../lib/totp.js';
 
 const appAdmin = supertest.agent(app.listen()).host('admin.localhost');
 
+// superagent response parser for binary bodies (e.g. xlsx), giving body as Buffer
+function binary(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
 
 describe(`Admin app (${app.env})`, function() {
     this.timeout(5e3); // 5 sec
@@ -29,6 +47,8 @@ describe(`Admin app (${app.env})`, function() {
     before(async function() {
         if (!process.env.DB_MYSQL_CONNECTION) throw new Error('No DB_MYSQL_CONNECTION available');
         if (!process.env.DB_MONGO_CONNECTION) throw new Error('No DB_MONGO_CONNECTION available');
+        await Migrate.up(); // bring test database schema up to date
+        await Fixtures.load('sandbox'); // reset test database to known state
         testAdmin.userId = await User.insert({
             Firstname: 'Test',
             Lastname:  'User',
@@ -180,8 +200,8 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
             expect(document.querySelector('title').textContent.slice(0, 14)).to.equal('Koa Sample App');
-            // nav should be '/', 'members', 'teams', 'logout'
-            expect(document.querySelectorAll('nav ul li').length).to.equal(4);
+            // nav should be '/', 'members', 'teams', 'api keys', 'logout'
+            expect(document.querySelectorAll('nav ul li').length).to.equal(5);
         });
     });
 
@@ -226,6 +246,32 @@ describe(`Admin app (${app.env})`, function() {
             expect(document.getElementById(id).querySelector('a').textContent).to.equal('Test');
         });
 
+        it('finds test member by search', async function() {
+            const response = await appAdmin.get('/search?q='+encodeURIComponent(testMember));
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('table.members tr').id).to.equal(String(id));
+        });
+
+        it('exports filtered members list as CSV', async function() {
+            const response = await appAdmin.get('/members/export.csv?email='+encodeURIComponent(testMember));
+            expect(response.status).to.equal(200);
+            expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition']).to.equal('attachment; filename="members.csv"');
+            const rows = Csv.parse(response.text);
+            expect(rows).to.deep.equal([
+                [ 'MemberId', 'Firstname', 'Lastname', 'Email', 'Active', 'Teams' ],
+                [ String(id), 'Test', 'User', testMember, 'false', '' ],
+            ]);
+        });
+
+        it('exports members list as Excel workbook', async function() {
+            const response = await appAdmin.get('/members/export.xlsx').buffer(true).parse(binary);
+            expect(response.status).to.equal(200);
+            expect(response.headers['content-disposition']).to.equal('attachment; filename="members.xlsx"');
+            expect(response.body.slice(0, 4).toString('binary')).to.equal('PK\x03\x04'); // zip archive
+        });
+
         it('returns 404 for view member page with invalid id', async function() {
             const response = await appAdmin.get('/members/xxxx');
             expect(response.status).to.equal(404);
@@ -264,6 +310,23 @@ describe(`Admin app (${app.env})`, function() {
             expect(document.querySelector('input[name=Firstname]').value).to.equal('Test-bis');
         });
 
+        it('fails to save edit made to stale version - redirects back to same page', async function() {
+            const member = await appAdmin.get(`/members/${id}/edit`);
+            const version = new JsDom(member.text).window.document.querySelector('input[name=Version]').value;
+            const values = { Firstname: 'Test-ter', Lastname: 'User', Email: testMember, Version: version-1 };
+            const response = await appAdmin.post(`/members/${id}/edit`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/members/${id}/edit`);
+        });
+
+        it('fails to save edit made to stale version - reports conflict', async function() {
+            const response = await appAdmin.get(`/members/${id}/edit`);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.contain('Member has been changed by someone else');
+            expect(document.querySelector('input[name=Firstname]').value).to.equal('Test-bis'); // shows current details
+        });
+
         it('gets delete member page', async function() {
             const response = await appAdmin.get(`/members/${id}/delete`);
             expect(response.status).to.equal(200);
@@ -278,10 +341,139 @@ describe(`Admin app (${app.env})`, function() {
         });
     });
 
+    describe('members import', function() {
+        const importMember = `import-${Date.now().toString(36)}@example.net`;
+        const csv = [
+            'First name,Surname,E-mail',
+            `Import,One,${importMember}`,
+            'Import,Two,this is not a valid e-mail',
+            `Import,Three,${importMember}`,
+        ].join('\r\n');
+        let id = null;
+
+        it('gets import members page', async function() {
+            const response = await appAdmin.get('/members/import');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('input').name).to.equal('File'); // 1st input
+        });
+
+        it('previews uploaded CSV file', async function() {
+            const response = await appAdmin.post('/members/import').field('header', 'on').attach('File', Buffer.from(csv), 'members.csv');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('select[name=column-0]').value).to.equal('Firstname'); // mapped by heading
+            expect(document.querySelector('select[name=column-1]').value).to.equal('Lastname');
+            expect(document.querySelector('select[name=column-2]').value).to.equal('Email');
+            expect(document.querySelectorAll('table.preview tr.invalid').length).to.equal(2);
+            const errors = [ ...document.querySelectorAll('td.errors') ].map(td => td.textContent);
+            expect(errors).to.deep.equal([ '', '“Email” must be an email', 'Duplicate e-mail (line 2)' ]);
+        });
+
+        it('deletes uploaded CSV file once parsed', async function() {
+            const uploads = () => fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('upload_')).length;
+            const before = uploads();
+            const response = await appAdmin.post('/members/import').field('header', 'on').attach('File', Buffer.from(csv), 'members.csv');
+            expect(response.status).to.equal(200);
+            expect(uploads()).to.equal(before);
+        });
+
+        it('fails to preview without CSV file', async function() {
+            const response = await appAdmin.post('/members/import').field('header', 'on');
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/members/import');
+        });
+
+        it('imports valid members, reporting outcome for each row', async function() {
+            const response = await appAdmin.post('/members/import/confirm')
+                .field('csv', csv)
+                .field('header', 'on')
+                .field('column-0', 'Firstname')
+                .field('column-1', 'Lastname')
+                .field('column-2', 'Email');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const outcomes = [ ...document.querySelectorAll('table.report tr:not(:first-child)') ].map(tr => tr.className);
+            expect(outcomes).to.deep.equal([ 'imported', 'skipped', 'skipped' ]);
+            id = document.querySelector('tr.imported a').href.split('/').pop();
+        });
+
+        it('sees imported member', async function() {
+            const response = await appAdmin.get('/members/'+id);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('h1').textContent).to.equal('Import One');
+        });
+
+        it('previews re-import, flagging existing member', async function() {
+            const response = await appAdmin.post('/members/import').field('header', 'on').attach('File', Buffer.from(csv), 'members.csv');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('td.errors').textContent).to.equal(`E-mail already belongs to member ${id}`);
+        });
+
+        it('imports nothing with all-or-nothing option when some rows are invalid', async function() {
+            const response = await appAdmin.post('/members/import/confirm')
+                .field('csv', csv.replace(importMember, `other-${importMember}`))
+                .field('header', 'on')
+                .field('column-0', 'Firstname')
+                .field('column-1', 'Lastname')
+                .field('column-2', 'Email')
+                .field('atomic', 'on');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const outcomes = [ ...document.querySelectorAll('table.report tr:not(:first-child)') ].map(tr => tr.className);
+            expect(outcomes).to.deep.equal([ 'not imported', 'skipped', 'skipped' ]);
+        });
+
+        it('deletes imported member', async function() {
+            const response = await appAdmin.post(`/members/${id}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/members');
+        });
+    });
+
     describe('teams CRUD', function() {
         // TODO: mostly echoes members CRUD
     });
 
+    describe('api keys', function() {
+        let id = null;
+
+        it('creates api key, and shows it once', async function() {
+            const response = await appAdmin.post('/api-keys/add').send({ Label: 'test', Scope: 'read' });
+            expect(response.status).to.equal(200);
+            id = response.headers['x-insert-id'];
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('code.api-key').textContent).to.match(/^[0-9a-f]{12}\.[0-9a-f]{48}$/);
+        });
+
+        it('lists api keys including new key', async function() {
+            const response = await appAdmin.get('/api-keys');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.getElementById(id).querySelectorAll('td')[1].textContent).to.equal('test');
+        });
+
+        it('creates admin-scope api key (with api-keys:admin permission)', async function() {
+            const response = await appAdmin.post('/api-keys/add').send({ Label: 'test-admin', Scope: 'admin' });
+            expect(response.status).to.equal(200);
+            const adminKeyId = response.headers['x-insert-id'];
+            expect(adminKeyId).to.be.a('string');
+            const responseDel = await appAdmin.post(`/api-keys/${adminKeyId}/delete`);
+            expect(responseDel.status).to.equal(302);
+        });
+
+        it('revokes api key', async function() {
+            const response = await appAdmin.post(`/api-keys/${id}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/api-keys');
+            const responseList = await appAdmin.get('/api-keys');
+            const document = new JsDom(responseList.text).window.document;
+            expect(document.getElementById(id)).to.be.null;
+        });
+    });
+
     describe('ajax', function() {
         let id = null;
 
@@ -327,6 +519,375 @@ describe(`Admin app (${app.env})`, function() {
         });
     });
 
+    describe('users', function() {
+        const testUser = `user-${Date.now().toString(36)}-2@example.net`;
+        const testSu = `su-${Date.now().toString(36)}@example.net`;
+        let id = null;
+        let suId = null;
+
+        before(async function() {
+            suId = await User.insert({ Firstname: 'Test', Lastname: 'Su', Email: testSu, Role: 'su' });
+        });
+
+        it('sees users list page including test admin', async function() {
+            const response = await appAdmin.get('/users');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('h1').textContent).to.equal('Users');
+            expect(document.getElementById(testAdmin.userId).querySelectorAll('td')[1].textContent).to.equal(testAdmin.username);
+        });
+
+        it('fails to add user with bad role', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testUser, Role: 'emperor' };
+            const response = await appAdmin.post('/users/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users/add');
+        });
+
+        it('adds user', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testUser, Role: 'guest' };
+            const response = await appAdmin.post('/users/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users');
+            id = response.headers['x-insert-id'];
+            expect(Number(id)).to.be.above(0);
+        });
+
+        it('edits user role (revoking user’s tokens)', async function() {
+            const token = { id, gen: (await User.get(id)).TokenGeneration }; // as recorded in JWT
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testUser, Role: 'lead' };
+            const responsePost = await appAdmin.post(`/users/${id}/edit`).send(values);
+            expect(responsePost.status).to.equal(302);
+            expect(responsePost.headers.location).to.equal('/users');
+            expect(await User.tokenRevoked(token)).to.be.true;
+            const responseGet = await appAdmin.get(`/users/${id}/edit`);
+            expect(responseGet.status).to.equal(200);
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('select[name=Role]').value).to.equal('lead');
+        });
+
+        it('fails to add user with role above own', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testUser, Role: 'su' };
+            const response = await appAdmin.post('/users/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users/add');
+            expect(await User.getBy('Email', testUser)).to.have.lengthOf(0);
+        });
+
+        it('fails to give user role above own', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testUser, Role: 'su' };
+            const response = await appAdmin.post(`/users/${id}/edit`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${id}/edit`);
+            const user = await User.get(id);
+            expect(user.Role).to.equal('lead');
+        });
+
+        it('fails to see edit page of user who outranks self', async function() {
+            const response = await appAdmin.get(`/users/${suId}/edit`);
+            expect(response.status).to.equal(403);
+        });
+
+        it('fails to edit user who outranks self', async function() {
+            const values = { Firstname: 'Test', Lastname: 'Demoted', Email: testSu, Role: 'guest' };
+            const response = await appAdmin.post(`/users/${suId}/edit`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${suId}/edit`);
+            const user = await User.get(suId);
+            expect(user).to.include({ Lastname: 'Su', Role: 'su' });
+        });
+
+        it('fails to force password reset of user who outranks self', async function() {
+            const response = await appAdmin.post(`/users/${suId}/reset-password`);
+            expect(response.status).to.equal(302);
+            expect(response.headers['x-reset-token']).to.be.undefined;
+            const user = await User.get(suId);
+            expect(user.PasswordResetRequest).to.be.null;
+        });
+
+        it('fails to delete user who outranks self', async function() {
+            const response = await appAdmin.post(`/users/${suId}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${suId}/delete`);
+            expect(await User.get(suId)).to.be.an('object');
+        });
+
+        it('fails to change own role', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testAdmin.username, Role: 'guest' };
+            const response = await appAdmin.post(`/users/${testAdmin.userId}/edit`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${testAdmin.userId}/edit`);
+            const user = await User.get(testAdmin.userId);
+            expect(user.Role).to.equal('admin');
+        });
+
+        it('forces password reset', async function() {
+            const token = { id, gen: (await User.get(id)).TokenGeneration }; // as recorded in JWT
+            const refreshToken = await RefreshToken.insert(id);
+            await ApiKey.insert({ UserId: id, Label: 'test', Scope: 'read' });
+            const response = await appAdmin.post(`/users/${id}/reset-password`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${id}/edit`);
+            const user = await User.get(id);
+            expect(user.Password).to.be.null;
+            expect(user.PasswordResetRequest).to.equal(response.headers['x-reset-token']);
+            expect(await User.tokenRevoked(token)).to.be.true;                   // logins revoked
+            expect(await RefreshToken.getByToken(refreshToken)).to.be.undefined; // API sessions revoked
+            expect(await ApiKey.getBy('UserId', id)).to.have.lengthOf(0);        // API keys revoked
+            const responseReset = await appAdmin.get(`/password/reset/${user.PasswordResetRequest}`);
+            expect(responseReset.status).to.equal(200);
+            const document = new JsDom(responseReset.text).window.document;
+            expect(document.querySelector('input[name=password]')).to.not.be.null;
+        });
+
+        it('fails to delete self', async function() {
+            const response = await appAdmin.post(`/users/${testAdmin.userId}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/users/${testAdmin.userId}/delete`);
+            expect(await User.get(testAdmin.userId)).to.be.an('object');
+        });
+
+        it('deletes user', async function() {
+            const responseGet = await appAdmin.get(`/users/${id}/delete`);
+            expect(responseGet.status).to.equal(200);
+            const responsePost = await appAdmin.post(`/users/${id}/delete`);
+            expect(responsePost.status).to.equal(302);
+            expect(responsePost.headers.location).to.equal('/users');
+            expect(await User.get(id)).to.be.undefined;
+        });
+
+        after(async function() {
+            await User.delete(suId);
+        });
+    });
+
+    describe('invitations', function() {
+        const testInvitee = `invitee-${Date.now().toString(36)}@example.net`;
+        let token = null;
+        let userId = null;
+
+        it('fails to invite existing user', async function() {
+            const response = await appAdmin.post('/users/invite').send({ Email: testAdmin.username, Role: 'guest' });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users/invite');
+        });
+
+        it('fails to invite user with role above own', async function() {
+            const response = await appAdmin.post('/users/invite').send({ Email: testInvitee, Role: 'su' });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users/invite');
+            expect(response.headers['x-invitation-token']).to.be.undefined;
+        });
+
+        it('invites user', async function() {
+            const response = await appAdmin.post('/users/invite').send({ Email: testInvitee, Role: 'lead' });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users');
+            token = response.headers['x-invitation-token'];
+            expect(token).to.be.a('string');
+        });
+
+        it('fails to revoke invitation for role above own', async function() {
+            const invitation = await Invitation.insert({ Email: `su-${testInvitee}`, Role: 'su', InvitedBy: testAdmin.userId });
+            const response = await appAdmin.post(`/users/invitations/${invitation.id}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users');
+            expect(await Invitation.get(invitation.id)).to.not.be.undefined;
+            await Invitation.delete(invitation.id);
+        });
+
+        it('revokes invitation', async function() {
+            const invitation = await Invitation.insert({ Email: `revoked-${testInvitee}`, Role: 'guest', InvitedBy: testAdmin.userId });
+            const response = await appAdmin.post(`/users/invitations/${invitation.id}/delete`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users');
+            expect(await Invitation.get(invitation.id)).to.be.undefined;
+        });
+
+        it('sees pending invitation in users list', async function() {
+            const response = await appAdmin.get('/users');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const invitees = Array.from(document.querySelectorAll('table.invitations tr td:first-child')).map(td => td.textContent);
+            expect(invitees).to.include(testInvitee);
+        });
+
+        it('does not see expired invitation in users list', async function() {
+            const expired = await Invitation.insert({ Email: `expired-${testInvitee}`, Role: 'guest', InvitedBy: testAdmin.userId });
+            await Db.query('Update Invitation Set InvitedOn = utc_timestamp() - Interval 8 Day Where InvitationId = ?', [ expired.id ]);
+            const response = await appAdmin.get('/users');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const invitees = Array.from(document.querySelectorAll('table.invitations tr td:first-child')).map(td => td.textContent);
+            expect(invitees).to.include(testInvitee);
+            expect(invitees).to.not.include(`expired-${testInvitee}`);
+            await Invitation.delete(expired.id);
+        });
+
+        it('sees accept invitation page', async function() {
+            const response = await appAdmin.get(`/invitation/${token}`);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('#Email').value).to.equal(testInvitee);
+            expect(document.querySelector('input[name=password]')).to.not.be.null;
+        });
+
+        it('fails to accept invitation with mismatched passwords', async function() {
+            const values = { Firstname: 'Test', Lastname: 'Invitee', password: 'abc-123-xyz', passwordConfirm: 'xyz-123-abc', pwnedNotified: 'yes' };
+            const response = await appAdmin.post(`/invitation/${token}`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/invitation/${token}`);
+            const [ user ] = await User.getBy('Email', testInvitee);
+            expect(user).to.be.undefined;
+        });
+
+        it('accepts invitation', async function() {
+            const values = { Firstname: 'Test', Lastname: 'Invitee', password: 'abc-123-xyz', passwordConfirm: 'abc-123-xyz', pwnedNotified: 'yes' };
+            const response = await appAdmin.post(`/invitation/${token}`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/invitation/accepted');
+            const [ user ] = await User.getBy('Email', testInvitee);
+            expect(user).to.include({ Firstname: 'Test', Lastname: 'Invitee', Role: 'lead' });
+            userId = user.UserId;
+        });
+
+        it('fails to reuse invitation', async function() {
+            const response = await appAdmin.get(`/invitation/${token}`);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('input[name=password]')).to.be.null;
+            expect(document.querySelector('main p').textContent).to.equal('This invitation link is either invalid, expired, or previously used.');
+        });
+
+        after(async function() {
+            if (userId) await User.delete(userId);
+        });
+    });
+
+    describe('lockouts', function() {
+        const testUnknown = `unknown-${Date.now().toString(36)}@example.net`;
+
+        it('records failed login', async function() {
+            const values = { username: testUnknown, password: 'bad-password' };
+            const response = await appAdmin.post('/login').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/login');
+            const failure = await LoginFailure.get('account', testUnknown);
+            expect(failure.Failures).to.equal(1);
+        });
+
+        it('ignores client-supplied X-Forwarded-For entries when recording failed login', async function() {
+            // (the final entry is as appended by a trusted proxy, if PROXY_HOPS is set)
+            const values = { username: testUnknown, password: 'bad-password' };
+            const response = await appAdmin.post('/login').set('X-Forwarded-For', '198.51.100.1, 203.0.113.1').send(values);
+            expect(response.status).to.equal(302);
+            expect(await LoginFailure.get('ip', '198.51.100.1')).to.be.undefined;
+        });
+
+        it('sees locked account on lockouts page', async function() {
+            await LoginFailure.lock('account', testUnknown, 15);
+            const response = await appAdmin.get('/users/lockouts');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const accounts = Array.from(document.querySelectorAll('table.lockouts-accounts tr td:first-child')).map(td => td.textContent);
+            expect(accounts).to.include(testUnknown);
+        });
+
+        it('clears lockout', async function() {
+            const response = await appAdmin.post('/users/lockouts/clear').send({ Scope: 'account', Identifier: testUnknown });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/users/lockouts');
+            expect(await LoginFailure.get('account', testUnknown)).to.be.undefined;
+        });
+    });
+
+    describe('two-factor authentication', function() {
+        let secret = null;
+        let recoveryCodes = null;
+
+        it('sees two-factor setup page with new secret', async function() {
+            const response = await appAdmin.get('/two-factor/setup');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            secret = document.querySelector('#secret').textContent;
+            expect(secret).to.match(/^[A-Z2-7]{32}$/);
+            expect(document.querySelector('.qr-code svg')).to.not.be.null;
+        });
+
+        it('fails to enable two-factor with bad code', async function() {
+            const code = String((Number(Totp.code(secret)) + 500000) % 1000000).padStart(6, '0'); // (not current code!)
+            const response = await appAdmin.post('/two-factor/setup').send({ secret, code });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/two-factor/setup');
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpSecret).to.be.null;
+        });
+
+        it('enables two-factor', async function() {
+            const token = { id: testAdmin.userId, gen: (await User.get(testAdmin.userId)).TokenGeneration };
+            const refreshToken = await RefreshToken.insert(testAdmin.userId);
+            const response = await appAdmin.post('/two-factor/setup').send({ secret, code: Totp.code(secret) });
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            recoveryCodes = Array.from(document.querySelectorAll('.recovery-codes code')).map(code => code.textContent);
+            expect(recoveryCodes.length).to.equal(10);
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpSecret).to.equal(secret);
+            expect(await User.tokenRevoked(token)).to.be.true;                   // issued without second factor
+            expect(await RefreshToken.getByToken(refreshToken)).to.be.undefined; // ditto
+        });
+
+        it('requires code after password on login', async function() {
+            await appAdmin.get('/logout');
+            const values = { username: testAdmin.username, password: testAdmin.password };
+            const response = await appAdmin.post('/login/members').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/two-factor');
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(302); // not yet logged in
+            const responseCode = await appAdmin.get('/two-factor');
+            expect(responseCode.status).to.equal(200);
+            const document = new JsDom(responseCode.text).window.document;
+            expect(document.querySelector('input').name).to.equal('code');
+        });
+
+        it('fails login with bad code', async function() {
+            const response = await appAdmin.post('/two-factor').send({ code: 'not-a-code' });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/two-factor');
+        });
+
+        it('logs in with recovery code', async function() {
+            const response = await appAdmin.post('/two-factor').send({ code: recoveryCodes[0] });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/members');
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(200);
+        });
+
+        it('fails to reuse recovery code', async function() {
+            const response = await appAdmin.post('/two-factor/disable').send({ code: recoveryCodes[0] });
+            expect(response.status).to.equal(302);
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpSecret).to.equal(secret);
+        });
+
+        it('sees remaining recovery codes', async function() {
+            const response = await appAdmin.get('/two-factor/setup');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('#remaining').textContent).to.equal('9');
+        });
+
+        it('disables two-factor', async function() {
+            const response = await appAdmin.post('/two-factor/disable').send({ code: recoveryCodes[1] });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/two-factor/setup');
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpSecret).to.be.null;
+        });
+    });
+
     describe('dev', function() {
         it('sees dev/log pages', async function() {
             const responseAccess = await appAdmin.get('/dev/log-access');
@@ -340,6 +901,14 @@ describe(`Admin app (${app.env})`, function() {
             expect(responseIp.body.domain).to.equal('dns.google');
         });
 
+        it('sees dev/queries page', async function() {
+            const response = await appAdmin.get('/dev/queries?sort=count');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('h1').textContent).to.equal('Database Queries');
+            expect(document.querySelectorAll('table.queries tr').length).to.be.above(1); // header + queries run by tests
+        });
+
         it('sees dev/nodeinfo page', async function() {
             const response = await appAdmin.get('/dev/nodeinfo');
             expect(response.status).to.equal(200);
@@ -11,11 +11,30 @@ import yaml       from 'js-yaml';    // JS object to YAML
 import dotenv     from 'dotenv';     // load environment variables from a .env file into process.env
 dotenv.config();
 
-import app  from '../../app.js';
-import User from '../../models/user.js';
+import app          from '../../app.js';
+import User         from '../../models/user.js';
+import ApiKey       from '../../models/api-key.js';
+import Team         from '../../models/team.js';
+import TeamManager  from '../../models/team-manager.js';
+import TeamMember   from '../../models/team-member.js';
+import LoginFailure from '../../models/login-failure.js';
+import Member       from '../../models/member.js';
+import Csv          from '../../lib/csv.js';
+import Db           from '../../lib/mysqldb.js';
+import Fixtures     from '../../lib/fixtures.js';
+import Migrate      from '../../lib/migrate.js';
+import RateLimit    from '../../lib/rate-limit.js';
+import Totp         from '../../lib/totp.js';
 
 const appApi = supertest.agent(app.listen()).host('api.localhost');
 
+// superagent response parser for binary bodies (e.g. xlsx), giving body as Buffer
+function binary(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
 
 describe(`API app (${app.env})`, function() {
     const testAdmin = {
@@ -25,9 +44,12 @@ describe(`API app (${app.env})`, function() {
     const testMember = `member-${Date.now().toString(36)}@example.net`;
 
     let jwt = null;
+    let refreshToken = null;
 
     before(async function() {
         if (!process.env.DB_MYSQL_CONNECTION) throw new Error('No DB_MYSQL_CONNECTION available');
+        await Migrate.up(); // bring test database schema up to date
+        await Fixtures.load('sandbox'); // reset test database to known state
         testAdmin.userId = await User.insert({
             Firstname: 'Test',
             Lastname:  'User',
@@ -59,8 +81,348 @@ describe(`API app (${app.env})`, function() {
             const response = await appApi.get('/auth').query({ username: testAdmin.username, password: testAdmin.password });
             expect(response.status).to.equal(200, response.text);
             expect(response.body).to.be.an('object');
-            expect(response.body).to.contain.keys('jwt');
+            expect(response.body).to.contain.keys('jwt', 'refreshToken');
+            expect(response.headers['cache-control']).to.equal('no-store');
+            expect(response.headers.etag).to.be.undefined;
             jwt = response.body.jwt;
+            refreshToken = response.body.refreshToken;
+        });
+
+        it('returns auth details (post)', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken');
+        });
+
+        it('returns auth details (basic auth)', async function() {
+            const response = await appApi.post('/auth').auth(testAdmin.username, testAdmin.password);
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken');
+        });
+
+        it('returns 404 on bad password (post)', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: 'bad-password' });
+            expect(response.status).to.equal(404, response.text);
+        });
+
+        it('returns 401 on missing credentials (post)', async function() {
+            const response = await appApi.post('/auth');
+            expect(response.status).to.equal(401, response.text);
+            expect(response.headers['www-authenticate']).to.equal('Basic');
+        });
+
+        it('returns 401 on bad refresh token', async function() {
+            const response = await appApi.post('/auth/refresh').send({ refreshToken: 'bad-token' });
+            expect(response.status).to.equal(401, response.text);
+        });
+
+        it('refreshes auth details', async function() {
+            const response = await appApi.post('/auth/refresh').send({ refreshToken });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken');
+            expect(response.body.refreshToken).not.to.equal(refreshToken);
+            const responseReuse = await appApi.post('/auth/refresh').send({ refreshToken }); // refresh tokens are single-use
+            expect(responseReuse.status).to.equal(401, responseReuse.text);
+            refreshToken = response.body.refreshToken;
+        });
+
+        it('revokes auth token', async function() {
+            const response = await appApi.post('/auth/refresh').send({ refreshToken });
+            const revokeJwt = response.body.jwt;
+            const responseOk = await appApi.get('/members').auth(revokeJwt, { type: 'bearer' });
+            expect(responseOk.status).to.equal(200, responseOk.text);
+            const responseDel = await appApi.delete('/auth').auth(revokeJwt, { type: 'bearer' }).send({ refreshToken: response.body.refreshToken });
+            expect(responseDel.status).to.equal(204, responseDel.text);
+            const responseRevoked = await appApi.get('/members').auth(revokeJwt, { type: 'bearer' });
+            expect(responseRevoked.status).to.equal(401, responseRevoked.text);
+            const responseRefresh = await appApi.post('/auth/refresh').send({ refreshToken: response.body.refreshToken });
+            expect(responseRefresh.status).to.equal(401, responseRefresh.text);
+        });
+
+        it('rejects tokens once user’s tokens are revoked, or user is deleted', async function() {
+            const username = `revoked-${testAdmin.username}`;
+            const password = (await Scrypt.kdf(testAdmin.password, { logN: 15 })).toString('base64');
+            const userId = await User.insert({ Firstname: 'Test', Lastname: 'Revoked', Email: username, Password: password, Role: 'admin' });
+            const response = await appApi.post('/auth').send({ username, password: testAdmin.password });
+            expect((await appApi.get('/members').auth(response.body.jwt, { type: 'bearer' })).status).to.equal(200);
+            await User.revokeTokens(userId); // as on change of role
+            expect((await appApi.get('/members').auth(response.body.jwt, { type: 'bearer' })).status).to.equal(401);
+            expect((await appApi.post('/auth/refresh').send({ refreshToken: response.body.refreshToken })).status).to.equal(401);
+            const responseNew = await appApi.post('/auth').send({ username, password: testAdmin.password });
+            expect((await appApi.get('/members').auth(responseNew.body.jwt, { type: 'bearer' })).status).to.equal(200);
+            await User.delete(userId);
+            expect((await appApi.get('/members').auth(responseNew.body.jwt, { type: 'bearer' })).status).to.equal(401);
+        });
+    });
+
+    describe('/auth with two-factor authentication', function() {
+        const secret = Totp.generateSecret();
+
+        before(async function() {
+            await User.update(testAdmin.userId, { TotpSecret: secret });
+        });
+
+        it('returns 401 on missing code', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(401, response.text);
+            expect(response.body.message).to.equal('Two-factor authentication code required');
+        });
+
+        it('returns 404 on bad password (before checking code)', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: 'bad-password' });
+            expect(response.status).to.equal(404, response.text);
+        });
+
+        it('returns 401 on bad code', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password, code: 'bad-code' });
+            expect(response.status).to.equal(401, response.text);
+            expect(response.body.message).to.equal('Two-factor authentication code not recognised');
+        });
+
+        it('returns auth details with code', async function() {
+            const code = Totp.code(secret);
+            const response = await appApi.post('/auth').auth(testAdmin.username, testAdmin.password).send({ code });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken');
+            const responseReplay = await appApi.post('/auth').auth(testAdmin.username, testAdmin.password).send({ code });
+            expect(responseReplay.status).to.equal(401, responseReplay.text); // codes cannot be reused
+        });
+
+        after(async function() {
+            await User.update(testAdmin.userId, { TotpSecret: null, TotpLastStep: null });
+        });
+    });
+
+    describe('/auth throttling', function() {
+        const testUnknown = `unknown-${Date.now().toString(36)}@example.net`;
+
+        it('records failed attempts', async function() {
+            const response = await appApi.post('/auth').send({ username: testUnknown, password: 'bad-password' });
+            expect(response.status).to.equal(404, response.text);
+            const failure = await LoginFailure.get('account', testUnknown);
+            expect(failure.Failures).to.equal(1);
+        });
+
+        it('returns 429 with retry-after after repeated failures', async function() {
+            for (let i=0; i<4; i++) await LoginFailure.record('account', testUnknown, 15); // 5 failures: 4 sec delay
+            const response = await appApi.post('/auth').send({ username: testUnknown, password: 'bad-password' });
+            expect(response.status).to.equal(429, response.text);
+            expect(Number(response.headers['retry-after'])).to.be.within(3, 4);
+            expect(response.body.message).to.match(/^Too many failed login attempts: please wait/);
+        });
+
+        it('counts concurrent attempts before verifying password', async function() {
+            const testConcurrent = `concurrent-${testUnknown}`;
+            const values = { username: testConcurrent, password: 'bad-password' };
+            const responses = await Promise.all([ 1, 2, 3, 4, 5 ].map(() => appApi.post('/auth').send(values)));
+            const failed = responses.filter(response => response.status == 404).length;
+            expect(failed).to.be.within(1, 3); // no more than would be allowed without any delay
+            expect(responses.filter(response => response.status == 429).length).to.equal(5 - failed);
+            const failure = await LoginFailure.get('account', testConcurrent);
+            expect(failure.Failures).to.equal(failed);
+            await LoginFailure.delete('account', testConcurrent);
+        });
+
+        it('returns 429 for locked account (even with correct password)', async function() {
+            await LoginFailure.record('account', testAdmin.username, 15);
+            await LoginFailure.lock('account', testAdmin.username, 15);
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(429, response.text);
+            expect(response.body.message).to.equal('Too many failed login attempts: login is locked for 15 minutes');
+            await LoginFailure.delete('account', testAdmin.username);
+        });
+
+        it('forgets failures on successful login', async function() {
+            await LoginFailure.record('account', testAdmin.username, 15);
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(200, response.text);
+            expect(await LoginFailure.get('account', testAdmin.username)).to.be.undefined;
+        });
+
+        after(async function() {
+            await LoginFailure.delete('account', testUnknown);
+        });
+    });
+
+    describe('rate limiting', function() {
+        it('sets RateLimit headers on /auth (by IP address)', async function() {
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.headers['ratelimit-limit']).to.equal(String(RateLimit.ipLimit));
+            expect(Number(response.headers['ratelimit-remaining'])).to.be.below(RateLimit.ipLimit);
+            expect(response.headers).to.have.property('ratelimit-reset');
+        });
+
+        it('ignores client-supplied X-Forwarded-For entries when limiting by IP address', async function() {
+            // (the final entry is as appended by a trusted proxy, if PROXY_HOPS is set)
+            const response1 = await appApi.post('/auth/refresh').set('X-Forwarded-For', '198.51.100.1, 203.0.113.1').send({ refreshToken: 'bad-token' });
+            const response2 = await appApi.post('/auth/refresh').set('X-Forwarded-For', '198.51.100.2, 203.0.113.1').send({ refreshToken: 'bad-token' });
+            expect(response1.status).to.equal(401, response1.text);
+            expect(Number(response2.headers['ratelimit-remaining'])).to.equal(Number(response1.headers['ratelimit-remaining']) - 1);
+        });
+
+        it('sets RateLimit headers on authenticated requests (by user)', async function() {
+            const response = await appApi.get('/members').auth(jwt, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.headers['ratelimit-limit']).to.equal(String(RateLimit.userLimit));
+            expect(Number(response.headers['ratelimit-remaining'])).to.be.below(RateLimit.userLimit);
+        });
+
+        it('sets RateLimit headers on error responses', async function() {
+            const response = await appApi.get('/members/999999').auth(jwt, { type: 'bearer' });
+            expect(response.status).to.equal(404, response.text);
+            expect(response.headers['ratelimit-limit']).to.equal(String(RateLimit.userLimit));
+        });
+    });
+
+    describe('API keys', function() {
+        it('returns 401 on invalid api key', async function() {
+            const response = await appApi.get('/members').set('Authorization', 'ApiKey 000000000000.bad-secret');
+            expect(response.status).to.equal(401, response.text);
+        });
+
+        it('gives guest access with read-scope api key', async function() {
+            const { id, key } = await ApiKey.insert({ UserId: testAdmin.userId, Label: 'test', Scope: 'read' });
+            const response = await appApi.get('/members').set('Authorization', `ApiKey ${key}`);
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.be.an('array');
+            const responsePost = await appApi.post('/members').set('Authorization', `ApiKey ${key}`).send({ Firstname: 'x' });
+            expect(responsePost.status).to.equal(403, responsePost.text);
+            expect((await ApiKey.get(id)).LastUsedOn).to.not.be.null;
+            await ApiKey.delete(id);
+        });
+
+        it('updates api key last used no more than every 5 minutes', async function() {
+            const { id, key } = await ApiKey.insert({ UserId: testAdmin.userId, Label: 'test', Scope: 'read' });
+            await Db.query('Update ApiKey Set LastUsedOn = utc_timestamp() - Interval 1 Minute Where ApiKeyId = ?', [ id ]);
+            const recent = (await ApiKey.get(id)).LastUsedOn;
+            const response = await appApi.get('/members').set('Authorization', `ApiKey ${key}`);
+            expect(response.status).to.equal(200, response.text);
+            expect((await ApiKey.get(id)).LastUsedOn).to.equal(recent);
+            await Db.query('Update ApiKey Set LastUsedOn = utc_timestamp() - Interval 10 Minute Where ApiKeyId = ?', [ id ]);
+            const stale = (await ApiKey.get(id)).LastUsedOn;
+            const responseStale = await appApi.get('/members').set('Authorization', `ApiKey ${key}`);
+            expect(responseStale.status).to.equal(200, responseStale.text);
+            expect((await ApiKey.get(id)).LastUsedOn > stale).to.be.true;
+            await ApiKey.delete(id);
+        });
+
+        it('returns 401 on revoked api key', async function() {
+            const { id, key } = await ApiKey.insert({ UserId: testAdmin.userId, Label: 'test', Scope: 'admin' });
+            const responseOk = await appApi.get('/members').set('Authorization', `ApiKey ${key}`);
+            expect(responseOk.status).to.equal(200, responseOk.text);
+            await ApiKey.delete(id);
+            const responseRevoked = await appApi.get('/members').set('Authorization', `ApiKey ${key}`);
+            expect(responseRevoked.status).to.equal(401, responseRevoked.text);
+        });
+    });
+
+    describe('permissions', function() {
+        const testLead = {
+            username: `lead-${Date.now().toString(36)}@example.net`,
+            password: Date.now().toString(16),
+        };
+        let leadJwt = null, ownTeamId = null, otherTeamId = null, ownMemberId = null, otherMemberId = null;
+        const teamMemberIds = [];
+
+        before(async function() {
+            testLead.userId = await User.insert({
+                Firstname: 'Test',
+                Lastname:  'Lead',
+                Email:     testLead.username,
+                Password:  (await Scrypt.kdf(testLead.password, { logN: 15 })).toString('base64'),
+                Role:      'lead',
+            });
+            ownTeamId = await Team.insert({ Name: 'Test own team' });
+            otherTeamId = await Team.insert({ Name: 'Test other team' });
+            await TeamManager.insert({ UserId: testLead.userId, TeamId: ownTeamId });
+            ownMemberId = await Member.insert({ Firstname: 'Own', Lastname: 'Member', Email: `own-${testMember}` });
+            otherMemberId = await Member.insert({ Firstname: 'Other', Lastname: 'Member', Email: `other-${testMember}` });
+            teamMemberIds.push(await TeamMember.insert({ TeamId: ownTeamId, MemberId: ownMemberId, JoinedOn: new Date() }));
+            teamMemberIds.push(await TeamMember.insert({ TeamId: otherTeamId, MemberId: otherMemberId, JoinedOn: new Date() }));
+            const response = await appApi.post('/auth').send({ username: testLead.username, password: testLead.password });
+            leadJwt = response.body.jwt;
+        });
+
+        after(async function() {
+            for (const id of teamMemberIds) await TeamMember.delete(id);
+            await Member.delete(ownMemberId);
+            await Member.delete(otherMemberId);
+            await User.delete(testLead.userId); // (team manager record cascades)
+            await Team.delete(ownTeamId);
+            await Team.delete(otherTeamId);
+        });
+
+        it('lets team lead read members', async function() {
+            const response = await appApi.get('/members').auth(leadJwt, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+        });
+
+        it('forbids team lead adding member in batch', async function() {
+            const operations = [ { method: 'POST', values: { Firstname: 'x' } }, { method: 'PATCH', id: ownMemberId, values: { Firstname: 'Own' } } ];
+            const response = await appApi.post('/members/batch').auth(leadJwt, { type: 'bearer' }).send({ operations });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.results.map(r => r.status)).to.deep.equal([ 403, 200 ]);
+        });
+
+        it('forbids team lead adding member', async function() {
+            const response = await appApi.post('/members').auth(leadJwt, { type: 'bearer' }).send({ Firstname: 'x' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.message).to.equal('Permission members:write required');
+        });
+
+        it('lets team lead update own team', async function() {
+            const response = await appApi.patch('/teams/'+ownTeamId).auth(leadJwt, { type: 'bearer' }).send({ Name: 'Test own team (renamed)' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.Name).to.equal('Test own team (renamed)');
+        });
+
+        it('forbids team lead updating other team', async function() {
+            const response = await appApi.patch('/teams/'+otherTeamId).auth(leadJwt, { type: 'bearer' }).send({ Name: 'xxx' });
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('forbids team lead deleting own team', async function() {
+            const response = await appApi.delete('/teams/'+ownTeamId).auth(leadJwt, { type: 'bearer' });
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('lets team lead update member of own team', async function() {
+            const response = await appApi.patch('/members/'+ownMemberId).auth(leadJwt, { type: 'bearer' }).send({ Firstname: 'Owned' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.Firstname).to.equal('Owned');
+        });
+
+        it('forbids team lead updating member of other team', async function() {
+            const response = await appApi.patch('/members/'+otherMemberId).auth(leadJwt, { type: 'bearer' }).send({ Firstname: 'xxx' });
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('lets team lead add member to own team', async function() {
+            const values = { TeamId: ownTeamId, MemberId: otherMemberId, JoinedOn: '2020-01-01' };
+            const response = await appApi.post('/team-members').auth(leadJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(201, response.text);
+            teamMemberIds.push(response.body.TeamMemberId);
+        });
+
+        it('forbids team lead adding member of own team to other team', async function() {
+            const values = { TeamId: otherTeamId, MemberId: ownMemberId, JoinedOn: '2020-01-01' };
+            const response = await appApi.post('/team-members').auth(leadJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('forbids team lead removing member of own team from other team', async function() {
+            const id = await TeamMember.insert({ TeamId: otherTeamId, MemberId: ownMemberId, JoinedOn: new Date() });
+            teamMemberIds.push(id);
+            const response = await appApi.delete('/team-members/'+id).auth(leadJwt, { type: 'bearer' });
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('forbids team lead removing member of own team from other team in batch', async function() {
+            const operations = [ { method: 'DELETE', id: teamMemberIds[teamMemberIds.length-1] } ];
+            const response = await appApi.post('/team-members/batch').auth(leadJwt, { type: 'bearer' }).send({ operations });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.results.map(r => r.status)).to.deep.equal([ 403 ]);
         });
     });
 
@@ -96,6 +458,7 @@ describe(`API app (${app.env})`, function() {
 
         describe('CRUD', function() {
             let id = null;
+            let etag = null;
             it('adds a member', async function() {
                 const values = { Firstname: 'Test', Lastname: 'User', Email: testMember, Active: 'true' };
                 const response = await appApi.post('/members').auth(jwt, { type: 'bearer' }).send(values);
@@ -145,6 +508,45 @@ describe(`API app (${app.env})`, function() {
                 expect(body.Active).not.to.equal(1); // note Active is stored as bit(1)
             });
 
+            it('gets a member (csv)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'text/csv' }; // set host & accept headers
+                const response = await appApi.get('/members/'+id).set(hdrs).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+                const [ headings, row ] = Csv.parse(response.text);
+                expect(headings).to.include.members([ 'MemberId', 'Firstname', 'Lastname', 'Email', 'Active', 'Teams' ]);
+                expect(row[headings.indexOf('Email')]).to.equal(testMember);
+                expect(row[headings.indexOf('Active')]).to.equal('true');
+            });
+
+            it('gets a member (xlsx)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+                const response = await appApi.get('/members/'+id).set(hdrs).auth(jwt, { type: 'bearer' }).buffer(true).parse(binary);
+                expect(response.status).to.equal(200);
+                expect(response.headers['content-type']).to.equal('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                expect(response.body.slice(0, 4).toString('binary')).to.equal('PK\x03\x04'); // zip archive
+            });
+
+            it('lists members (csv)', async function() {
+                const response = await appApi.get('/members?fields=Email').auth(jwt, { type: 'bearer' }).set('Accept', 'text/csv');
+                expect(response.status).to.equal(200, response.text);
+                const [ headings, ...rows ] = Csv.parse(response.text);
+                expect(headings).to.deep.equal([ '_id', '_uri', 'Email' ]);
+                expect(rows.map(row => row[2])).to.include(testMember);
+            });
+
+            it('finds member by search', async function() {
+                const response = await appApi.get('/search?q='+encodeURIComponent(testMember)).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.all.keys('Members', 'Teams');
+                expect(response.body.Members[0]).to.include({ _id: id, _uri: '/members/'+id, Email: testMember }); // exact e-mail ranked first
+            });
+
+            it('fails to search without search text', async function() {
+                const response = await appApi.get('/search?q=').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+
             it('gets a member (filtered)', async function() {
                 const response = await appApi.get('/members?firstname=lewis').auth(jwt, { type: 'bearer' });
                 expect(response.status).to.equal(200, response.text);
@@ -152,21 +554,117 @@ describe(`API app (${app.env})`, function() {
                 expect(response.body).to.have.length(1);
             });
 
+            it('gets a page of members', async function() {
+                const response = await appApi.get('/members?limit=2&offset=1&sort=-Lastname,Firstname&fields=Firstname,Email').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body).to.have.length(2);
+                expect(response.body[0]).to.have.all.keys('_id', '_uri', 'Firstname', 'Email');
+                expect(Number(response.headers['x-total-count'])).to.be.above(2);
+                expect(response.headers.link).to.contain('rel="first"');
+                expect(response.headers.link).to.contain('rel="prev"');
+                expect(response.headers.link).to.contain('rel="last"');
+            });
+
+            it('gets members with repeated sort & fields arguments', async function() {
+                const response = await appApi.get('/members?sort=-Lastname&sort=Firstname&fields=Firstname&fields=Email').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body[0]).to.have.all.keys('_id', '_uri', 'Firstname', 'Email');
+            });
+
+            it('gets a member (filter operators)', async function() {
+                const response = await appApi.get('/members?lastname[like]=ham%&active[ne]=false').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body).to.have.length(1);
+            });
+
+            it('fails to filter on unrecognised operator', async function() {
+                const response = await appApi.get('/members?lastname[regexp]=ham').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(403, response.text);
+            });
+
+            it('fails to sort on unrecognised field', async function() {
+                const response = await appApi.get('/members?sort=nosuchfield').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(403, response.text);
+            });
+
+            it('fails on invalid limit', async function() {
+                const response = await appApi.get('/members?limit=0').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+
             it('handles empty members list', async function() {
                 const response = await appApi.get('/members?firstname=nomatch').auth(jwt, { type: 'bearer' });
                 expect(response.status).to.equal(204, response.text);
                 expect(response.body).to.be.empty;
             });
 
+            it('gets member ETag', async function() {
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers.etag).to.match(new RegExp(`^"${response.body.Version}-`)); // version qualified by content hash
+                expect(response.headers['last-modified']).to.be.a('string');
+                expect(response.headers['cache-control']).to.equal('private, no-cache');
+                etag = response.headers.etag;
+            });
+
+            it('gets 304 Not Modified for unchanged member (If-None-Match)', async function() {
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-None-Match', etag);
+                expect(response.status).to.equal(304, response.text);
+                expect(response.text).to.be.empty;
+            });
+
+            it('gets 304 Not Modified for unchanged member (If-Modified-Since)', async function() {
+                const member = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Modified-Since', member.headers['last-modified']);
+                expect(response.status).to.equal(304, response.text);
+            });
+
+            it('gets member with different ETag for different response type', async function() {
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('Accept', 'application/xml').set('If-None-Match', etag);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers.etag).not.to.equal(etag);
+                expect(response.headers.vary).to.contain('Accept');
+            });
+
+            it('gets cacheable members list', async function() {
+                const response = await appApi.get('/members').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['cache-control']).to.equal('private, max-age=10');
+                const again = await appApi.get('/members').auth(jwt, { type: 'bearer' }).set('If-None-Match', response.headers.etag);
+                expect(again.status).to.equal(304, again.text);
+            });
+
             it('updates a member', async function() {
                 const values = { Firstname: 'Updated', Lastname: 'User', Email: testMember };
                 const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).send(values);
                 expect(response.status).to.equal(200, response.text);
+                expect(response.headers.etag).to.equal(`"${response.body.Version}"`);
                 expect(response.body).to.be.an('object');
                 expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
                 expect(response.body.Firstname).to.equal('Updated');
             });
 
+            it('gets 200 for changed member (If-None-Match)', async function() {
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-None-Match', etag);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.Firstname).to.equal('Updated');
+            });
+
+            it('fails to update member with stale If-Match', async function() {
+                const values = { Firstname: 'Stale', Lastname: 'User', Email: testMember };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
+                expect(response.status).to.equal(412, response.text);
+                expect(response.body.message).to.contain(`${etag} does not match current ETag`);
+            });
+
+            it('fails to delete member with stale If-Match', async function() {
+                const response = await appApi.delete('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag);
+                expect(response.status).to.equal(412, response.text);
+            });
+
             it('fails to add member with duplicate e-mail', async function() {
                 const values = { Firstname: 'Test', Lastname: 'User', Email: testMember };
                 const response = await appApi.post('/members').auth(jwt, { type: 'bearer' }).send(values);
@@ -195,6 +693,102 @@ describe(`API app (${app.env})`, function() {
                 const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).send(values);
                 expect(response.status).to.equal(404, response.text);
             });
+
+            it('gets history of deleted member', async function() {
+                const response = await appApi.get('/members/'+id+'/history').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body.map(e => e.Operation)).to.deep.equal([ 'delete', 'update', 'insert' ]);
+                expect(response.body[0].UserId).to.equal(testAdmin.userId);
+                expect(response.body[1].Before.Firstname).to.equal('Test');
+                expect(response.body[1].After.Firstname).to.equal('Updated');
+            });
+
+            it('restores deleted member', async function() {
+                const response = await appApi.post('/members/'+id+'/restore').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body).to.be.an('object');
+                expect(response.body.Email).to.equal(testMember);
+                expect(response.body.DeletedOn).to.equal(null);
+            });
+
+            it('fails to restore member not in trash', async function() {
+                const response = await appApi.post('/members/'+id+'/restore').auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(404, response.text);
+                expect(response.body.message).to.equal(`No deleted member ${id} found`);
+            });
+
+            it('deletes restored member (with current If-Match)', async function() {
+                const response = await appApi.delete('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag);
+                expect(response.status).to.equal(200, response.text);
+                const history = await appApi.get('/members/'+id+'/history').auth(jwt, { type: 'bearer' });
+                expect(history.body.map(e => e.Operation)).to.deep.equal([ 'delete', 'restore', 'delete', 'update', 'insert' ]);
+            });
+        });
+
+        describe('batch', function() {
+            const batchMember = `batch-${testMember}`;
+            let memberId = null, teamId = null, teamMemberId = null;
+
+            before(async function() {
+                teamId = await Team.insert({ Name: 'Test batch team' });
+            });
+
+            after(async function() {
+                await Team.delete(teamId);
+            });
+
+            it('fails batch without operations', async function() {
+                const response = await appApi.post('/members/batch').auth(jwt, { type: 'bearer' }).send({});
+                expect(response.status).to.equal(400, response.text);
+                expect(response.body.message).to.equal('Batch requires array of operations');
+            });
+
+            it('commits successful operations of partially failed batch', async function() {
+                const operations = [
+                    { method: 'POST', values: { Firstname: 'Batch', Lastname: 'User', Email: batchMember } },
+                    { method: 'POST', values: { Firstname: 'Batch', Lastname: 'Duplicate', Email: batchMember } },
+                ];
+                const response = await appApi.post('/members/batch').auth(jwt, { type: 'bearer' }).send({ operations });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.committed).to.be.true;
+                expect(response.body.results.map(r => r.status)).to.deep.equal([ 201, 409 ]);
+                memberId = response.body.results[0]._id;
+                const member = await appApi.get('/members/'+memberId).auth(jwt, { type: 'bearer' });
+                expect(member.status).to.equal(200, member.text);
+            });
+
+            it('applies nothing from failed atomic batch', async function() {
+                const operations = [
+                    { method: 'PATCH', id: memberId, values: { Firstname: 'Rolled-back' } },
+                    { method: 'DELETE', id: 0 },
+                ];
+                const response = await appApi.post('/members/batch').auth(jwt, { type: 'bearer' }).send({ operations, atomic: true });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.committed).to.be.false;
+                expect(response.body.results.map(r => r.status)).to.deep.equal([ 424, 404 ]);
+                const member = await appApi.get('/members/'+memberId).auth(jwt, { type: 'bearer' });
+                expect(member.body.Firstname).to.equal('Batch');
+            });
+
+            it('adds & removes team memberships in batch', async function() {
+                const values = { TeamId: teamId, MemberId: memberId, JoinedOn: '2020-01-01' };
+                const add = await appApi.post('/team-members/batch').auth(jwt, { type: 'bearer' }).send({ operations: [ { method: 'POST', values } ] });
+                expect(add.status).to.equal(200, add.text);
+                expect(add.body.results[0].status).to.equal(201);
+                teamMemberId = add.body.results[0]._id;
+                const del = await appApi.post('/team-members/batch').auth(jwt, { type: 'bearer' }).send({ operations: [ { method: 'DELETE', id: teamMemberId } ] });
+                expect(del.body.results[0].status).to.equal(200);
+            });
+
+            it('deletes members in batch', async function() {
+                const operations = [ { method: 'DELETE', id: memberId } ];
+                const response = await appApi.post('/members/batch').auth(jwt, { type: 'bearer' }).send({ operations, atomic: true });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.committed).to.be.true;
+                expect(response.body.results[0].status).to.equal(200);
+            });
         });
     });
 
@@ -0,0 +1,111 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* CSV unit tests.                                                                                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Csv from '../../lib/csv.js';
+
+const test = it; // just an alias
+
+describe('CSV', function() {
+
+    describe('parse', function() {
+        test('simple', function() {
+            expect(Csv.parse('a,b,c\n1,2,3\n')).to.deep.equal([ [ 'a', 'b', 'c' ], [ '1', '2', '3' ] ]);
+        });
+
+        test('no final line ending', function() {
+            expect(Csv.parse('a,b\n1,2')).to.deep.equal([ [ 'a', 'b' ], [ '1', '2' ] ]);
+        });
+
+        test('CRLF & CR line endings', function() {
+            expect(Csv.parse('a,b\r\n1,2\r3,4\r\n')).to.deep.equal([ [ 'a', 'b' ], [ '1', '2' ], [ '3', '4' ] ]);
+        });
+
+        test('empty fields', function() {
+            expect(Csv.parse(',b,\n')).to.deep.equal([ [ '', 'b', '' ] ]);
+        });
+
+        test('blank lines ignored', function() {
+            expect(Csv.parse('a,b\n\n1,2\n\n')).to.deep.equal([ [ 'a', 'b' ], [ '1', '2' ] ]);
+        });
+
+        test('quoted fields', function() {
+            expect(Csv.parse('"Smith, Jr","say ""hi""",""\n')).to.deep.equal([ [ 'Smith, Jr', 'say "hi"', '' ] ]);
+        });
+
+        test('quoted line break', function() {
+            expect(Csv.parse('"line 1\r\nline 2",x\n')).to.deep.equal([ [ 'line 1\r\nline 2', 'x' ] ]);
+        });
+
+        test('quote within unquoted field', function() {
+            expect(Csv.parse('5" disk,x\n')).to.deep.equal([ [ '5" disk', 'x' ] ]);
+        });
+
+        test('byte-order mark', function() {
+            expect(Csv.parse('\uFEFFa,b\n')).to.deep.equal([ [ 'a', 'b' ] ]);
+        });
+
+        test('delimiter', function() {
+            expect(Csv.parse('a;b,c\n', ';')).to.deep.equal([ [ 'a', 'b,c' ] ]);
+        });
+
+        test('unterminated quote', function() {
+            expect(() => Csv.parse('a,b\n"1,2\n3,4\n')).to.throw('Unterminated quoted field starting at line 2');
+        });
+    });
+
+    describe('stringify', function() {
+        test('simple', function() {
+            expect(Csv.stringify([ [ 'a', 'b' ], [ 1, true ] ])).to.equal('a,b\r\n1,true\r\n');
+        });
+
+        test('empty fields', function() {
+            expect(Csv.stringify([ [ null, '', undefined ] ])).to.equal(',,\r\n');
+        });
+
+        test('quoted fields', function() {
+            expect(Csv.stringify([ [ 'Smith, Jr', 'say "hi"', 'line 1\nline 2' ] ])).to.equal('"Smith, Jr","say ""hi""","line 1\nline 2"\r\n');
+        });
+
+        test('formulas neutralised', function() {
+            const rows = [ [ '=HYPERLINK("http://example.com")', '+1', '-1', '@SUM(A1)', '\tx', '\rx' ] ];
+            expect(Csv.stringify(rows)).to.equal('"\'=HYPERLINK(""http://example.com"")",\'+1,\'-1,\'@SUM(A1),\'\tx,"\'\rx"\r\n');
+        });
+
+        test('numbers & inner characters not neutralised', function() {
+            expect(Csv.stringify([ [ -1, 'a=b', 'Smith-Jones', 'me@example.com' ] ])).to.equal('-1,a=b,Smith-Jones,me@example.com\r\n');
+        });
+
+        test('round trip', function() {
+            const rows = [ [ 'Name', 'Notes' ], [ 'Adèle', '"quoted", with comma\r\nand line break' ] ];
+            expect(Csv.parse(Csv.stringify(rows))).to.deep.equal(rows);
+        });
+    });
+
+    describe('tabulate', function() {
+        test('objects', function() {
+            const members = [ { _id: 1, Firstname: 'Adèle' }, { _id: 2, Lastname: 'Rochester', Active: true } ];
+            expect(Csv.tabulate(members)).to.deep.equal([
+                [ '_id', 'Firstname', 'Lastname', 'Active' ],
+                [ 1, 'Adèle', null, null ],
+                [ 2, null, 'Rochester', true ],
+            ]);
+        });
+
+        test('single object', function() {
+            expect(Csv.tabulate({ _id: 1, Name: 'Alpha' })).to.deep.equal([ [ '_id', 'Name' ], [ 1, 'Alpha' ] ]);
+        });
+
+        test('empty list with headings', function() {
+            expect(Csv.tabulate([], [ '_id', 'Name' ])).to.deep.equal([ [ '_id', 'Name' ] ]);
+        });
+
+        test('nested values', function() {
+            const member = { _id: 1, Teams: [ { _id: 3, _uri: '/teams/3' }, { _id: 4, _uri: '/teams/4' } ], Before: { a: 1 } };
+            expect(Csv.tabulate(member)[1]).to.deep.equal([ 1, '3; 4', '{"a":1}' ]);
+        });
+    });
+
+});
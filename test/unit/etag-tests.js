@@ -0,0 +1,76 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* ETag unit tests.                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import ETag from '../../app-api/etag.js';
+
+const test = it; // just an alias
+
+// minimal Koa context with given If-Match header
+function context(ifMatch) {
+    return {
+        request: { get: header => header=='If-Match' ? ifMatch || '' : '' },
+        throw:   (status, message) => { throw Object.assign(new Error(message), { status }); },
+    };
+}
+
+describe('ETag', function() {
+
+    describe('of', function() {
+        test('row version', function() {
+            expect(ETag.of({ Version: 3 })).to.equal('"3"');
+        });
+
+        test('content', function() {
+            const etag = ETag.ofContent({ Name: 'Alpha' }, 'application/json');
+            expect(etag).to.match(/^"[\w-]{16}"$/);
+            expect(ETag.ofContent({ Name: 'Alpha' }, 'application/json')).to.equal(etag);
+        });
+
+        test('content differs by type', function() {
+            expect(ETag.ofContent('Name: Alpha\n', 'text/yaml')).not.to.equal(ETag.ofContent('Name: Alpha\n', 'text/plain'));
+        });
+
+        test('binary content', function() {
+            const type = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            expect(ETag.ofContent(Buffer.from([ 1, 2 ]), type)).not.to.equal(ETag.ofContent(Buffer.from([ 1, 3 ]), type));
+        });
+
+        test('content qualifying version', function() {
+            expect(ETag.ofContent({ Name: 'Alpha' }, 'application/json', '"3"')).to.match(/^"3-[\w-]{16}"$/);
+        });
+    });
+
+    describe('If-Match', function() {
+        test('absent', function() {
+            expect(ETag.ifMatch(context(), { Version: 3 })).to.be.undefined;
+        });
+
+        test('any', function() {
+            expect(ETag.ifMatch(context('*'), { Version: 3 })).to.be.undefined;
+        });
+
+        test('matching version', function() {
+            expect(ETag.ifMatch(context('"3"'), { Version: 3 })).to.equal(3);
+        });
+
+        test('matching version with content hash', function() {
+            expect(ETag.ifMatch(context('"3-abcdefghijklmnop"'), { Version: 3 })).to.equal(3);
+        });
+
+        test('matching one of list', function() {
+            expect(ETag.ifMatch(context('"2", "3"'), { Version: 3 })).to.equal(3);
+        });
+
+        test('stale version', function() {
+            expect(() => ETag.ifMatch(context('"2"'), { Version: 3 })).to.throw('"2" does not match current ETag "3"');
+        });
+
+        test('weak ETag', function() {
+            expect(() => ETag.ifMatch(context('W/"3"'), { Version: 3 })).to.throw();
+        });
+    });
+
+});
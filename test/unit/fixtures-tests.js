@@ -0,0 +1,72 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Fixtures unit tests.                                                                           */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Fixtures from '../../lib/fixtures.js';
+
+const test = it; // just an alias
+
+describe('Fixtures', function() {
+
+    describe('read', function() {
+        test('sandbox', async function() {
+            const fixture = await Fixtures.read('sandbox');
+            expect(Object.keys(fixture)).to.deep.equal([ 'Member', 'Team', 'TeamMember', 'User' ]);
+            expect(fixture.Member).to.have.lengthOf(4);
+            expect(fixture.Member[3]).to.include({ MemberId: 100004, Firstname: 'Lewis', Active: true });
+        });
+
+        test('dates left as strings', async function() {
+            const fixture = await Fixtures.read('sandbox');
+            expect(fixture.TeamMember[0].JoinedOn).to.equal('1956-01-22');
+        });
+
+        test('memberships refer to fixture members & teams', async function() {
+            const fixture = await Fixtures.read('sandbox');
+            const memberIds = fixture.Member.map(m => m.MemberId);
+            const teamIds = fixture.Team.map(t => t.TeamId);
+            for (const tm of fixture.TeamMember) {
+                expect(memberIds).to.include(tm.MemberId);
+                expect(teamIds).to.include(tm.TeamId);
+            }
+        });
+
+        test('not found', async function() {
+            try {
+                await Fixtures.read('no-such-fixture');
+                throw new Error('Fixtures.read should fail');
+            } catch (e) {
+                expect(e.message).to.equal('Fixture no-such-fixture not found');
+            }
+        });
+    });
+
+    describe('validate', function() {
+        test('valid', function() {
+            expect(() => Fixtures.validate({ Team: [ { Name: 'Alpha' } ] }, 'test')).not.to.throw();
+        });
+
+        test('not a map of tables', function() {
+            expect(() => Fixtures.validate([ { Name: 'Alpha' } ], 'test')).to.throw('Fixture test must map table names to lists of rows');
+        });
+
+        test('invalid table name', function() {
+            expect(() => Fixtures.validate({ 'Team; Drop': [] }, 'test')).to.throw('Fixture test: invalid table name Team; Drop');
+        });
+
+        test('table maintained by migrations', function() {
+            expect(() => Fixtures.validate({ RolePermission: [] }, 'test')).to.throw('Fixture test: RolePermission is maintained by migrations');
+        });
+
+        test('rows not a list', function() {
+            expect(() => Fixtures.validate({ Team: { Name: 'Alpha' } }, 'test')).to.throw('Fixture test: Team must be a list of rows');
+        });
+
+        test('row not an object', function() {
+            expect(() => Fixtures.validate({ Team: [ { Name: 'Alpha' }, 'Beta' ] }, 'test')).to.throw('Fixture test: Team row 2 must be an object');
+        });
+    });
+
+});
@@ -0,0 +1,38 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Login throttle unit tests.                                                                     */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import LoginThrottle from '../../lib/login-throttle.js';
+
+const test = it; // just an alias
+
+describe('Login throttle', function() {
+
+    test('no delay for first failures', function() {
+        expect(LoginThrottle.delay(0)).to.equal(0);
+        expect(LoginThrottle.delay(1)).to.equal(0);
+        expect(LoginThrottle.delay(2)).to.equal(0);
+    });
+
+    test('exponential backoff', function() {
+        expect([ 3, 4, 5, 6, 7 ].map(LoginThrottle.delay)).to.deep.equal([ 1, 2, 4, 8, 16 ]);
+    });
+
+    test('maximum delay', function() {
+        expect(LoginThrottle.delay(9)).to.equal(60);
+        expect(LoginThrottle.delay(100)).to.equal(60);
+    });
+
+    test('message for delay', function() {
+        expect(LoginThrottle.message({ wait: 1, locked: false })).to.equal('Too many failed login attempts: please wait 1 second before trying again');
+        expect(LoginThrottle.message({ wait: 8, locked: false })).to.equal('Too many failed login attempts: please wait 8 seconds before trying again');
+    });
+
+    test('message for lockout', function() {
+        expect(LoginThrottle.message({ wait: 30, locked: true })).to.equal('Too many failed login attempts: login is locked for 1 minute');
+        expect(LoginThrottle.message({ wait: 900, locked: true })).to.equal('Too many failed login attempts: login is locked for 15 minutes');
+    });
+
+});
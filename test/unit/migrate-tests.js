@@ -0,0 +1,60 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Migrate unit tests.                                                                            */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+import fs         from 'fs';   // nodejs.org/api/fs.html
+
+import Migrate from '../../lib/migrate.js';
+
+const test = it; // just an alias
+
+describe('Migrate', function() {
+
+    describe('statements', function() {
+        test('simple', function() {
+            expect(Migrate.statements('drop table A;\ndrop table B;\n')).to.deep.equal([ 'drop table A', 'drop table B' ]);
+        });
+
+        test('multi-line statement', function() {
+            const sql = 'create table A (\n  Id integer,\n  Name text\n);\n';
+            expect(Migrate.statements(sql)).to.deep.equal([ 'create table A (\n  Id integer,\n  Name text\n)' ]);
+        });
+
+        test('comments', function() {
+            const sql = '-- header\n\ndrop table A; -- first\n-- between\ndrop table B;\n-- trailer\n';
+            expect(Migrate.statements(sql)).to.deep.equal([ 'drop table A', 'drop table B' ]);
+        });
+
+        test('semicolon within line', function() {
+            expect(Migrate.statements("insert into A values ('x;y');\n")).to.deep.equal([ "insert into A values ('x;y')" ]);
+        });
+
+        test('CRLF line endings', function() {
+            expect(Migrate.statements('drop table A;\r\ndrop table B;\r\n')).to.deep.equal([ 'drop table A', 'drop table B' ]);
+        });
+    });
+
+    describe('migrations', function() {
+        test('available in order', async function() {
+            const available = await Migrate.available();
+            expect(available[0]).to.equal('001-initial-schema');
+            expect(available).to.deep.equal([ ...available ].sort());
+        });
+
+        test('each has down script', async function() {
+            for (const name of await Migrate.available()) {
+                expect(fs.existsSync(`migrations/${name}.down.sql`), name).to.be.true;
+            }
+        });
+
+        test('initial schema creates tables which down script drops', function() {
+            const up = Migrate.statements(fs.readFileSync('migrations/001-initial-schema.up.sql', 'utf8'));
+            const down = Migrate.statements(fs.readFileSync('migrations/001-initial-schema.down.sql', 'utf8'));
+            const created = up.map(sql => sql.match(/^create table if not exists (\w+)/)[1]);
+            const dropped = down.map(sql => sql.match(/^drop table if exists (\w+)$/)[1]);
+            expect(dropped).to.deep.equal(created.reverse());
+        });
+    });
+
+});
@@ -8,7 +8,10 @@ import { expect } from 'chai';   // BDD/TDD assertion library
 import dotenv     from 'dotenv'; // load environment variables from a .env file into process.env
 dotenv.config();
 
-import Member from '../../models/member.js';
+import Member   from '../../models/member.js';
+import AuditLog from '../../models/audit-log.js';
+import Db       from '../../lib/mysqldb.js';
+import Trash    from '../../lib/trash.js';
 
 
 describe('Member model', function() {
@@ -85,9 +88,97 @@ describe('Member model', function() {
         }
     });
 
+    it('rolls back member update within failed transaction', async function() {
+        try {
+            await Db.transaction(async function() {
+                await Member.update(memberId, { Firstname: 'test-tx' });
+                throw new Error('roll back');
+            });
+            throw new Error('Db.transaction should fail');
+        } catch (e) {
+            expect(e.message).to.equal('roll back');
+        }
+        expect((await Member.get(memberId)).Firstname).to.equal('test');
+    });
+
+    it('rolls back only failed nested transaction', async function() {
+        await Db.transaction(async function() {
+            await Member.update(memberId, { Firstname: 'test-outer' });
+            try {
+                await Db.transaction(async function() {
+                    await Member.update(memberId, { Firstname: 'test-inner' });
+                    throw new Error('roll back inner');
+                });
+            } catch (e) {
+                expect(e.message).to.equal('roll back inner');
+            }
+        });
+        expect((await Member.get(memberId)).Firstname).to.equal('test-outer');
+        await Member.update(memberId, { Firstname: 'test' }); // set it back
+    });
+
+    it('rolls back member update if audit entry cannot be recorded', async function() {
+        try {
+            await Db.transaction(async function() {
+                await Member.update(memberId, { Firstname: 'test-tx' });
+                await AuditLog.record('Member', null, 'update', {}, {}); // RowId cannot be null
+            });
+            throw new Error('Db.transaction should fail');
+        } catch (e) {
+            expect(e.status).to.equal(500);
+        }
+        expect((await Member.get(memberId)).Firstname).to.equal('test');
+    });
+
+    it('retries transaction on deadlock', async function() {
+        let attempts = 0;
+        const result = await Db.transaction(async function() {
+            attempts++;
+            await Member.update(memberId, { Firstname: `test-${attempts}` });
+            if (attempts == 1) throw Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+            return attempts;
+        });
+        expect(result).to.equal(2);
+        expect((await Member.get(memberId)).Firstname).to.equal('test-2');
+        await Member.update(memberId, { Firstname: 'test' }); // set it back
+    });
+
     it('deletes member', async function() {
         const ok = await Member.delete(memberId);
         expect(ok).to.be.true;
     });
 
+    it('moves deleted member to trash', async function() {
+        expect(await Member.get(memberId)).to.be.undefined;
+        const member = await Member.get(memberId, true);
+        expect(member).to.be.an('object');
+        expect(member.DeletedOn).to.be.a('string');
+    });
+
+    it('restores member from trash', async function() {
+        const ok = await Member.restore(memberId);
+        expect(ok).to.be.true;
+        const member = await Member.get(memberId);
+        expect(member.DeletedOn).to.equal(null);
+        expect(await Member.restore(memberId)).to.be.false; // no longer in trash
+    });
+
+    it('deletes restored member', async function() {
+        const ok = await Member.delete(memberId);
+        expect(ok).to.be.true;
+    });
+
+    it('keeps member in trash for retention period', async function() {
+        await Trash.purge();
+        expect(await Member.get(memberId, true)).to.be.an('object');
+    });
+
+    it('purges member in trash for longer than retention period', async function() {
+        const sql = 'Update Member Set DeletedOn = utc_timestamp() - Interval :days Day Where MemberId = :id';
+        await Db.execute(sql, { days: Trash.retentionDays + 1, id: memberId });
+        const purged = await Trash.purge();
+        expect(purged.members).to.be.at.least(1);
+        expect(await Member.get(memberId, true)).to.be.undefined;
+    });
+
 });
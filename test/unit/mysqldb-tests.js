@@ -0,0 +1,86 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* MySQL database unit tests (no database connection required).                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Db             from '../../lib/mysqldb.js';
+import RequestContext from '../../lib/request-context.js';
+
+const test = it; // just an alias
+
+describe('MySQL Db', function() {
+
+    describe('isRead (replica routing)', function() {
+        test('select', function() {
+            expect(Db.isRead('Select * From Member Where MemberId = :id')).to.be.true;
+        });
+
+        test('select with leading whitespace & comments', function() {
+            expect(Db.isRead('\n  -- members\n  /* all */ select * from Member')).to.be.true;
+        });
+
+        test('show, describe, explain', function() {
+            expect(Db.isRead('Show Tables')).to.be.true;
+            expect(Db.isRead('describe Member')).to.be.true;
+            expect(Db.isRead('Explain Select * From Member')).to.be.true;
+        });
+
+        test('writes', function() {
+            expect(Db.isRead('Insert Into Member Set ?')).to.be.false;
+            expect(Db.isRead('Update Member Set Active = true')).to.be.false;
+            expect(Db.isRead('Delete From Member')).to.be.false;
+            expect(Db.isRead('Set foreign_key_checks = 0')).to.be.false;
+        });
+
+        test('locking reads', function() {
+            expect(Db.isRead('Select * From Member For Update')).to.be.false;
+            expect(Db.isRead('Select * From Member Lock In Share Mode')).to.be.false;
+            expect(Db.isRead("Select Get_Lock('migrate', 60)")).to.be.false;
+        });
+
+        test('column names containing keywords', function() {
+            expect(Db.isRead('Select Selected, Updated From Member')).to.be.true;
+        });
+    });
+
+    describe('readsPrimary (replica routing)', function() {
+        test('outside request', function() {
+            expect(Db.readsPrimary()).to.be.false;
+        });
+
+        test('within Db.primary()', async function() {
+            expect(await Db.primary(() => Db.readsPrimary())).to.be.true;
+            expect(Db.readsPrimary()).to.be.false;
+        });
+
+        test('after request has written', function() {
+            RequestContext.run({}, function() {
+                expect(Db.readsPrimary()).to.be.false;
+                RequestContext.recordWrite();
+                expect(Db.readsPrimary()).to.be.true;
+            });
+        });
+
+        test('not after unrecorded write', async function() {
+            await RequestContext.run({}, async function() {
+                await RequestContext.unrecorded(() => RequestContext.recordWrite());
+                expect(Db.readsPrimary()).to.be.false;
+                RequestContext.recordWrite();
+                expect(Db.readsPrimary()).to.be.true;
+            });
+        });
+
+        test('requests are independent', function() {
+            RequestContext.run({}, () => RequestContext.recordWrite());
+            RequestContext.run({}, () => expect(Db.readsPrimary()).to.be.false);
+        });
+    });
+
+    describe('poolStats', function() {
+        test('primary & replica', function() {
+            expect(Db.poolStats()).to.have.all.keys('primary', 'replica');
+        });
+    });
+
+});
@@ -0,0 +1,99 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* QueryFilter unit tests.                                                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import QueryFilter from '../../lib/query-filter.js';
+
+const test = it; // just an alias
+
+// fields as returned by 'Describe Member'
+const fields = [
+    { Field: 'MemberId',  Type: 'int(10) unsigned', Key: 'PRI' },
+    { Field: 'Firstname', Type: 'text',             Key: '' },
+    { Field: 'Lastname',  Type: 'text',             Key: '' },
+    { Field: 'Email',     Type: 'text',             Key: 'UNI' },
+    { Field: 'Active',    Type: 'bit(1)',           Key: '' },
+];
+
+describe('Query filter', function() {
+
+    describe('operators', function() {
+        test('no filter', function() {
+            const filter = QueryFilter.parse('Member', fields, {});
+            expect(filter.sql).to.equal('');
+            expect(filter.values).to.deep.equal({});
+        });
+
+        test('implicit eq', function() {
+            const filter = QueryFilter.parse('Member', fields, { firstname: 'lewis' });
+            expect(filter.sql).to.equal(' Where Firstname = :f0');
+            expect(filter.values).to.deep.equal({ f0: 'lewis' });
+        });
+
+        test('fixed conditions', function() {
+            const filter = QueryFilter.parse('Member', fields, { firstname: 'lewis' }, [ 'DeletedOn Is Null' ]);
+            expect(filter.sql).to.equal(' Where DeletedOn Is Null And Firstname = :f0');
+            expect(filter.values).to.deep.equal({ f0: 'lewis' });
+        });
+
+        test('like', function() {
+            const filter = QueryFilter.parse('Member', fields, { 'Lastname[like]': 'Sm%' });
+            expect(filter.sql).to.equal(' Where Lastname Like :f0');
+            expect(filter.values).to.deep.equal({ f0: 'Sm%' });
+        });
+
+        test('ne boolean', function() {
+            const filter = QueryFilter.parse('Member', fields, { 'Active[ne]': 'true' });
+            expect(filter.sql).to.equal(' Where Active != :f0');
+            expect(filter.values).to.deep.equal({ f0: true });
+        });
+
+        test('in', function() {
+            const filter = QueryFilter.parse('Member', fields, { 'MemberId[in]': '1,2,3' });
+            expect(filter.sql).to.equal(' Where MemberId In (:f0_0, :f0_1, :f0_2)');
+            expect(filter.values).to.deep.equal({ f0_0: '1', f0_1: '2', f0_2: '3' });
+        });
+
+        test('null', function() {
+            const filter = QueryFilter.parse('Member', fields, { 'Firstname[null]': 'true', 'Lastname[null]': 'false' });
+            expect(filter.sql).to.equal(' Where Firstname Is Null And Lastname Is Not Null');
+            expect(filter.values).to.deep.equal({});
+        });
+
+        test('range (repeated argument)', function() {
+            const filter = QueryFilter.parse('Member', fields, { 'MemberId[gte]': '100002', 'MemberId[lt]': '100004', 'Firstname[ne]': [ 'a', 'b' ] });
+            expect(filter.sql).to.equal(' Where MemberId >= :f0 And MemberId < :f1 And Firstname != :f2 And Firstname != :f3');
+            expect(filter.values).to.deep.equal({ f0: '100002', f1: '100004', f2: 'a', f3: 'b' });
+        });
+    });
+
+    describe('errors', function() {
+        test('unrecognised field', function() {
+            expect(() => QueryFilter.parse('Member', fields, { 'x=1 or 1': '1' })).to.throw('Unrecognised Member field x=1 or 1');
+        });
+
+        test('unrecognised operator', function() {
+            expect(() => QueryFilter.parse('Member', fields, { 'Email[regexp]': '.*' })).to.throw('Unrecognised filter operator regexp');
+        });
+
+        test('malformed filter', function() {
+            expect(() => QueryFilter.parse('Member', fields, { 'Email[eq][eq]': 'x' })).to.throw('Unrecognised Member filter Email[eq][eq]');
+        });
+
+        test('bad boolean', function() {
+            expect(() => QueryFilter.parse('Member', fields, { Active: 'maybe' })).to.throw('Filter Active must be true or false');
+        });
+
+        test('error status', function() {
+            try {
+                QueryFilter.parse('Member', fields, { nosuchfield: '1' });
+                throw new Error('QueryFilter.parse should fail');
+            } catch (e) {
+                expect(e.status).to.equal(403);
+            }
+        });
+    });
+
+});
@@ -0,0 +1,60 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Query statistics unit tests.                                                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import QueryStats from '../../lib/query-stats.js';
+
+const test = it; // just an alias
+
+describe('Query stats', function() {
+
+    describe('shape', function() {
+        test('numeric literals & named placeholders', function() {
+            expect(QueryStats.shape('Select * From Member Where MemberId = 100001')).to.equal('Select * From Member Where MemberId = ?');
+            expect(QueryStats.shape('Select * From Member Where MemberId = :id')).to.equal('Select * From Member Where MemberId = ?');
+        });
+
+        test('string literals', function() {
+            expect(QueryStats.shape("Select * From Member Where Email = 'it''s@x.com'")).to.equal('Select * From Member Where Email = ?');
+        });
+
+        test('whitespace & comments', function() {
+            const sql = `Select *   -- all fields
+                         From Member /* members */
+                         Where MemberId = ?`;
+            expect(QueryStats.shape(sql)).to.equal('Select * From Member Where MemberId = ?');
+        });
+
+        test('lists of values', function() {
+            expect(QueryStats.shape('Select * From Team Where TeamId In (1, 2, 3)')).to.equal('Select * From Team Where TeamId In (?)');
+        });
+
+        test('identifiers containing digits left alone', function() {
+            expect(QueryStats.shape('Select t1.Name From Team t1 Limit 10')).to.equal('Select t1.Name From Team t1 Limit ?');
+        });
+    });
+
+    describe('summary', function() {
+        beforeEach(function() {
+            QueryStats.reset();
+        });
+
+        test('count, percentiles, rows', function() {
+            for (let i=1; i<=20; i++) QueryStats.record(`Select * From Member Where MemberId = ${i}`, i, 1);
+            QueryStats.record('Insert Into Team Set Name = :Name', 5, 1);
+            const summary = QueryStats.summary();
+            expect(summary).to.have.lengthOf(2);
+            expect(summary[0]).to.deep.equal({ sql: 'Select * From Member Where MemberId = ?', count: 20, p50: 10, p95: 19, max: 20, total: 210, rows: 1 });
+            expect(summary[1]).to.include({ sql: 'Insert Into Team Set Name = ?', count: 1 });
+        });
+
+        test('reset', function() {
+            QueryStats.record('Select 1', 1, 1);
+            QueryStats.reset();
+            expect(QueryStats.summary()).to.deep.equal([]);
+        });
+    });
+
+});
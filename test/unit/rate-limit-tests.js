@@ -0,0 +1,115 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Rate limit unit tests.                                                                         */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import RateLimit from '../../lib/rate-limit.js';
+
+const test = it; // just an alias
+
+describe('Rate limit', function() {
+
+    describe('memory store', function() {
+        const t0 = Date.UTC(2020, 0, 1);
+
+        test('new bucket is full', async function() {
+            const store = RateLimit.createStore('memory');
+            expect(await store.take('a', 60, t0)).to.deep.equal({ allowed: true, tokens: 59 });
+        });
+
+        test('bucket empties, then refuses', async function() {
+            const store = RateLimit.createStore('memory');
+            for (let i=0; i<3; i++) expect((await store.take('a', 3, t0)).allowed).to.equal(true);
+            expect(await store.take('a', 3, t0)).to.deep.equal({ allowed: false, tokens: 0 });
+        });
+
+        test('bucket refills at limit per minute', async function() {
+            const store = RateLimit.createStore('memory');
+            for (let i=0; i<60; i++) await store.take('a', 60, t0);
+            expect((await store.take('a', 60, t0 + 500)).allowed).to.equal(false);  // half a token
+            expect((await store.take('a', 60, t0 + 1000)).allowed).to.equal(true);  // one token
+            expect((await store.take('a', 60, t0 + 1000)).allowed).to.equal(false);
+        });
+
+        test('bucket refills no higher than limit', async function() {
+            const store = RateLimit.createStore('memory');
+            await store.take('a', 60, t0);
+            expect(await store.take('a', 60, t0 + 3600e3)).to.deep.equal({ allowed: true, tokens: 59 });
+        });
+
+        test('buckets are independent', async function() {
+            const store = RateLimit.createStore('memory');
+            await store.take('a', 1, t0);
+            expect((await store.take('a', 1, t0)).allowed).to.equal(false);
+            expect((await store.take('b', 1, t0)).allowed).to.equal(true);
+        });
+
+        test('full store prunes least recently used buckets in a batch', async function() {
+            const store = RateLimit.createStore('memory');
+            for (let i=0; i<=10000; i++) await store.take(`k${i}`, 60, t0); // one more than maxBuckets
+            expect(store.buckets.size).to.equal(9000);
+            expect(store.buckets.has('k0')).to.equal(false);
+            expect(store.buckets.has('k10000')).to.equal(true);
+            for (let i=10001; i<=11000; i++) await store.take(`k${i}`, 60, t0); // no further pruning yet
+            expect(store.buckets.size).to.equal(10000);
+        });
+    });
+
+    describe('middleware', function() {
+        function context() {
+            return {
+                state:    { auth: { id: 1 } },
+                response: { headers: {}, set(header, value) { this.headers[header] = value; } },
+                throw(status, message) { throw Object.assign(new Error(message), { status }); },
+            };
+        }
+
+        test('sets RateLimit headers', async function() {
+            const rateLimit = RateLimit.middleware({ name: 'test', limit: 60, key: ctx => ctx.state.auth.id, store: RateLimit.createStore() });
+            const ctx = context();
+            let called = false;
+            await rateLimit(ctx, () => { called = true; });
+            expect(called).to.equal(true);
+            expect(ctx.response.headers['RateLimit-Limit']).to.equal(60);
+            expect(ctx.response.headers['RateLimit-Remaining']).to.equal(59);
+            expect(ctx.response.headers['RateLimit-Reset']).to.equal(1);
+            expect(ctx.response.headers['Retry-After']).to.be.undefined;
+        });
+
+        test('throws 429 with Retry-After once limit is exceeded', async function() {
+            const rateLimit = RateLimit.middleware({ name: 'test', limit: 2, key: ctx => ctx.state.auth.id, store: RateLimit.createStore() });
+            await rateLimit(context(), () => {});
+            await rateLimit(context(), () => {});
+            const ctx = context();
+            let called = false;
+            try {
+                await rateLimit(ctx, () => { called = true; });
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.status).to.equal(429);
+                expect(e.message).to.match(/^Rate limit exceeded: retry after \d+ seconds?$/);
+            }
+            expect(called).to.equal(false);
+            expect(ctx.response.headers['RateLimit-Remaining']).to.equal(0);
+            expect(ctx.response.headers['Retry-After']).to.be.within(29, 30); // 2 tokens per minute
+        });
+
+        test('does not limit requests if store fails', async function() {
+            const store = { take: () => Promise.reject(new Error('store unavailable')) };
+            const rateLimit = RateLimit.middleware({ name: 'test', limit: 1, key: () => 'x', store });
+            const ctx = context();
+            let called = false;
+            const consoleError = console.error;
+            console.error = () => {};
+            try {
+                await rateLimit(ctx, () => { called = true; });
+            } finally {
+                console.error = consoleError;
+            }
+            expect(called).to.equal(true);
+            expect(ctx.response.headers['RateLimit-Limit']).to.be.undefined;
+        });
+    });
+
+});
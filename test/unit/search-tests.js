@@ -0,0 +1,41 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Search unit tests.                                                                             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Search from '../../lib/search.js';
+
+const test = it; // just an alias
+
+describe('Search', function() {
+
+    describe('terms', function() {
+        test('single word', function() {
+            expect(Search.terms('alice')).to.equal('+alice*');
+        });
+
+        test('multiple words', function() {
+            expect(Search.terms('  ali   smi ')).to.equal('+ali* +smi*');
+        });
+
+        test('e-mail', function() {
+            expect(Search.terms('alice@example.com')).to.equal('+alice* +example* +com*');
+        });
+
+        test('accented letters', function() {
+            expect(Search.terms('Adèle Brontë')).to.equal('+Adèle* +Brontë*');
+        });
+
+        test('boolean-mode operators discarded', function() {
+            expect(Search.terms('-alice +"bob" (carol*) ~dave <eve>')).to.equal('+alice* +bob* +carol* +dave* +eve*');
+        });
+
+        test('no words', function() {
+            expect(Search.terms('')).to.be.null;
+            expect(Search.terms(' *"- ')).to.be.null;
+            expect(Search.terms(undefined)).to.be.null;
+        });
+    });
+
+});
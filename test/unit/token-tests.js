@@ -0,0 +1,35 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Token unit tests.                                                                              */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Token from '../../lib/token.js';
+
+const test = it; // just an alias
+
+describe('Token', function() {
+
+    test('generate', function() {
+        const token = Token.generate();
+        expect(token).to.match(/^[0-9a-z]+-[0-9a-f]{32}$/);
+        expect(Token.generate()).to.not.equal(token);
+    });
+
+    test('age of new token', function() {
+        expect(Token.age(Token.generate())).to.be.within(0, 1);
+    });
+
+    test('age of old token', function() {
+        const dayAgo = Math.floor(Date.now()/1000 - 60*60*24).toString(36);
+        expect(Token.age(`${dayAgo}-abcdefgh`)).to.be.within(60*60*24, 60*60*24+1);
+    });
+
+    test('malformed', function() {
+        expect(Token.age('abcdefgh')).to.be.null;
+        expect(Token.age('a-b-c')).to.be.null;
+        expect(Token.age('!!-abcdefgh')).to.be.null;
+        expect(Token.age(undefined)).to.be.null;
+    });
+
+});
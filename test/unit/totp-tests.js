@@ -0,0 +1,64 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* TOTP unit tests.                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Totp from '../../lib/totp.js';
+
+const test = it; // just an alias
+
+// RFC 6238 Appendix B test secret ('12345678901234567890') in base32
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', function() {
+
+    test('generate secret', function() {
+        const s = Totp.generateSecret();
+        expect(s).to.match(/^[A-Z2-7]{32}$/);
+        expect(Totp.generateSecret()).to.not.equal(s);
+    });
+
+    test('uri', function() {
+        const uri = 'otpauth://totp/Koa%20Sample%20App:admin%40user.com?secret=JBSWY3DPEHPK3PXP&issuer=Koa%20Sample%20App&algorithm=SHA1&digits=6&period=30';
+        expect(Totp.uri('JBSWY3DPEHPK3PXP', 'admin@user.com', 'Koa Sample App')).to.equal(uri);
+    });
+
+    test('step', function() {
+        expect(Totp.step(59e3)).to.equal(1);
+        expect(Totp.step(1111111109e3)).to.equal(37037036);
+    });
+
+    test('RFC 6238 test vectors (6-digit)', function() {
+        expect(Totp.code(secret, Totp.step(59e3))).to.equal('287082');
+        expect(Totp.code(secret, Totp.step(1111111109e3))).to.equal('081804');
+        expect(Totp.code(secret, Totp.step(1111111111e3))).to.equal('050471');
+        expect(Totp.code(secret, Totp.step(1234567890e3))).to.equal('005924');
+        expect(Totp.code(secret, Totp.step(2000000000e3))).to.equal('279037');
+        expect(Totp.code(secret, Totp.step(20000000000e3))).to.equal('353130');
+    });
+
+    test('lower-case secret', function() {
+        expect(Totp.code(secret.toLowerCase(), 1)).to.equal('287082');
+    });
+
+    test('verify', function() {
+        const time = 1111111109e3;
+        expect(Totp.verify(secret, '081804', 1, time)).to.equal(37037036);
+        expect(Totp.verify(secret, '081 804', 1, time)).to.equal(37037036);
+        expect(Totp.verify(secret, '050471', 1, time)).to.equal(37037037); // next step is within window
+        expect(Totp.verify(secret, '050471', 0, time)).to.be.null;
+        expect(Totp.verify(secret, '000000', 1, time)).to.be.null;
+    });
+
+    test('verify malformed code', function() {
+        expect(Totp.verify(secret, '08180', 1, 1111111109e3)).to.be.null;
+        expect(Totp.verify(secret, 'abcdef', 1, 1111111109e3)).to.be.null;
+        expect(Totp.verify(secret, undefined)).to.be.null;
+    });
+
+    test('invalid secret', function() {
+        expect(() => Totp.code('not base32!', 1)).to.throw('Invalid base32 character');
+    });
+
+});
@@ -0,0 +1,58 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* XLSX unit tests.                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+import zlib       from 'zlib'; // nodejs.org/api/zlib.html
+
+import Xlsx from '../../lib/xlsx.js';
+
+const test = it; // just an alias
+
+// extract files (name => text content) from zip archive, using local file headers
+function unzip(archive) {
+    const files = {};
+    let offset = 0;
+    while (archive.readUInt32LE(offset) == 0x04034b50) {
+        const size = archive.readUInt32LE(offset+18);
+        const nameLength = archive.readUInt16LE(offset+26);
+        const name = archive.toString('utf8', offset+30, offset+30+nameLength);
+        const data = archive.subarray(offset+30+nameLength, offset+30+nameLength+size);
+        files[name] = zlib.inflateRawSync(data).toString();
+        offset += 30 + nameLength + size;
+    }
+    return files;
+}
+
+describe('XLSX', function() {
+    const rows = [ [ '_id', 'Name', 'Active' ], [ 1, 'Smith & <Co>', true ], [ 2, null, false ] ];
+
+    test('zip archive of workbook parts', function() {
+        const files = unzip(Xlsx.workbook(rows, 'Members'));
+        expect(Object.keys(files)).to.include.members([ '[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml' ]);
+        expect(files['xl/workbook.xml']).to.contain('<sheet name="Members"');
+    });
+
+    test('typed cells', function() {
+        const sheet = unzip(Xlsx.workbook(rows))['xl/worksheets/sheet1.xml'];
+        expect(sheet).to.contain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">_id</t></is></c>');
+        expect(sheet).to.contain('<c r="A2"><v>1</v></c>');
+        expect(sheet).to.contain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Smith &amp; &lt;Co&gt;</t></is></c>');
+        expect(sheet).to.contain('<c r="C2" t="b"><v>1</v></c>');
+        expect(sheet).to.contain('<row r="3"><c r="A3"><v>2</v></c><c r="C3" t="b"><v>0</v></c></row>'); // no cell for null
+    });
+
+    test('column letters beyond Z', function() {
+        const sheet = unzip(Xlsx.workbook([ new Array(28).fill(1) ]))['xl/worksheets/sheet1.xml'];
+        expect(sheet).to.contain('<c r="Z1">').and.to.contain('<c r="AA1">').and.to.contain('<c r="AB1">');
+    });
+
+    test('sheet name restrictions', function() {
+        const workbook = unzip(Xlsx.workbook(rows, 'Members [2020/21]: a rather long name'))['xl/workbook.xml'];
+        expect(workbook).to.contain('<sheet name="Members 202021 a rather long na"');
+    });
+
+    test('repeatable', function() {
+        expect(Xlsx.workbook(rows).equals(Xlsx.workbook(rows))).to.be.true;
+    });
+});